@@ -0,0 +1,47 @@
+// Quality rules enforced on uploads, per file type. Each category may tighten
+// or loosen them with its own mediaRules, edited in the catalog admin. Every
+// limit is optional:
+//   minShortSide / maxLongSide   pixels, so portrait and landscape are treated alike
+//   minDuration / maxDuration    seconds (video)
+//   minFrameRate / maxFrameRate  frames per second (video)
+//   codecs                       allowed codec or image format names
+//
+// MEDIA_RULES may hold JSON to override these defaults without a code change,
+// e.g. {"defaults":{"VIDEO":{"maxDuration":300}}}
+
+const defaults = {
+  IMAGE: {
+    minShortSide: 480
+  },
+  VIDEO: {
+    minShortSide: 360,
+    minDuration: 3,
+    maxDuration: 600,
+    minFrameRate: 24
+  }
+};
+
+const loadOverrides = () => {
+  if (!process.env.MEDIA_RULES) {
+    return {};
+  }
+
+  try {
+    return JSON.parse(process.env.MEDIA_RULES);
+  } catch (error) {
+    console.error('Invalid MEDIA_RULES, using built-in media rules:', error.message);
+    return {};
+  }
+};
+
+const overrides = loadOverrides();
+
+// Limits that apply to a file of `fileType` submitted under the catalog
+// entry `category`
+const rulesFor = (category, fileType) => ({
+  ...defaults[fileType],
+  ...(overrides.defaults && overrides.defaults[fileType]),
+  ...(category.mediaRules && category.mediaRules[fileType])
+});
+
+module.exports = { rulesFor };
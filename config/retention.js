@@ -0,0 +1,32 @@
+// Retention rules applied by the scheduled retention job. Each rule matches
+// submissions of `status` reviewed more than `afterDays` days ago:
+//   archive  move the original file to cold storage (ARCHIVE_STORAGE_DRIVER)
+//   purge    delete the original, poster and transcoded rendition
+// The submission row and its thumbnail are always kept.
+//
+// RETENTION_RULES may hold a JSON array of the same shape to replace these
+// without a code change; '[]' disables retention entirely. Nothing is purged
+// unless a rule there asks for it, e.g.
+//   [{"status":"REJECTED","afterDays":30,"action":"purge"},
+//    {"status":"APPROVED","afterDays":90,"action":"archive"}]
+
+const defaultRules = [
+  { status: 'APPROVED', afterDays: 90, action: 'archive' }
+];
+
+const loadRules = () => {
+  if (!process.env.RETENTION_RULES) {
+    return defaultRules;
+  }
+
+  try {
+    return JSON.parse(process.env.RETENTION_RULES);
+  } catch (error) {
+    console.error('Invalid RETENTION_RULES, using built-in retention rules:', error.message);
+    return defaultRules;
+  }
+};
+
+module.exports = {
+  rules: loadRules()
+};
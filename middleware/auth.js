@@ -37,16 +37,20 @@ const isSuperAdmin = (req, res, next) => {
   res.redirect('/');
 };
 
+// AdminLog row for an action taken through `req`, for writing the log inside
+// the transaction of the action itself
+const adminLogEntry = (adminId, action, details, req) => ({
+  adminId,
+  action,
+  details,
+  ipAddress: req.ip || req.connection.remoteAddress,
+  userAgent: req.headers['user-agent']
+});
+
 const logAdminAction = async (adminId, action, details, req) => {
   try {
     await prisma.adminLog.create({
-      data: {
-        adminId,
-        action,
-        details,
-        ipAddress: req.ip || req.connection.remoteAddress,
-        userAgent: req.headers['user-agent']
-      }
+      data: adminLogEntry(adminId, action, details, req)
     });
   } catch (error) {
     console.error('Failed to log admin action:', error);
@@ -71,6 +75,7 @@ module.exports = {
   isAuthenticated, 
   isAdmin, 
   isSuperAdmin, 
-  logAdminAction,
+  adminLogEntry, 
+  logAdminAction, 
   canModifyUser 
 };
\ No newline at end of file
@@ -1,5 +1,9 @@
 const rateLimit = require('express-rate-limit');
 
+// Chunk uploads (PUT /api/submissions/uploads/:uploadId), which the upload
+// limiter counts instead
+const isUploadChunk = (req) => req.method === 'PUT' && /^\/api\/submissions\/uploads\/[^/]+$/.test(req.path);
+
 // Global rate limiter
 const globalLimiter = rateLimit({
   windowMs: (process.env.REQUEST_LIMIT_WINDOW || 15) * 60 * 1000, // 15 minutes default
@@ -9,6 +13,7 @@ const globalLimiter = rateLimit({
   },
   standardHeaders: true,
   legacyHeaders: false,
+  skip: isUploadChunk
 });
 
 // Auth rate limiter
@@ -41,6 +46,21 @@ const submissionLimiter = rateLimit({
   }
 });
 
+// Upload chunk rate limiter
+const uploadChunkLimiter = rateLimit({
+  windowMs: (process.env.REQUEST_LIMIT_WINDOW || 15) * 60 * 1000, // 15 minutes default
+  max: parseInt(process.env.UPLOAD_CHUNK_LIMIT) || 60, // Max chunks per upload session per window
+  message: {
+    error: 'Too many chunks for this upload, please try again later.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  keyGenerator: (req) => {
+    // Rate limit per upload session of the user
+    return `${req.user ? req.user.id : req.ip}:${req.params.uploadId}`;
+  }
+});
+
 // Admin action rate limiter
 const adminLimiter = rateLimit({
   windowMs: 60 * 1000, // 1 minute
@@ -56,5 +76,6 @@ module.exports = {
   global: globalLimiter,
   auth: authLimiter,
   submission: submissionLimiter,
+  uploadChunk: uploadChunkLimiter,
   admin: adminLimiter
 };
\ No newline at end of file
@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "submissions" ADD COLUMN     "poster_url" TEXT,
+ADD COLUMN     "thumbnail_url" TEXT;
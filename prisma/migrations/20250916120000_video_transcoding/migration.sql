@@ -0,0 +1,7 @@
+-- CreateEnum
+CREATE TYPE "ProcessingStatus" AS ENUM ('PROCESSING', 'READY', 'FAILED');
+
+-- AlterTable
+ALTER TABLE "submissions" ADD COLUMN     "playback_url" TEXT,
+ADD COLUMN     "processing_error" TEXT,
+ADD COLUMN     "processing_status" "ProcessingStatus" NOT NULL DEFAULT 'READY';
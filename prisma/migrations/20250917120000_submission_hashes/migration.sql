@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "submissions" ADD COLUMN     "perceptual_hashes" TEXT[],
+ADD COLUMN     "sha256" TEXT;
+
+-- CreateIndex
+CREATE INDEX "submissions_sha256_idx" ON "submissions"("sha256");
@@ -0,0 +1,25 @@
+-- CreateEnum
+CREATE TYPE "UploadSessionStatus" AS ENUM ('ACTIVE', 'COMPLETED');
+
+-- CreateTable
+CREATE TABLE "upload_sessions" (
+    "id" TEXT NOT NULL,
+    "user_id" TEXT NOT NULL,
+    "file_name" TEXT NOT NULL,
+    "mime_type" TEXT NOT NULL,
+    "total_size" INTEGER NOT NULL,
+    "received_bytes" INTEGER NOT NULL DEFAULT 0,
+    "status" "UploadSessionStatus" NOT NULL DEFAULT 'ACTIVE',
+    "submission_id" TEXT,
+    "expires_at" TIMESTAMP(3) NOT NULL,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "upload_sessions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "upload_sessions_expires_at_idx" ON "upload_sessions"("expires_at");
+
+-- AddForeignKey
+ALTER TABLE "upload_sessions" ADD CONSTRAINT "upload_sessions_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,14 @@
+-- AlterTable
+ALTER TABLE "submissions" ADD COLUMN     "is_public" BOOLEAN NOT NULL DEFAULT false;
+
+-- CreateIndex
+CREATE INDEX "submissions_file_url_idx" ON "submissions"("file_url");
+
+-- CreateIndex
+CREATE INDEX "submissions_thumbnail_url_idx" ON "submissions"("thumbnail_url");
+
+-- CreateIndex
+CREATE INDEX "submissions_poster_url_idx" ON "submissions"("poster_url");
+
+-- CreateIndex
+CREATE INDEX "submissions_playback_url_idx" ON "submissions"("playback_url");
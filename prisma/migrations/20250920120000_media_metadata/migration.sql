@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "submissions" ADD COLUMN     "media_metadata" JSONB;
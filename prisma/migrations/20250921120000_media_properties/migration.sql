@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "submissions" ADD COLUMN     "codec" TEXT,
+ADD COLUMN     "duration" DOUBLE PRECISION,
+ADD COLUMN     "frame_rate" DOUBLE PRECISION,
+ADD COLUMN     "height" INTEGER,
+ADD COLUMN     "width" INTEGER;
@@ -0,0 +1,34 @@
+-- CreateEnum
+CREATE TYPE "MediaState" AS ENUM ('ACTIVE', 'ARCHIVED', 'PURGED');
+
+-- CreateEnum
+CREATE TYPE "RetentionAction" AS ENUM ('ARCHIVE', 'PURGE');
+
+-- AlterTable
+ALTER TABLE "submissions" ADD COLUMN     "media_state" "MediaState" NOT NULL DEFAULT 'ACTIVE',
+ADD COLUMN     "media_state_at" TIMESTAMP(3);
+
+-- CreateTable
+CREATE TABLE "retention_logs" (
+    "id" TEXT NOT NULL,
+    "submission_id" TEXT NOT NULL,
+    "action" "RetentionAction" NOT NULL,
+    "rule" TEXT NOT NULL,
+    "bytes" INTEGER NOT NULL DEFAULT 0,
+    "error" TEXT,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "retention_logs_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "submissions_status_media_state_idx" ON "submissions"("status", "media_state");
+
+-- CreateIndex
+CREATE INDEX "retention_logs_submission_id_idx" ON "retention_logs"("submission_id");
+
+-- CreateIndex
+CREATE INDEX "retention_logs_created_at_idx" ON "retention_logs"("created_at");
+
+-- AddForeignKey
+ALTER TABLE "retention_logs" ADD CONSTRAINT "retention_logs_submission_id_fkey" FOREIGN KEY ("submission_id") REFERENCES "submissions"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,75 @@
+-- DropIndex
+DROP INDEX "submissions_file_url_idx";
+
+-- DropIndex
+DROP INDEX "submissions_thumbnail_url_idx";
+
+-- DropIndex
+DROP INDEX "submissions_poster_url_idx";
+
+-- DropIndex
+DROP INDEX "submissions_playback_url_idx";
+
+-- CreateTable
+CREATE TABLE "submission_assets" (
+    "id" TEXT NOT NULL,
+    "submission_id" TEXT NOT NULL,
+    "position" INTEGER NOT NULL,
+    "file_url" TEXT NOT NULL,
+    "file_name" TEXT NOT NULL,
+    "file_type" "FileType" NOT NULL,
+    "file_size" INTEGER NOT NULL,
+    "thumbnail_url" TEXT,
+    "poster_url" TEXT,
+    "playback_url" TEXT,
+    "processing_status" "ProcessingStatus" NOT NULL DEFAULT 'READY',
+    "processing_error" TEXT,
+    "sha256" TEXT,
+    "perceptual_hashes" TEXT[],
+    "media_metadata" JSONB,
+    "width" INTEGER,
+    "height" INTEGER,
+    "duration" DOUBLE PRECISION,
+    "frame_rate" DOUBLE PRECISION,
+    "codec" TEXT,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "submission_assets_pkey" PRIMARY KEY ("id")
+);
+
+-- Every existing submission becomes a single-asset submission; the asset
+-- reuses the submission id, which is a UUID as well
+INSERT INTO "submission_assets" (
+    "id", "submission_id", "position", "file_url", "file_name", "file_type", "file_size",
+    "thumbnail_url", "poster_url", "playback_url", "processing_status", "processing_error",
+    "sha256", "perceptual_hashes", "media_metadata", "width", "height", "duration",
+    "frame_rate", "codec", "created_at", "updated_at"
+)
+SELECT
+    "id", "id", 0, "file_url", "file_name", "file_type", "file_size",
+    "thumbnail_url", "poster_url", "playback_url", "processing_status", "processing_error",
+    "sha256", "perceptual_hashes", "media_metadata", "width", "height", "duration",
+    "frame_rate", "codec", "created_at", "updated_at"
+FROM "submissions";
+
+-- CreateIndex
+CREATE INDEX "submission_assets_sha256_idx" ON "submission_assets"("sha256");
+
+-- CreateIndex
+CREATE INDEX "submission_assets_file_url_idx" ON "submission_assets"("file_url");
+
+-- CreateIndex
+CREATE INDEX "submission_assets_thumbnail_url_idx" ON "submission_assets"("thumbnail_url");
+
+-- CreateIndex
+CREATE INDEX "submission_assets_poster_url_idx" ON "submission_assets"("poster_url");
+
+-- CreateIndex
+CREATE INDEX "submission_assets_playback_url_idx" ON "submission_assets"("playback_url");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "submission_assets_submission_id_position_key" ON "submission_assets"("submission_id", "position");
+
+-- AddForeignKey
+ALTER TABLE "submission_assets" ADD CONSTRAINT "submission_assets_submission_id_fkey" FOREIGN KEY ("submission_id") REFERENCES "submissions"("id") ON DELETE CASCADE ON UPDATE CASCADE;
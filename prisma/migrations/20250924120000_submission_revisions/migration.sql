@@ -0,0 +1,19 @@
+-- AlterTable
+ALTER TABLE "submissions" ADD COLUMN     "review_started_at" TIMESTAMP(3);
+
+-- CreateTable
+CREATE TABLE "submission_revisions" (
+    "id" TEXT NOT NULL,
+    "submission_id" TEXT NOT NULL,
+    "number" INTEGER NOT NULL,
+    "changes" JSONB NOT NULL,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "submission_revisions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "submission_revisions_submission_id_number_key" ON "submission_revisions"("submission_id", "number");
+
+-- AddForeignKey
+ALTER TABLE "submission_revisions" ADD CONSTRAINT "submission_revisions_submission_id_fkey" FOREIGN KEY ("submission_id") REFERENCES "submissions"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,15 @@
+-- AlterTable
+ALTER TABLE "submissions" ADD COLUMN     "original_submission_id" TEXT,
+ADD COLUMN     "previous_submission_id" TEXT;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "submissions_previous_submission_id_key" ON "submissions"("previous_submission_id");
+
+-- CreateIndex
+CREATE INDEX "submissions_original_submission_id_idx" ON "submissions"("original_submission_id");
+
+-- AddForeignKey
+ALTER TABLE "submissions" ADD CONSTRAINT "submissions_previous_submission_id_fkey" FOREIGN KEY ("previous_submission_id") REFERENCES "submissions"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "submissions" ADD CONSTRAINT "submissions_original_submission_id_fkey" FOREIGN KEY ("original_submission_id") REFERENCES "submissions"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,72 @@
+-- CreateTable
+CREATE TABLE "categories" (
+    "id" TEXT NOT NULL,
+    "slug" TEXT NOT NULL,
+    "names" JSONB NOT NULL,
+    "description" TEXT,
+    "is_active" BOOLEAN NOT NULL DEFAULT true,
+    "sort_order" INTEGER NOT NULL DEFAULT 0,
+    "allowed_file_types" "FileType"[] DEFAULT ARRAY['IMAGE', 'VIDEO']::"FileType"[],
+    "base_reward" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "categories_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "categories_slug_key" ON "categories"("slug");
+
+-- CreateIndex
+CREATE INDEX "categories_is_active_sort_order_idx" ON "categories"("is_active", "sort_order");
+
+-- The categories the dashboard used to offer by default
+INSERT INTO "categories" ("id", "slug", "names", "sort_order", "updated_at") VALUES
+    (gen_random_uuid()::text, 'victory-royale', '{"ru": "Королевская победа", "en": "Victory Royale"}', 10, CURRENT_TIMESTAMP),
+    (gen_random_uuid()::text, 'epic-kill', '{"ru": "Эпичное убийство", "en": "Epic Kill"}', 20, CURRENT_TIMESTAMP),
+    (gen_random_uuid()::text, 'funny-moment', '{"ru": "Смешной момент", "en": "Funny Moment"}', 30, CURRENT_TIMESTAMP),
+    (gen_random_uuid()::text, 'clutch-play', '{"ru": "Клатч", "en": "Clutch Play"}', 40, CURRENT_TIMESTAMP),
+    (gen_random_uuid()::text, 'bug-glitch', '{"ru": "Баг/глитч", "en": "Bug/Glitch"}', 50, CURRENT_TIMESTAMP),
+    (gen_random_uuid()::text, 'creative-build', '{"ru": "Креативная постройка", "en": "Creative Build"}', 60, CURRENT_TIMESTAMP),
+    (gen_random_uuid()::text, 'trick-shot', '{"ru": "Трюковый выстрел", "en": "Trick Shot"}', 70, CURRENT_TIMESTAMP),
+    (gen_random_uuid()::text, 'team-play', '{"ru": "Командная игра", "en": "Team Play"}', 80, CURRENT_TIMESTAMP),
+    (gen_random_uuid()::text, 'solo-win', '{"ru": "Соло-победа", "en": "Solo Win"}', 90, CURRENT_TIMESTAMP),
+    (gen_random_uuid()::text, 'high-kill-game', '{"ru": "Много убийств", "en": "High Kill Game"}', 100, CURRENT_TIMESTAMP);
+
+-- Map the free-text categories of existing submissions to slugs. Case,
+-- spacing and punctuation variants of a name get the same slug and so end up
+-- in one category; names without latin letters or digits get a hash slug.
+ALTER TABLE "submissions" ADD COLUMN "category_slug" TEXT;
+
+UPDATE "submissions" SET "category_slug" = left(
+    CASE
+        WHEN trim(both '-' from regexp_replace(lower(trim("category")), '[^a-z0-9]+', '-', 'g')) = ''
+            THEN 'category-' || left(md5(lower(trim("category"))), 8)
+        ELSE trim(both '-' from regexp_replace(lower(trim("category")), '[^a-z0-9]+', '-', 'g'))
+    END,
+    50
+);
+
+-- Names that match no default become inactive categories, so admins can
+-- review, rename or merge them without users picking them for new uploads
+INSERT INTO "categories" ("id", "slug", "names", "is_active", "sort_order", "updated_at")
+SELECT
+    gen_random_uuid()::text,
+    "category_slug",
+    jsonb_build_object('ru', min(trim("category")), 'en', min(trim("category"))),
+    false,
+    1000,
+    CURRENT_TIMESTAMP
+FROM "submissions"
+WHERE "category_slug" NOT IN (SELECT "slug" FROM "categories")
+GROUP BY "category_slug";
+
+UPDATE "submissions" SET "category" = "category_slug";
+
+ALTER TABLE "submissions" DROP COLUMN "category_slug";
+
+-- CreateIndex
+CREATE INDEX "submissions_category_idx" ON "submissions"("category");
+
+-- AddForeignKey
+ALTER TABLE "submissions" ADD CONSTRAINT "submissions_category_fkey" FOREIGN KEY ("category") REFERENCES "categories"("slug") ON DELETE RESTRICT ON UPDATE CASCADE;
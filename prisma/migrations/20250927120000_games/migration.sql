@@ -0,0 +1,65 @@
+-- CreateTable
+CREATE TABLE "games" (
+    "id" TEXT NOT NULL,
+    "slug" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "icon_url" TEXT,
+    "is_active" BOOLEAN NOT NULL DEFAULT true,
+    "sort_order" INTEGER NOT NULL DEFAULT 0,
+    "max_submissions_per_day" INTEGER,
+    "max_files" INTEGER,
+    "max_file_size" INTEGER,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "games_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "games_slug_key" ON "games"("slug");
+
+-- CreateIndex
+CREATE INDEX "games_is_active_sort_order_idx" ON "games"("is_active", "sort_order");
+
+-- Everything submitted so far is Fortnite content
+INSERT INTO "games" ("id", "slug", "name", "sort_order", "updated_at")
+VALUES (gen_random_uuid()::text, 'fortnite', 'Fortnite', 10, CURRENT_TIMESTAMP);
+
+-- Categories become per game, so slugs only have to be unique within a game
+ALTER TABLE "submissions" DROP CONSTRAINT "submissions_category_fkey";
+
+DROP INDEX "submissions_category_idx";
+
+DROP INDEX "categories_slug_key";
+
+DROP INDEX "categories_is_active_sort_order_idx";
+
+ALTER TABLE "categories" ADD COLUMN "game_id" TEXT;
+
+UPDATE "categories" SET "game_id" = (SELECT "id" FROM "games" WHERE "slug" = 'fortnite');
+
+ALTER TABLE "categories" ALTER COLUMN "game_id" SET NOT NULL;
+
+ALTER TABLE "submissions" ADD COLUMN "game_id" TEXT;
+
+UPDATE "submissions" SET "game_id" = (SELECT "id" FROM "games" WHERE "slug" = 'fortnite');
+
+ALTER TABLE "submissions" ALTER COLUMN "game_id" SET NOT NULL;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "categories_game_id_slug_key" ON "categories"("game_id", "slug");
+
+-- CreateIndex
+CREATE INDEX "categories_game_id_is_active_sort_order_idx" ON "categories"("game_id", "is_active", "sort_order");
+
+-- CreateIndex
+CREATE INDEX "submissions_game_id_category_idx" ON "submissions"("game_id", "category");
+
+-- AddForeignKey
+ALTER TABLE "categories" ADD CONSTRAINT "categories_game_id_fkey" FOREIGN KEY ("game_id") REFERENCES "games"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "submissions" ADD CONSTRAINT "submissions_game_id_fkey" FOREIGN KEY ("game_id") REFERENCES "games"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "submissions" ADD CONSTRAINT "submissions_game_id_category_fkey" FOREIGN KEY ("game_id", "category") REFERENCES "categories"("game_id", "slug") ON DELETE RESTRICT ON UPDATE CASCADE;
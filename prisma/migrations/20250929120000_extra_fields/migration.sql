@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "categories" ADD COLUMN "field_schema" JSONB NOT NULL DEFAULT '[]';
+
+-- AlterTable
+ALTER TABLE "submissions" ADD COLUMN "extra_fields" JSONB NOT NULL DEFAULT '{}';
@@ -0,0 +1,10 @@
+-- AlterTable
+ALTER TABLE "submissions" ADD COLUMN "claimed_by" TEXT,
+ADD COLUMN "claimed_at" TIMESTAMP(3),
+ADD COLUMN "claim_expires_at" TIMESTAMP(3);
+
+-- CreateIndex
+CREATE INDEX "submissions_status_claim_expires_at_idx" ON "submissions"("status", "claim_expires_at");
+
+-- AddForeignKey
+ALTER TABLE "submissions" ADD CONSTRAINT "submissions_claimed_by_fkey" FOREIGN KEY ("claimed_by") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
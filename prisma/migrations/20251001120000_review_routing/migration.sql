@@ -0,0 +1,14 @@
+-- AlterTable
+ALTER TABLE "users" ADD COLUMN "auto_assign" BOOLEAN NOT NULL DEFAULT true,
+ADD COLUMN "review_game_ids" TEXT[],
+ADD COLUMN "review_category_ids" TEXT[];
+
+-- AlterTable
+ALTER TABLE "submissions" ADD COLUMN "assigned_to" TEXT,
+ADD COLUMN "assigned_at" TIMESTAMP(3);
+
+-- CreateIndex
+CREATE INDEX "submissions_assigned_to_status_idx" ON "submissions"("assigned_to", "status");
+
+-- AddForeignKey
+ALTER TABLE "submissions" ADD CONSTRAINT "submissions_assigned_to_fkey" FOREIGN KEY ("assigned_to") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
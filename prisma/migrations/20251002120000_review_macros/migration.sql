@@ -0,0 +1,31 @@
+-- CreateTable
+CREATE TABLE "review_macros" (
+    "id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "status" "SubmissionStatus" NOT NULL,
+    "reason_template" TEXT,
+    "bonus_amount" DOUBLE PRECISION,
+    "tags" TEXT[],
+    "is_active" BOOLEAN NOT NULL DEFAULT true,
+    "sort_order" INTEGER NOT NULL DEFAULT 0,
+    "created_by" TEXT,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "review_macros_pkey" PRIMARY KEY ("id")
+);
+
+-- AlterTable
+ALTER TABLE "submissions" ADD COLUMN "review_macro_id" TEXT;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "review_macros_name_key" ON "review_macros"("name");
+
+-- CreateIndex
+CREATE INDEX "review_macros_is_active_sort_order_idx" ON "review_macros"("is_active", "sort_order");
+
+-- AddForeignKey
+ALTER TABLE "submissions" ADD CONSTRAINT "submissions_review_macro_id_fkey" FOREIGN KEY ("review_macro_id") REFERENCES "review_macros"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "review_macros" ADD CONSTRAINT "review_macros_created_by_fkey" FOREIGN KEY ("created_by") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,16 @@
+-- CreateEnum
+CREATE TYPE "AppealStatus" AS ENUM ('PENDING', 'GRANTED', 'DENIED');
+
+-- AlterTable
+ALTER TABLE "submissions" ADD COLUMN "appeal_status" "AppealStatus",
+ADD COLUMN "appeal_message" TEXT,
+ADD COLUMN "appealed_at" TIMESTAMP(3),
+ADD COLUMN "appeal_decided_by" TEXT,
+ADD COLUMN "appeal_decided_at" TIMESTAMP(3),
+ADD COLUMN "appeal_response" TEXT;
+
+-- CreateIndex
+CREATE INDEX "submissions_appeal_status_appealed_at_idx" ON "submissions"("appeal_status", "appealed_at");
+
+-- AddForeignKey
+ALTER TABLE "submissions" ADD CONSTRAINT "submissions_appeal_decided_by_fkey" FOREIGN KEY ("appeal_decided_by") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,53 @@
+-- CreateEnum
+CREATE TYPE "CosignType" AS ENUM ('REVIEW_BONUS', 'BALANCE_CREDIT');
+
+-- CreateEnum
+CREATE TYPE "CosignStatus" AS ENUM ('PENDING', 'CONFIRMED', 'REJECTED', 'EXPIRED');
+
+-- CreateTable
+CREATE TABLE "cosign_requests" (
+    "id" TEXT NOT NULL,
+    "type" "CosignType" NOT NULL,
+    "status" "CosignStatus" NOT NULL DEFAULT 'PENDING',
+    "user_id" TEXT NOT NULL,
+    "amount" DOUBLE PRECISION NOT NULL,
+    "reason" TEXT NOT NULL,
+    "submission_id" TEXT,
+    "review_macro_id" TEXT,
+    "requested_by" TEXT NOT NULL,
+    "decided_by" TEXT,
+    "decided_at" TIMESTAMP(3),
+    "expires_at" TIMESTAMP(3) NOT NULL,
+    "payout_id" TEXT,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "cosign_requests_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "cosign_requests_payout_id_key" ON "cosign_requests"("payout_id");
+
+-- CreateIndex
+CREATE INDEX "cosign_requests_status_expires_at_idx" ON "cosign_requests"("status", "expires_at");
+
+-- CreateIndex
+CREATE INDEX "cosign_requests_submission_id_status_idx" ON "cosign_requests"("submission_id", "status");
+
+-- AddForeignKey
+ALTER TABLE "cosign_requests" ADD CONSTRAINT "cosign_requests_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "cosign_requests" ADD CONSTRAINT "cosign_requests_submission_id_fkey" FOREIGN KEY ("submission_id") REFERENCES "submissions"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "cosign_requests" ADD CONSTRAINT "cosign_requests_review_macro_id_fkey" FOREIGN KEY ("review_macro_id") REFERENCES "review_macros"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "cosign_requests" ADD CONSTRAINT "cosign_requests_requested_by_fkey" FOREIGN KEY ("requested_by") REFERENCES "users"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "cosign_requests" ADD CONSTRAINT "cosign_requests_decided_by_fkey" FOREIGN KEY ("decided_by") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "cosign_requests" ADD CONSTRAINT "cosign_requests_payout_id_fkey" FOREIGN KEY ("payout_id") REFERENCES "payouts"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,15 @@
+-- AlterTable
+ALTER TABLE "payouts" ADD COLUMN "submission_id" TEXT,
+ADD COLUMN "reversal_of_id" TEXT;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "payouts_reversal_of_id_key" ON "payouts"("reversal_of_id");
+
+-- CreateIndex
+CREATE INDEX "payouts_submission_id_idx" ON "payouts"("submission_id");
+
+-- AddForeignKey
+ALTER TABLE "payouts" ADD CONSTRAINT "payouts_submission_id_fkey" FOREIGN KEY ("submission_id") REFERENCES "submissions"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "payouts" ADD CONSTRAINT "payouts_reversal_of_id_fkey" FOREIGN KEY ("reversal_of_id") REFERENCES "payouts"("id") ON DELETE SET NULL ON UPDATE CASCADE;
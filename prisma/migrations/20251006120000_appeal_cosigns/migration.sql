@@ -0,0 +1,5 @@
+-- AlterEnum
+ALTER TYPE "CosignType" ADD VALUE 'APPEAL_BONUS';
+
+-- AlterTable
+ALTER TABLE "cosign_requests" ADD COLUMN     "appeal_response" TEXT;
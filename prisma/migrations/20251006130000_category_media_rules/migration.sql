@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "categories" ADD COLUMN     "media_rules" JSONB NOT NULL DEFAULT '{}';
+
+-- Carry over the rules config/mediaRules.js used to apply by slug alone
+UPDATE "categories" SET "media_rules" = '{"VIDEO": {"minDuration": 5}}' WHERE "slug" IN ('victory-royale', 'clutch-play');
+UPDATE "categories" SET "media_rules" = '{"VIDEO": {"maxDuration": 120}}' WHERE "slug" = 'trick-shot';
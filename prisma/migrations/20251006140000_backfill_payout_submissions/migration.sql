@@ -0,0 +1,28 @@
+-- Link approval and appeal bonuses paid before payouts carried their
+-- submission, so reverting those approvals takes the bonus back. A payout
+-- matches an approved submission of the same user when the moderator who
+-- reviewed it (or granted its appeal) paid it within a minute of doing so.
+-- Payouts matching more than one submission are left unlinked.
+WITH "matches" AS (
+    SELECT p."id" AS "payout_id",
+           s."id" AS "submission_id",
+           COUNT(*) OVER (PARTITION BY p."id") AS "candidates"
+    FROM "payouts" p
+    JOIN "submissions" s ON s."user_id" = p."user_id" AND s."status" = 'APPROVED'
+    WHERE p."submission_id" IS NULL
+      AND p."reversal_of_id" IS NULL
+      AND p."amount" > 0
+      AND (
+        (p."reason" LIKE 'Approved submission:%'
+          AND p."admin_id" = s."reviewed_by"
+          AND p."created_at" BETWEEN s."reviewed_at" - INTERVAL '1 minute' AND s."reviewed_at" + INTERVAL '1 minute')
+        OR
+        (p."reason" LIKE 'Appeal granted:%'
+          AND p."admin_id" = s."appeal_decided_by"
+          AND p."created_at" BETWEEN s."appeal_decided_at" - INTERVAL '1 minute' AND s."appeal_decided_at" + INTERVAL '1 minute')
+      )
+)
+UPDATE "payouts"
+SET "submission_id" = "matches"."submission_id"
+FROM "matches"
+WHERE "payouts"."id" = "matches"."payout_id" AND "matches"."candidates" = 1;
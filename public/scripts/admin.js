@@ -5,7 +5,14 @@ class AdminPanel {
         this.submissions = [];
         this.users = [];
         this.logs = [];
+        this.games = [];
+        this.categories = [];
+        this.macros = [];
         this.selectedSubmissions = new Set();
+        this.reviewClaim = null;
+        this.claimTimer = null;
+        this.myQueue = false;
+        this.appealQueue = false;
         this.currentTab = 'submissions';
         this.init();
     }
@@ -13,7 +20,11 @@ class AdminPanel {
     async init() {
         try {
             await this.loadStats();
+            await this.loadGames();
+            await this.loadCategories();
+            await this.loadMacros();
             await this.loadSubmissions();
+            await this.loadRouting();
             this.setupEventListeners();
             this.updateUI();
         } catch (error) {
@@ -24,7 +35,9 @@ class AdminPanel {
 
     async loadStats() {
         try {
-            const response = await gamePlatform.apiRequest('/api/admin/stats');
+            const gameFilter = document.getElementById('submissionGameFilter')?.value || '';
+            const params = gameFilter ? `?${new URLSearchParams({ game: gameFilter })}` : '';
+            const response = await gamePlatform.apiRequest(`/api/admin/stats${params}`);
             this.stats = response;
         } catch (error) {
             console.error('Load stats error:', error);
@@ -32,12 +45,146 @@ class AdminPanel {
         }
     }
 
+    async loadGames() {
+        try {
+            const response = await gamePlatform.apiRequest('/api/admin/games');
+            this.games = response.games;
+
+            const gameFilter = document.getElementById('submissionGameFilter');
+            if (gameFilter) {
+                const selected = gameFilter.value;
+                gameFilter.innerHTML = '<option value="">Все игры</option>' +
+                    this.games.map(game => `
+                        <option value="${game.slug}">${game.name}${game.isActive ? '' : ' (неактивна)'}</option>
+                    `).join('');
+                gameFilter.value = selected;
+            }
+
+            const categoryGame = document.getElementById('categoryGame');
+            if (categoryGame) {
+                categoryGame.innerHTML = this.games.map(game => `<option value="${game.id}">${game.name}</option>`).join('');
+            }
+
+            this.renderGames();
+        } catch (error) {
+            console.error('Load games error:', error);
+            gamePlatform.showToast('Ошибка загрузки игр', 'error');
+        }
+    }
+
+    async loadCategories() {
+        try {
+            const response = await gamePlatform.apiRequest('/api/admin/categories');
+            this.categories = response.categories;
+
+            this.renderCategoryFilter();
+            this.renderCategories();
+        } catch (error) {
+            console.error('Load categories error:', error);
+            gamePlatform.showToast('Ошибка загрузки категорий', 'error');
+        }
+    }
+
+    async loadMacros() {
+        try {
+            const response = await gamePlatform.apiRequest('/api/admin/macros?includeInactive=true');
+            this.macros = response.macros;
+
+            this.renderMacros();
+        } catch (error) {
+            console.error('Load macros error:', error);
+            gamePlatform.showToast('Ошибка загрузки шаблонов', 'error');
+        }
+    }
+
+    // Active macros, optionally only those setting `status`
+    activeMacros(status = null) {
+        return this.macros.filter(macro => macro.isActive && (!status || macro.status === status));
+    }
+
+    // Categories of the game picked in the filter; without a game, each slug
+    // is offered once and matches that category in every game
+    renderCategoryFilter() {
+        const categoryFilter = document.getElementById('submissionCategoryFilter');
+        if (!categoryFilter) return;
+
+        const gameSlug = document.getElementById('submissionGameFilter')?.value || '';
+        const categories = gameSlug
+            ? this.categories.filter(category => category.game.slug === gameSlug)
+            : this.categories.filter((category, index) => this.categories.findIndex(c => c.slug === category.slug) === index);
+
+        const selected = categoryFilter.value;
+        categoryFilter.innerHTML = '<option value="">Все категории</option>' +
+            categories.map(category => `
+                <option value="${category.slug}">${this.categoryName(category.gameId, category.slug)}${category.isActive ? '' : ' (неактивна)'}</option>
+            `).join('');
+        categoryFilter.value = categories.some(category => category.slug === selected) ? selected : '';
+        this.renderSortOptions();
+    }
+
+    // Extra fields of the filtered categories the list can be sorted by
+    renderSortOptions() {
+        const sortField = document.getElementById('submissionSortField');
+        if (!sortField) return;
+
+        const gameSlug = document.getElementById('submissionGameFilter')?.value || '';
+        const categorySlug = document.getElementById('submissionCategoryFilter')?.value || '';
+        const fields = new Map();
+        this.categories
+            .filter(category => (!gameSlug || category.game.slug === gameSlug) && (!categorySlug || category.slug === categorySlug))
+            .forEach(category => category.fieldSchema
+                .filter(field => field.type !== 'string')
+                .forEach(field => fields.set(field.key, field.names.ru || field.names.en || field.key)));
+
+        const selected = sortField.value;
+        sortField.innerHTML = '<option value="">По дате</option>' +
+            [...fields].map(([key, label]) => `<option value="${key}">${label}</option>`).join('');
+        sortField.value = fields.has(selected) ? selected : '';
+    }
+
+    // Text users wrote, safe to put into innerHTML
+    escapeHtml(value) {
+        return String(value).replace(/[&<>"']/g, char => ({
+            '&': '&amp;',
+            '<': '&lt;',
+            '>': '&gt;',
+            '"': '&quot;',
+            "'": '&#39;'
+        })[char]);
+    }
+
+    // Extra field values of a submission with the labels its category gives
+    // them, escaped for innerHTML
+    formatExtraFields(submission) {
+        const category = this.categories.find(c => c.gameId === submission.gameId && c.slug === submission.category);
+        const values = submission.extraFields || {};
+
+        return Object.entries(values).map(([key, value]) => {
+            const field = category ? category.fieldSchema.find(f => f.key === key) : null;
+            const label = field ? field.names.ru || field.names.en || key : key;
+            return this.escapeHtml(`${label}: ${typeof value === 'boolean' ? (value ? 'да' : 'нет') : value}`);
+        }).join(' • ');
+    }
+
+    // Display name of a game's category
+    categoryName(gameId, slug) {
+        const category = this.categories.find(c => c.gameId === gameId && c.slug === slug);
+        return category ? (category.names.ru || category.names.en || slug) : slug;
+    }
+
+    gameName(gameId) {
+        const game = this.games.find(g => g.id === gameId);
+        return game ? game.name : '—';
+    }
+
     async loadSubmissions(page = 1) {
         try {
             this.showLoading('submissionsLoading', true);
             
             const statusFilter = document.getElementById('submissionStatusFilter')?.value || '';
+            const gameFilter = document.getElementById('submissionGameFilter')?.value || '';
             const categoryFilter = document.getElementById('submissionCategoryFilter')?.value || '';
+            const tagFilter = document.getElementById('submissionTagFilter')?.value.trim() || '';
             
             const params = new URLSearchParams({
                 page: page.toString(),
@@ -45,9 +192,35 @@ class AdminPanel {
             });
             
             if (statusFilter) params.append('status', statusFilter);
+            if (gameFilter) params.append('game', gameFilter);
             if (categoryFilter) params.append('category', categoryFilter);
+            if (tagFilter) params.append('tags', tagFilter);
+
+            // Sorted by an extra field or by date, newest first unless asked otherwise
+            const sortField = document.getElementById('submissionSortField')?.value || '';
+            const sortOrder = document.getElementById('submissionSortOrder')?.value || '';
+            if (sortField) params.append('sortField', sortField);
+            if (sortField || sortOrder) params.append('sortOrder', sortOrder || 'desc');
+
+            // Media property filters: minimum height, duration range and codec
+            [
+                ['submissionMinHeightFilter', 'minHeight'],
+                ['submissionMinDurationFilter', 'minDuration'],
+                ['submissionMaxDurationFilter', 'maxDuration'],
+                ['submissionCodecFilter', 'codec']
+            ].forEach(([elementId, param]) => {
+                const value = document.getElementById(elementId)?.value || '';
+                if (value) params.append(param, value);
+            });
 
-            const response = await gamePlatform.apiRequest(`/api/admin/submissions?${params}`);
+            // My queue lists the pending submissions routed to me and the
+            // appeal queue the pending appeals, oldest first
+            const queueParams = new URLSearchParams({ page: page.toString(), limit: '20' });
+            const response = await gamePlatform.apiRequest(this.myQueue
+                ? `/api/admin/queue/mine?${queueParams}`
+                : this.appealQueue
+                    ? `/api/admin/appeals?${queueParams}`
+                    : `/api/admin/submissions?${params}`);
             this.submissions = response.submissions;
             this.submissionsPagination = response.pagination;
             
@@ -135,10 +308,29 @@ class AdminPanel {
             this.loadSubmissions(1);
         });
 
+        // Statistics follow the game filter too
+        document.getElementById('submissionGameFilter')?.addEventListener('change', async () => {
+            this.renderCategoryFilter();
+            this.loadSubmissions(1);
+            await this.loadStats();
+            this.updateUI();
+        });
+
         document.getElementById('submissionCategoryFilter')?.addEventListener('change', () => {
+            this.renderSortOptions();
             this.loadSubmissions(1);
         });
 
+        document.getElementById('routingStrategy')?.addEventListener('change', (e) => {
+            this.saveRoutingStrategy(e.target.value);
+        });
+
+        ['submissionSortField', 'submissionSortOrder', 'submissionTagFilter', 'submissionMinHeightFilter', 'submissionMinDurationFilter', 'submissionMaxDurationFilter', 'submissionCodecFilter'].forEach(elementId => {
+            document.getElementById(elementId)?.addEventListener('change', () => {
+                this.loadSubmissions(1);
+            });
+        });
+
         document.getElementById('userRoleFilter')?.addEventListener('change', () => {
             this.loadUsers(1);
         });
@@ -191,7 +383,56 @@ class AdminPanel {
             document.getElementById('totalSubmissions').textContent = this.stats.overview.totalSubmissions;
             document.getElementById('pendingSubmissions').textContent = this.stats.overview.pendingSubmissions;
             document.getElementById('totalPayouts').textContent = this.stats.overview.totalPayouts.toFixed(2);
+
+            // Pending submissions waiting longer than a day and than three days
+            const pendingOver24h = document.getElementById('pendingOver24h');
+            if (pendingOver24h) pendingOver24h.textContent = this.stats.pendingAging.over24h;
+            const pendingOver72h = document.getElementById('pendingOver72h');
+            if (pendingOver72h) pendingOver72h.textContent = this.stats.pendingAging.over72h;
+
+            const appealQueueButton = document.getElementById('appealQueueButton');
+            if (appealQueueButton) appealQueueButton.textContent = `Апелляции (${this.stats.overview.pendingAppeals})`;
+
+            const cosignButton = document.getElementById('cosignButton');
+            if (cosignButton) cosignButton.textContent = `Подтверждения (${this.stats.overview.pendingCosigns})`;
+
+            this.renderMacroStats();
+        }
+    }
+
+    // Approval rate of reviews made with each macro and without one
+    renderMacroStats() {
+        const container = document.getElementById('macroStatsTable');
+        if (!container) return;
+
+        const rows = this.stats.reviewsByMacro.filter(item => item.total > 0);
+        if (rows.length === 0) {
+            container.innerHTML = '<div class="table-empty"><div class="empty-icon">📊</div><h3>Проверок пока нет</h3></div>';
+            return;
         }
+
+        container.innerHTML = `
+            <table class="admin-table">
+                <thead>
+                    <tr>
+                        <th>Шаблон</th>
+                        <th>Одобрено</th>
+                        <th>Отклонено</th>
+                        <th>Доля одобрений</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${rows.map(item => `
+                        <tr>
+                            <td>${item.macro ? `${item.macro.name}${item.macro.isActive ? '' : ' (неактивен)'}` : 'Без шаблона'}</td>
+                            <td>${item.approved}</td>
+                            <td>${item.rejected}</td>
+                            <td>${Math.round(item.approvalRate * 100)}%</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
     }
 
     renderSubmissions() {
@@ -234,10 +475,18 @@ class AdminPanel {
             'REJECTED': 'Отклонено'
         }[submission.status];
 
+        const processingText = {
+            'PROCESSING': '⏳ Обработка видео',
+            'FAILED': '⚠️ Ошибка обработки'
+        }[submission.processingStatus];
+
+        const previewUrl = submission.thumbnailUrl || submission.posterUrl;
         const isImage = submission.fileType === 'IMAGE';
-        const mediaElement = isImage 
-            ? `<img src="${submission.fileUrl}" class="submission-preview-small" alt="Preview">`
-            : `<video src="${submission.fileUrl}" class="submission-preview-small" muted></video>`;
+        const mediaElement = previewUrl
+            ? `<img src="${previewUrl}" class="submission-preview-small" alt="Preview" loading="lazy">`
+            : isImage 
+                ? `<img src="${submission.fileUrl}" class="submission-preview-small" alt="Preview">`
+                : `<video src="${submission.fileUrl}" class="submission-preview-small" preload="metadata" muted></video>`;
 
         return `
             <tr class="${this.selectedSubmissions.has(submission.id) ? 'selected' : ''}">
@@ -249,8 +498,14 @@ class AdminPanel {
                 <td>${mediaElement}</td>
                 <td>
                     <div class="submission-info-compact">
-                        <div class="submission-category-small">${submission.category}</div>
+                        <div class="submission-category-small">${this.gameName(submission.gameId)} • ${this.categoryName(submission.gameId, submission.category)}</div>
+                        ${submission.previousSubmissionId ? '<div class="submission-description-small">🔁 Повторная отправка</div>' : ''}
+                        ${submission.assets && submission.assets.length > 1 ? `<div class="submission-description-small">📎 Файлов: ${submission.assets.length}</div>` : ''}
+                        ${submission.processingStatus !== 'READY' ? `<div class="submission-description-small">${processingText}</div>` : ''}
+                        ${this.formatMediaProperties(submission) ? `<div class="submission-description-small">${this.formatMediaProperties(submission)}</div>` : ''}
+                        ${this.formatExtraFields(submission) ? `<div class="submission-description-small">${this.formatExtraFields(submission)}</div>` : ''}
                         ${submission.description ? `<div class="submission-description-small">${submission.description}</div>` : ''}
+                        ${submission.tags && submission.tags.length > 0 ? `<div class="tag-list">${submission.tags.map(tag => `<span class="tag-chip">#${tag}</span>`).join('')}</div>` : ''}
                     </div>
                 </td>
                 <td>
@@ -264,6 +519,9 @@ class AdminPanel {
                 </td>
                 <td>
                     <span class="status-badge ${statusClass}">${statusText}</span>
+                    ${submission.status === 'PENDING' && submission.assignee ? `<div class="submission-description-small">👤 ${submission.assignee.nickname}</div>` : ''}
+                    ${submission.claim ? `<div class="submission-description-small" title="До ${gamePlatform.formatDate(submission.claim.expiresAt)}">🔒 ${submission.claim.moderator}</div>` : ''}
+                    ${submission.appealStatus === 'PENDING' ? '<div class="submission-description-small">⚖️ Апелляция</div>' : ''}
                 </td>
                 <td class="date-cell">
                     ${gamePlatform.formatDate(submission.createdAt)}
@@ -287,6 +545,30 @@ class AdminPanel {
         `;
     }
 
+    // Resolution, duration, frame rate and codec, e.g. "1920×1080 · 0:45 · 60 fps · h264"
+    formatMediaProperties(submission) {
+        const parts = [];
+
+        if (submission.width && submission.height) {
+            parts.push(`${submission.width}×${submission.height}`);
+        }
+
+        if (submission.duration) {
+            const seconds = Math.round(submission.duration);
+            parts.push(`${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`);
+        }
+
+        if (submission.frameRate) {
+            parts.push(`${Math.round(submission.frameRate)} fps`);
+        }
+
+        if (submission.codec) {
+            parts.push(submission.codec);
+        }
+
+        return parts.join(' · ');
+    }
+
     renderUsers() {
         const container = document.getElementById('usersTable');
         
@@ -554,36 +836,392 @@ class AdminPanel {
         }
     }
 
+    // Fields that describe one asset of the submission under review
+    renderAssetFields(asset, hasOriginal) {
+        const label = this.reviewAssets.length > 1
+            ? `Файл ${this.reviewAssets.indexOf(asset) + 1} из ${this.reviewAssets.length}`
+            : 'Размер файла';
+
+        return `
+            <div class="review-field">
+                <label>${label}:</label>
+                <div class="value">
+                    ${gamePlatform.formatFileSize(asset.fileSize)}
+                    ${hasOriginal ? `<a href="${asset.fileUrl}" download="${this.escapeHtml(asset.fileName)}">Скачать оригинал</a>` : ''}
+                </div>
+            </div>
+            ${this.formatMediaProperties(asset) ? `
+                <div class="review-field">
+                    <label>Параметры файла:</label>
+                    <div class="value">${this.formatMediaProperties(asset)}</div>
+                </div>
+            ` : ''}
+            ${asset.mediaMetadata ? `
+                <div class="review-field">
+                    <label>Метаданные снимка:</label>
+                    <div class="value">
+                        ${asset.mediaMetadata.width}×${asset.mediaMetadata.height}
+                        ${asset.mediaMetadata.capturedAt ? `<br>Снято: ${gamePlatform.formatDate(asset.mediaMetadata.capturedAt)}` : ''}
+                        ${asset.mediaMetadata.cameraMake || asset.mediaMetadata.cameraModel ? `<br>Устройство: ${this.escapeHtml([asset.mediaMetadata.cameraMake, asset.mediaMetadata.cameraModel].filter(Boolean).join(' '))}` : ''}
+                        ${asset.mediaMetadata.software ? `<br>ПО: ${this.escapeHtml(asset.mediaMetadata.software)}` : ''}
+                    </div>
+                </div>
+            ` : ''}
+            ${asset.fileType === 'VIDEO' ? `
+                <div class="review-field">
+                    <label>Обработка видео:</label>
+                    <div class="value">${{
+                        'PROCESSING': 'Конвертируется, воспроизводится оригинал',
+                        'READY': 'Готово',
+                        'FAILED': `Ошибка: ${asset.processingError || 'неизвестно'}`
+                    }[asset.processingStatus]}</div>
+                </div>
+            ` : ''}
+        `;
+    }
+
+    // The rejected submission a resubmission replaces
+    renderPreviousVersion(previous) {
+        const assets = previous.assets && previous.assets.length > 0 ? previous.assets : [previous];
+
+        return `
+            <div class="review-media">
+                ${this.renderAssetMedia(assets[0], previous.mediaState === 'ACTIVE')}
+            </div>
+            ${assets.length > 1 ? `
+                <div class="review-field">
+                    <label>Файлы:</label>
+                    <div class="value">${this.escapeHtml(assets.map(asset => asset.fileName).join(', '))}</div>
+                </div>
+            ` : ''}
+            <div class="review-field">
+                <label>Категория:</label>
+                <div class="value">${this.gameName(previous.gameId)} • ${this.categoryName(previous.gameId, previous.category)}</div>
+            </div>
+            ${previous.description ? `
+                <div class="review-field">
+                    <label>Описание:</label>
+                    <div class="value">${this.escapeHtml(previous.description)}</div>
+                </div>
+            ` : ''}
+            <div class="review-field">
+                <label>Причина отклонения:</label>
+                <div class="value">${this.escapeHtml(previous.rejectReason || '—')}</div>
+            </div>
+            <div class="review-field">
+                <label>Отклонил:</label>
+                <div class="value">
+                    ${previous.reviewer ? previous.reviewer.nickname : '—'}
+                    ${previous.reviewedAt ? `(${gamePlatform.formatDate(previous.reviewedAt)})` : ''}
+                </div>
+            </div>
+        `;
+    }
+
+    // Owner edits made while the submission was pending, oldest first.
+    // `gameId` is the submission's current game; categories are named in the
+    // game they belonged to at the time of each edit.
+    renderRevisions(revisions, gameId) {
+        const describeFiles = (files) => files
+            .map(file => `${file.fileName} (${gamePlatform.formatFileSize(file.fileSize)})`)
+            .join(', ');
+
+        const describeValues = (values) => Object.entries(values)
+            .map(([key, value]) => `${key}: ${value}`)
+            .join(', ');
+
+        // File names, descriptions and values come from the user
+        const renderChange = (label, from, to) => `
+            <div class="revision-change">
+                <span class="revision-field">${label}:</span>
+                <span class="diff-removed">${this.escapeHtml(from || '—')}</span>
+                →
+                <span class="diff-added">${this.escapeHtml(to || '—')}</span>
+            </div>
+        `;
+
+        const firstGameChange = revisions.find(revision => revision.changes.game);
+        let currentGameId = firstGameChange ? firstGameChange.changes.game.from : gameId;
+
+        return `
+            <div class="revision-list">
+                ${revisions.map(revision => {
+                    const { game, category } = revision.changes;
+                    const fromGameId = currentGameId;
+                    currentGameId = game ? game.to : currentGameId;
+
+                    return `
+                    <div class="revision-item">
+                        <div class="revision-header">
+                            Правка №${revision.number} • ${gamePlatform.formatDate(revision.createdAt)}
+                        </div>
+                        ${game ? renderChange('Игра', this.gameName(game.from), this.gameName(game.to)) : ''}
+                        ${category ? renderChange('Категория', this.categoryName(fromGameId, category.from), this.categoryName(currentGameId, category.to)) : ''}
+                        ${revision.changes.description ? renderChange('Описание', revision.changes.description.from, revision.changes.description.to) : ''}
+                        ${revision.changes.extraFields ? renderChange('Данные матча', describeValues(revision.changes.extraFields.from), describeValues(revision.changes.extraFields.to)) : ''}
+                        ${revision.changes.files ? renderChange('Файлы', describeFiles(revision.changes.files.from), describeFiles(revision.changes.files.to)) : ''}
+                    </div>
+                    `;
+                }).join('')}
+            </div>
+        `;
+    }
+
+    // Retention may have moved the original out; fall back to what is left
+    renderAssetMedia(asset, hasOriginal) {
+        if (asset.fileType === 'IMAGE') {
+            return `<img src="${hasOriginal ? asset.fileUrl : asset.thumbnailUrl}" alt="Submission">`;
+        }
+
+        return asset.playbackUrl || hasOriginal
+            ? `<video src="${asset.playbackUrl || asset.fileUrl}" ${asset.posterUrl ? `poster="${asset.posterUrl}"` : ''} preload="none" controls></video>`
+            : `<img src="${asset.thumbnailUrl}" alt="Submission">`;
+    }
+
+    showReviewAsset(index) {
+        const asset = this.reviewAssets[index];
+        const hasOriginal = this.reviewHasOriginal;
+
+        document.getElementById('reviewAssetMedia').innerHTML = this.renderAssetMedia(asset, hasOriginal);
+        document.getElementById('reviewAssetFields').innerHTML = this.renderAssetFields(asset, hasOriginal);
+        document.querySelectorAll('.review-gallery .asset-thumb').forEach((thumb, i) => {
+            thumb.classList.toggle('active', i === index);
+        });
+    }
+
     // Submission Actions
-    async viewSubmission(submissionId) {
+    toggleMyQueue() {
+        this.myQueue = !this.myQueue;
+        this.appealQueue = false;
+        document.getElementById('myQueueButton')?.classList.toggle('active', this.myQueue);
+        document.getElementById('appealQueueButton')?.classList.remove('active');
+        this.loadSubmissions(1);
+    }
+
+    toggleAppealQueue() {
+        this.appealQueue = !this.appealQueue;
+        this.myQueue = false;
+        document.getElementById('appealQueueButton')?.classList.toggle('active', this.appealQueue);
+        document.getElementById('myQueueButton')?.classList.remove('active');
+        this.loadSubmissions(1);
+    }
+
+    // Routing strategy; only super admins can change it
+    async loadRouting() {
+        const select = document.getElementById('routingStrategy');
+        if (!select) return;
+
+        try {
+            const routing = await gamePlatform.apiRequest('/api/admin/routing');
+            const labels = {
+                'none': 'Без распределения',
+                'round-robin': 'По очереди',
+                'least-loaded': 'Наименее загруженному',
+                'specialization': 'По специализации'
+            };
+
+            select.innerHTML = routing.strategies
+                .map(strategy => `<option value="${strategy}">${labels[strategy] || strategy}</option>`)
+                .join('');
+            select.value = routing.strategy;
+            select.disabled = gamePlatform.user?.role !== 'ADMIN';
+            select.classList.remove('hidden');
+        } catch (error) {
+            console.error('Load routing error:', error);
+        }
+    }
+
+    async saveRoutingStrategy(strategy) {
+        try {
+            await gamePlatform.apiRequest('/api/admin/routing', {
+                method: 'PATCH',
+                body: JSON.stringify({ strategy })
+            });
+
+            if (strategy !== 'none' && confirm('Распределить уже ожидающие заявки без модератора?')) {
+                const result = await gamePlatform.apiRequest('/api/admin/routing/assign-pending', { method: 'POST' });
+                gamePlatform.showToast(`Распределено заявок: ${result.assigned}`, 'success');
+                await this.loadSubmissions();
+            } else {
+                gamePlatform.showToast('Распределение обновлено', 'success');
+            }
+        } catch (error) {
+            console.error('Save routing error:', error);
+            gamePlatform.showToast(`Ошибка сохранения распределения: ${error.message}`, 'error');
+        }
+    }
+
+    // Take the oldest pending submission nobody is reviewing, of the game and
+    // category picked in the filters
+    async claimNextSubmission() {
+        try {
+            const game = document.getElementById('submissionGameFilter')?.value || '';
+            const category = document.getElementById('submissionCategoryFilter')?.value || '';
+
+            const response = await gamePlatform.apiRequest('/api/admin/queue/claim', {
+                method: 'POST',
+                body: JSON.stringify({
+                    ...(game ? { game } : {}),
+                    ...(category ? { category } : {})
+                })
+            });
+
+            await this.viewSubmission(response.claim.submissionId, response.claim);
+        } catch (error) {
+            console.error('Claim next submission error:', error);
+            gamePlatform.showToast(error.message === 'No submissions waiting for review'
+                ? 'Нет заявок, ожидающих проверки'
+                : 'Ошибка получения заявки', 'error');
+        }
+    }
+
+    // Claim a pending submission for review. Another moderator's claim is only
+    // taken over after confirmation; otherwise the submission opens read-only
+    // until the review is forced.
+    async claimForReview(submission) {
+        if (submission.status !== 'PENDING') return null;
+
+        const claim = (force) => gamePlatform.apiRequest(`/api/admin/submissions/${submission.id}/claim`, {
+            method: 'POST',
+            body: JSON.stringify({ force })
+        });
+
+        try {
+            return (await claim(false)).claim;
+        } catch (error) {
+            if (!submission.claim) throw error;
+
+            if (!confirm(`Заявку уже проверяет ${submission.claim.moderator}. Перехватить её?`)) {
+                return null;
+            }
+            return (await claim(true)).claim;
+        }
+    }
+
+    // Renew the review claim while the review modal is open and give it back
+    // once the modal is closed
+    startClaimHeartbeat(claim) {
+        this.stopClaimHeartbeat();
+        this.reviewClaim = claim;
+
+        this.claimTimer = setInterval(async () => {
+            const { submissionId } = this.reviewClaim;
+
+            if (!document.getElementById('reviewModal')?.classList.contains('active')) {
+                this.stopClaimHeartbeat();
+                gamePlatform.apiRequest(`/api/admin/submissions/${submissionId}/claim`, { method: 'DELETE' })
+                    .catch(() => {});
+                return;
+            }
+
+            try {
+                const response = await gamePlatform.apiRequest(`/api/admin/submissions/${submissionId}/claim/heartbeat`, {
+                    method: 'POST'
+                });
+                this.reviewClaim = response.claim;
+            } catch (error) {
+                this.stopClaimHeartbeat();
+                gamePlatform.showToast('Заявку перехватил другой модератор', 'error');
+            }
+        }, claim.ttlSeconds * 1000 / 3);
+    }
+
+    stopClaimHeartbeat() {
+        clearInterval(this.claimTimer);
+        this.claimTimer = null;
+        this.reviewClaim = null;
+    }
+
+    async viewSubmission(submissionId, claim = null) {
         try {
             gamePlatform.showLoading('Загрузка заявки...');
             
-            const submission = this.submissions.find(s => s.id === submissionId);
-            if (!submission) return;
+            // Fetched fresh: opening the review locks the submission against
+            // edits by its owner and brings in the edit history
+            const submission = await gamePlatform.apiRequest(`/api/admin/submissions/${submissionId}`);
+
+            this.stopClaimHeartbeat();
+            if (!claim) {
+                try {
+                    claim = await this.claimForReview(submission);
+                } catch (claimError) {
+                    console.error('Claim submission error:', claimError);
+                    gamePlatform.showToast(claimError.message, 'error');
+                }
+            }
+            if (claim) {
+                this.startClaimHeartbeat(claim);
+            }
             
             const modal = document.getElementById('reviewModal');
             const content = document.getElementById('reviewContent');
             
-            const isImage = submission.fileType === 'IMAGE';
-            const mediaElement = isImage 
-                ? `<img src="${submission.fileUrl}" alt="Submission">`
-                : `<video src="${submission.fileUrl}" controls></video>`;
+            const hasOriginal = submission.mediaState === 'ACTIVE';
+            const assets = submission.assets && submission.assets.length > 0 ? submission.assets : [submission];
+            this.reviewAssets = assets;
+            this.reviewHasOriginal = hasOriginal;
+            const category = this.categories.find(c => c.gameId === submission.gameId && c.slug === submission.category);
+            const baseReward = category ? category.baseReward : 0;
+            const pendingCosign = submission.cosignRequests && submission.cosignRequests[0];
+            const mediaElement = `
+                <div id="reviewAssetMedia">${this.renderAssetMedia(assets[0], hasOriginal)}</div>
+                ${assets.length > 1 ? `
+                    <div class="review-gallery">
+                        ${assets.map((asset, index) => `
+                            <button type="button" class="asset-thumb ${index === 0 ? 'active' : ''}" onclick="adminPanel.showReviewAsset(${index})" title="${this.escapeHtml(asset.fileName)}">
+                                ${asset.thumbnailUrl || asset.posterUrl
+                                    ? `<img src="${asset.thumbnailUrl || asset.posterUrl}" alt="${index + 1}" loading="lazy">`
+                                    : `<span>${asset.fileType === 'VIDEO' ? '🎬' : '🖼️'} ${index + 1}</span>`}
+                            </button>
+                        `).join('')}
+                    </div>
+                ` : ''}
+            `;
 
-            content.innerHTML = `
-                <div class="review-content">
-                    <div class="review-media">
-                        ${mediaElement}
+            // Resubmissions are shown next to the rejected version they replace
+            const previous = submission.previousSubmission;
+            const compareElement = previous ? `
+                <div class="review-compare">
+                    <div class="review-compare-pane">
+                        <h4>Предыдущая версия (отклонена)</h4>
+                        ${this.renderPreviousVersion(previous)}
                     </div>
+                    <div class="review-compare-pane">
+                        <h4>Новая версия</h4>
+                        <div class="review-media">
+                            ${mediaElement}
+                        </div>
+                    </div>
+                </div>
+            ` : '';
+
+            content.innerHTML = `
+                ${compareElement}
+                <div class="review-content ${previous ? 'single' : ''}">
+                    ${previous ? '' : `
+                        <div class="review-media">
+                            ${mediaElement}
+                        </div>
+                    `}
                     <div class="review-details">
                         <div class="review-field">
                             <label>Пользователь:</label>
                             <div class="value">${submission.user.nickname}</div>
                         </div>
+                        <div class="review-field">
+                            <label>Игра:</label>
+                            <div class="value">${this.gameName(submission.gameId)}</div>
+                        </div>
                         <div class="review-field">
                             <label>Категория:</label>
-                            <div class="value">${submission.category}</div>
+                            <div class="value">${this.categoryName(submission.gameId, submission.category)}</div>
                         </div>
+                        ${this.formatExtraFields(submission) ? `
+                            <div class="review-field">
+                                <label>Данные матча:</label>
+                                <div class="value">${this.formatExtraFields(submission)}</div>
+                            </div>
+                        ` : ''}
                         ${submission.description ? `
                             <div class="review-field">
                                 <label>Описание:</label>
@@ -591,9 +1229,32 @@ class AdminPanel {
                             </div>
                         ` : ''}
                         <div class="review-field">
-                            <label>Размер файла:</label>
-                            <div class="value">${gamePlatform.formatFileSize(submission.fileSize)}</div>
+                            <label>Теги:</label>
+                            <div class="value">
+                                <div id="reviewTags">${this.renderReviewTags(submissionId, submission.tags)}</div>
+                                <div class="flex gap-2">
+                                    <input type="text" id="newTags" class="form-input" placeholder="Теги через запятую"
+                                           onkeydown="if (event.key === 'Enter') adminPanel.addTags('${submissionId}')">
+                                    <button class="btn btn-secondary btn-small" onclick="adminPanel.addTags('${submissionId}')">Добавить</button>
+                                </div>
+                            </div>
                         </div>
+                        ${!hasOriginal ? `
+                            <div class="review-field">
+                                <label>Хранение:</label>
+                                <div class="value">
+                                    ${submission.mediaState === 'ARCHIVED' ? 'Оригинал перенесён в архив' : 'Файлы удалены по сроку хранения'}
+                                    ${submission.mediaStateAt ? `(${gamePlatform.formatDate(submission.mediaStateAt)})` : ''}
+                                </div>
+                            </div>
+                        ` : ''}
+                        <div id="reviewAssetFields">${this.renderAssetFields(assets[0], hasOriginal)}</div>
+                        ${submission.status === 'PENDING' && (claim || submission.claim) ? `
+                            <div class="review-field">
+                                <label>Проверяет:</label>
+                                <div class="value">${claim ? 'вы' : `${submission.claim.moderator} — решение потребует подтверждения`}</div>
+                            </div>
+                        ` : ''}
                         <div class="review-field">
                             <label>Дата создания:</label>
                             <div class="value">${gamePlatform.formatDate(submission.createdAt)}</div>
@@ -613,17 +1274,86 @@ class AdminPanel {
                                     <div class="value">${submission.reviewer.nickname}</div>
                                 </div>
                             ` : ''}
+                            ${submission.reviewMacro ? `
+                                <div class="review-field">
+                                    <label>Шаблон:</label>
+                                    <div class="value">${submission.reviewMacro.name}</div>
+                                </div>
+                            ` : ''}
                             ${submission.rejectReason ? `
                                 <div class="review-field">
                                     <label>Причина отклонения:</label>
                                     <div class="value">${submission.rejectReason}</div>
                                 </div>
                             ` : ''}
+                            ${submission.appealStatus ? `
+                                <div class="review-field">
+                                    <label>Апелляция:</label>
+                                    <div class="value">
+                                        ${{'PENDING': 'На рассмотрении', 'GRANTED': 'Удовлетворена', 'DENIED': 'Отклонена'}[submission.appealStatus]}
+                                        (${gamePlatform.formatDate(submission.appealedAt)})
+                                        <div>${this.escapeHtml(submission.appealMessage)}</div>
+                                    </div>
+                                </div>
+                            ` : ''}
+                            ${submission.payouts && submission.payouts.length > 0 ? `
+                                <div class="review-field">
+                                    <label>Выплаты:</label>
+                                    <div class="value">
+                                        ${submission.payouts.map(payout => `
+                                            <div>${payout.amount >= 0 ? '+' : ''}${payout.amount.toFixed(2)} • ${payout.reason} (${gamePlatform.formatDate(payout.createdAt)})</div>
+                                        `).join('')}
+                                    </div>
+                                </div>
+                            ` : ''}
+                            ${submission.appealDecider ? `
+                                <div class="review-field">
+                                    <label>Решение по апелляции:</label>
+                                    <div class="value">
+                                        ${submission.appealDecider.nickname}, ${gamePlatform.formatDate(submission.appealDecidedAt)}
+                                        ${submission.appealResponse ? `<div>${this.escapeHtml(submission.appealResponse)}</div>` : ''}
+                                    </div>
+                                </div>
+                            ` : ''}
+                        ` : ''}
+                        ${submission.revisions && submission.revisions.length > 0 ? `
+                            <div class="review-field">
+                                <label>История изменений:</label>
+                                <div class="value">${this.renderRevisions(submission.revisions, submission.gameId)}</div>
+                            </div>
                         ` : ''}
+                        <div class="review-field">
+                            <label>Возможные дубликаты:</label>
+                            <div class="value" id="duplicatesList">Поиск...</div>
+                        </div>
                     </div>
                 </div>
-                ${submission.status === 'PENDING' ? `
+                ${submission.appealStatus === 'PENDING' && !pendingCosign ? this.renderAppealForm(submission, baseReward) : ''}
+                ${submission.status === 'APPROVED' && gamePlatform.user?.role === 'ADMIN' ? this.renderRevertForm(submission) : ''}
+                ${pendingCosign ? `
+                    <div class="review-form">
+                        <div class="form-group full-width">
+                            ${pendingCosign.type === 'APPEAL_BONUS' ? 'Удовлетворение апелляции' : 'Одобрение'} с бонусом ${pendingCosign.amount.toFixed(2)} от ${pendingCosign.requester.nickname}
+                            ожидает подтверждения второго администратора до ${gamePlatform.formatDate(pendingCosign.expiresAt)}
+                        </div>
+                    </div>
+                ` : ''}
+                ${submission.status === 'PENDING' && !pendingCosign ? `
                     <div class="review-form">
+                        ${this.activeMacros().length > 0 ? `
+                            <div class="form-group full-width">
+                                <label class="form-label">Шаблоны</label>
+                                <div class="table-actions">
+                                    ${this.activeMacros().map(macro => `
+                                        <button class="btn-table ${macro.status === 'APPROVED' ? 'btn-approve' : 'btn-reject'}"
+                                                title="${(macro.reasonTemplate || '').replace(/"/g, '&quot;')}"
+                                                onclick="adminPanel.applyMacro('${submissionId}', '${macro.id}')">
+                                            ${macro.status === 'APPROVED' ? '✅' : '❌'} ${macro.name}
+                                        </button>
+                                    `).join('')}
+                                </div>
+                            </div>
+                        ` : ''}
                         <div class="form-group">
                             <label class="form-label" for="reviewAction">Действие</label>
                             <select id="reviewAction" class="form-select" onchange="adminPanel.toggleRejectReason()">
@@ -633,9 +1363,9 @@ class AdminPanel {
                             </select>
                         </div>
                         <div class="form-group">
-                            <label class="form-label" for="bonusAmount">Бонус (необязательно)</label>
+                            <label class="form-label" for="bonusAmount">Бонус (базовая награда категории: ${baseReward.toFixed(2)})</label>
                             <input type="number" id="bonusAmount" class="form-input" 
-                                   step="0.01" min="0" max="1000" placeholder="0.00">
+                                   step="0.01" min="0" max="1000" placeholder="0.00" value="${baseReward || ''}">
                         </div>
                         <div class="form-group full-width" id="rejectReasonGroup" style="display: none;">
                             <label class="form-label" for="rejectReason">Причина отклонения *</label>
@@ -652,6 +1382,7 @@ class AdminPanel {
             `;
             
             gamePlatform.showModal('reviewModal');
+            this.loadDuplicates(submissionId);
             
         } catch (error) {
             console.error('View submission error:', error);
@@ -661,32 +1392,256 @@ class AdminPanel {
         }
     }
 
-    toggleRejectReason() {
-        const action = document.getElementById('reviewAction').value;
-        const rejectGroup = document.getElementById('rejectReasonGroup');
+    async loadDuplicates(submissionId) {
+        const container = document.getElementById('duplicatesList');
         
-        if (rejectGroup) {
-            rejectGroup.style.display = action === 'REJECTED' ? 'block' : 'none';
-        }
-    }
-
-    async submitReview(submissionId) {
         try {
-            const action = document.getElementById('reviewAction').value;
-            const bonusAmount = parseFloat(document.getElementById('bonusAmount').value) || 0;
-            const rejectReason = document.getElementById('rejectReason').value;
-            
-            if (!action) {
-                gamePlatform.showToast('Выберите действие', 'error');
-                return;
-            }
+            const response = await gamePlatform.apiRequest(`/api/admin/submissions/${submissionId}/duplicates`);
+            if (!container) return;
             
-            if (action === 'REJECTED' && !rejectReason) {
-                gamePlatform.showToast('Укажите причину отклонения', 'error');
+            if (response.duplicates.length === 0) {
+                container.textContent = 'Не найдено';
                 return;
             }
             
+            container.innerHTML = `
+                <ul class="duplicates-list">
+                    ${response.duplicates.map(duplicate => `
+                        <li class="duplicate-item">
+                            <a href="${duplicate.fileUrl}" target="_blank" rel="noopener">
+                                ${duplicate.thumbnailUrl ? `<img src="${duplicate.thumbnailUrl}" class="submission-preview-small" alt="Preview" loading="lazy">` : ''}
+                                ${this.gameName(duplicate.gameId)} • ${this.categoryName(duplicate.gameId, duplicate.category)}
+                            </a>
+                            <span class="duplicate-score">
+                                ${duplicate.exact ? 'Точная копия' : `Сходство ${Math.round(duplicate.similarity * 100)}%`}
+                            </span>
+                            <div class="user-meta">
+                                ${duplicate.user.nickname}${duplicate.sameUser ? ' (тот же пользователь)' : ''} •
+                                ${{'PENDING': 'На рассмотрении', 'APPROVED': 'Одобрено', 'REJECTED': 'Отклонено'}[duplicate.status]} •
+                                ${gamePlatform.formatDate(duplicate.createdAt)}
+                            </div>
+                        </li>
+                    `).join('')}
+                </ul>
+            `;
+            
+        } catch (error) {
+            console.error('Load duplicates error:', error);
+            if (container) container.textContent = 'Ошибка поиска дубликатов';
+        }
+    }
+
+    renderReviewTags(submissionId, tags) {
+        if (!tags || tags.length === 0) return 'Нет тегов';
+
+        return `<div class="tag-list">${tags.map(tag => `
+            <span class="tag-chip">#${tag}
+                <button type="button" title="Удалить тег" onclick="adminPanel.removeTag('${submissionId}', '${tag}')">✕</button>
+            </span>
+        `).join('')}</div>`;
+    }
+
+    async addTags(submissionId) {
+        const input = document.getElementById('newTags');
+        const tags = input.value.split(',').map(tag => tag.trim()).filter(Boolean);
+        if (tags.length === 0) return;
+
+        try {
+            const response = await gamePlatform.apiRequest(`/api/admin/submissions/${submissionId}/tags`, {
+                method: 'POST',
+                body: JSON.stringify({ tags })
+            });
+
+            input.value = '';
+            document.getElementById('reviewTags').innerHTML = this.renderReviewTags(submissionId, response.tags);
+            this.loadSubmissions(this.submissionsPagination?.page);
+        } catch (error) {
+            console.error('Add tags error:', error);
+            gamePlatform.showToast(error.message || 'Ошибка добавления тегов', 'error');
+        }
+    }
+
+    async removeTag(submissionId, tag) {
+        try {
+            await gamePlatform.apiRequest(`/api/admin/submissions/${submissionId}/tags/${encodeURIComponent(tag)}`, {
+                method: 'DELETE'
+            });
+
+            const submission = await gamePlatform.apiRequest(`/api/admin/submissions/${submissionId}`);
+            document.getElementById('reviewTags').innerHTML = this.renderReviewTags(submissionId, submission.tags);
+            this.loadSubmissions(this.submissionsPagination?.page);
+        } catch (error) {
+            console.error('Remove tag error:', error);
+            gamePlatform.showToast('Ошибка удаления тега', 'error');
+        }
+    }
+
+    // Super admins can undo an approval; its bonuses are taken back
+    renderRevertForm(submission) {
+        return `
+            <div class="review-form">
+                <div class="form-group">
+                    <label class="form-label" for="revertStatus">Отменить одобрение</label>
+                    <select id="revertStatus" class="form-select">
+                        <option value="PENDING">Вернуть на проверку</option>
+                        <option value="REJECTED">Отклонить</option>
+                    </select>
+                </div>
+                <div class="form-group full-width">
+                    <label class="form-label" for="revertReason">Причина *</label>
+                    <textarea id="revertReason" class="form-input form-textarea" maxlength="500"
+                              placeholder="Причина попадёт в журнал, а при отклонении увидит и пользователь"></textarea>
+                </div>
+                <div class="review-actions full-width">
+                    <button class="btn btn-danger" onclick="adminPanel.revertReview('${submission.id}')">
+                        Отменить решение
+                    </button>
+                </div>
+            </div>
+        `;
+    }
+
+    async revertReview(submissionId) {
+        const status = document.getElementById('revertStatus').value;
+        const reason = document.getElementById('revertReason').value.trim();
+
+        if (reason.length < 3) {
+            gamePlatform.showToast('Укажите причину отмены', 'error');
+            return;
+        }
+
+        if (!confirm('Отменить одобрение? Выплаченные за заявку бонусы будут списаны с баланса пользователя.')) return;
+
+        try {
+            gamePlatform.showLoading('Отмена решения...');
+
+            const response = await gamePlatform.apiRequest(`/api/admin/submissions/${submissionId}/revert`, {
+                method: 'POST',
+                body: JSON.stringify({ status, reason })
+            });
+
+            gamePlatform.showToast(response.clawedBack > 0
+                ? `Решение отменено, списано ${response.clawedBack.toFixed(2)}`
+                : 'Решение отменено', 'success');
+            gamePlatform.closeModal('reviewModal');
+
+            await this.loadSubmissions(this.submissionsPagination?.page);
+            await this.loadStats();
+            this.updateUI();
+
+        } catch (error) {
+            console.error('Revert review error:', error);
+            gamePlatform.showToast(`Ошибка отмены решения: ${error.message}`, 'error');
+        } finally {
+            gamePlatform.hideLoading();
+        }
+    }
+
+    // Appeals are decided by a moderator other than the one who rejected
+    renderAppealForm(submission, baseReward) {
+        if (gamePlatform.user && submission.reviewedBy === gamePlatform.user.id) {
+            return '<div class="review-form"><div class="form-group full-width">Апелляция на вашу проверку, решение примет другой модератор</div></div>';
+        }
+
+        return `
+            <div class="review-form">
+                <div class="form-group">
+                    <label class="form-label" for="appealDecision">Решение по апелляции</label>
+                    <select id="appealDecision" class="form-select">
+                        <option value="">Выберите решение</option>
+                        <option value="GRANTED">Удовлетворить и одобрить</option>
+                        <option value="DENIED">Отклонить апелляцию</option>
+                    </select>
+                </div>
+                <div class="form-group">
+                    <label class="form-label" for="appealBonus">Бонус при одобрении</label>
+                    <input type="number" id="appealBonus" class="form-input"
+                           step="0.01" min="0" max="1000" value="${baseReward || ''}">
+                </div>
+                <div class="form-group full-width">
+                    <label class="form-label" for="appealResponse">Ответ пользователю</label>
+                    <textarea id="appealResponse" class="form-input form-textarea" maxlength="500"
+                              placeholder="Обязателен при отклонении апелляции"></textarea>
+                </div>
+                <div class="review-actions full-width">
+                    <button class="btn btn-primary" onclick="adminPanel.decideAppeal('${submission.id}')">
+                        Применить
+                    </button>
+                </div>
+            </div>
+        `;
+    }
+
+    async decideAppeal(submissionId) {
+        const decision = document.getElementById('appealDecision').value;
+        const response = document.getElementById('appealResponse').value.trim();
+
+        if (!decision) {
+            gamePlatform.showToast('Выберите решение', 'error');
+            return;
+        }
+
+        if (decision === 'DENIED' && !response) {
+            gamePlatform.showToast('Объясните пользователю, почему апелляция отклонена', 'error');
+            return;
+        }
+
+        try {
             gamePlatform.showLoading('Сохранение...');
+
+            const payload = { decision };
+            if (response) payload.response = response;
+            if (decision === 'GRANTED') {
+                payload.bonusAmount = parseFloat(document.getElementById('appealBonus').value) || 0;
+            }
+
+            const result = await gamePlatform.apiRequest(`/api/admin/submissions/${submissionId}/appeal`, {
+                method: 'PATCH',
+                body: JSON.stringify(payload)
+            });
+
+            // Grants with a high bonus wait for a second administrator
+            gamePlatform.showToast(result.cosign
+                ? 'Удовлетворение апелляции ожидает подтверждения второго администратора'
+                : 'Решение по апелляции сохранено!', 'success');
+            gamePlatform.closeModal('reviewModal');
+
+            await this.loadSubmissions();
+            await this.loadStats();
+            this.updateUI();
+
+        } catch (error) {
+            console.error('Decide appeal error:', error);
+            gamePlatform.showToast(`Ошибка: ${error.message}`, 'error');
+        } finally {
+            gamePlatform.hideLoading();
+        }
+    }
+
+    toggleRejectReason() {
+        const action = document.getElementById('reviewAction').value;
+        const rejectGroup = document.getElementById('rejectReasonGroup');
+        
+        if (rejectGroup) {
+            rejectGroup.style.display = action === 'REJECTED' ? 'block' : 'none';
+        }
+    }
+
+    async submitReview(submissionId) {
+        try {
+            const action = document.getElementById('reviewAction').value;
+            const bonusAmount = parseFloat(document.getElementById('bonusAmount').value) || 0;
+            const rejectReason = document.getElementById('rejectReason').value;
+            
+            if (!action) {
+                gamePlatform.showToast('Выберите действие', 'error');
+                return;
+            }
+            
+            if (action === 'REJECTED' && !rejectReason) {
+                gamePlatform.showToast('Укажите причину отклонения', 'error');
+                return;
+            }
             
             const payload = {
                 status: action,
@@ -696,22 +1651,56 @@ class AdminPanel {
             if (action === 'REJECTED') {
                 payload.rejectReason = rejectReason;
             }
+
+            await this.sendReview(submissionId, payload);
             
-            await gamePlatform.apiRequest(`/api/admin/submissions/${submissionId}/review`, {
+        } catch (error) {
+            console.error('Submit review error:', error);
+            gamePlatform.showToast(`Ошибка при рассмотрении заявки: ${error.message}`, 'error');
+        }
+    }
+
+    // Review with a macro in one click: its status, reason, bonus and tags
+    async applyMacro(submissionId, macroId) {
+        try {
+            await this.sendReview(submissionId, { macroId });
+        } catch (error) {
+            console.error('Apply macro error:', error);
+            gamePlatform.showToast(`Ошибка при рассмотрении заявки: ${error.message}`, 'error');
+        }
+    }
+
+    // Send the review decision made in the review modal
+    async sendReview(submissionId, payload) {
+        try {
+            gamePlatform.showLoading('Сохранение...');
+
+            // Without the claim the review goes through only when forced
+            if (!this.reviewClaim || this.reviewClaim.submissionId !== submissionId) {
+                gamePlatform.hideLoading();
+                if (!confirm('Вы не закрепили эту заявку за собой, её может проверять другой модератор. Всё равно применить решение?')) {
+                    return;
+                }
+                gamePlatform.showLoading('Сохранение...');
+                payload.force = true;
+            }
+            
+            const response = await gamePlatform.apiRequest(`/api/admin/submissions/${submissionId}/review`, {
                 method: 'PATCH',
                 body: JSON.stringify(payload)
             });
             
-            gamePlatform.showToast('Заявка успешно рассмотрена!', 'success');
+            // Approvals with a high bonus wait for a second administrator
+            gamePlatform.showToast(response.cosign
+                ? 'Одобрение ожидает подтверждения второго администратора'
+                : 'Заявка успешно рассмотрена!', 'success');
             gamePlatform.closeModal('reviewModal');
+            this.stopClaimHeartbeat();
             
             await this.loadSubmissions();
             await this.loadStats();
             this.updateUI();
             
-        } catch (error) {
-            console.error('Submit review error:', error);
-            gamePlatform.showToast('Ошибка при рассмотрении заявки', 'error');
         } finally {
             gamePlatform.hideLoading();
         }
@@ -734,28 +1723,53 @@ class AdminPanel {
             
         } catch (error) {
             console.error('Quick approve error:', error);
-            gamePlatform.showToast('Ошибка одобрения', 'error');
+            gamePlatform.showToast(`Ошибка одобрения: ${error.message}`, 'error');
         } finally {
             gamePlatform.hideLoading();
         }
     }
 
-    async quickReject(submissionId) {
-        const reason = prompt('Причина отклонения:');
-        if (!reason) return;
+    // Pick a reject macro or type a reason
+    quickReject(submissionId) {
+        document.getElementById('quickRejectForm').reset();
+        document.getElementById('quickRejectSubmissionId').value = submissionId;
+
+        const macros = this.activeMacros('REJECTED');
+        document.getElementById('quickRejectMacros').innerHTML = macros.length > 0
+            ? macros.map(macro => `
+                <button type="button" class="btn-table btn-reject"
+                        title="${(macro.reasonTemplate || '').replace(/"/g, '&quot;')}"
+                        onclick="adminPanel.confirmQuickReject('${macro.id}')">
+                    ❌ ${macro.name}
+                </button>
+            `).join('')
+            : 'Шаблонов нет';
+
+        gamePlatform.showModal('quickRejectModal');
+    }
+
+    async confirmQuickReject(macroId = null) {
+        const submissionId = document.getElementById('quickRejectSubmissionId').value;
+        const reason = document.getElementById('quickRejectReason').value.trim();
+
+        if (!macroId && !reason) {
+            gamePlatform.showToast('Укажите причину отклонения', 'error');
+            return;
+        }
         
         try {
             gamePlatform.showLoading('Отклонение...');
             
             await gamePlatform.apiRequest(`/api/admin/submissions/${submissionId}/review`, {
                 method: 'PATCH',
-                body: JSON.stringify({ 
+                body: JSON.stringify(macroId ? { macroId } : {
                     status: 'REJECTED',
                     rejectReason: reason
                 })
             });
             
             gamePlatform.showToast('Заявка отклонена!', 'success');
+            gamePlatform.closeModal('quickRejectModal');
             
             await this.loadSubmissions();
             await this.loadStats();
@@ -763,30 +1777,39 @@ class AdminPanel {
             
         } catch (error) {
             console.error('Quick reject error:', error);
-            gamePlatform.showToast('Ошибка отклонения', 'error');
+            gamePlatform.showToast(`Ошибка отклонения: ${error.message}`, 'error');
         } finally {
             gamePlatform.hideLoading();
         }
     }
 
     // Bulk Actions
-    async bulkApprove() {
+    bulkApprove() {
         if (this.selectedSubmissions.size === 0) return;
         
-        if (!confirm(`Одобрить ${this.selectedSubmissions.size} заявок?`)) return;
+        document.getElementById('bulkApproveForm').reset();
+        document.getElementById('bulkApproveCount').textContent = this.selectedSubmissions.size;
+        gamePlatform.showModal('bulkApproveModal');
+    }
+
+    // Without a bonus each submission gets its category's base reward
+    async confirmBulkApprove() {
+        const bonus = document.getElementById('bulkBonusAmount').value.trim();
         
         try {
             gamePlatform.showLoading('Массовое одобрение...');
             
-            await gamePlatform.apiRequest('/api/admin/submissions/bulk-review', {
+            const response = await gamePlatform.apiRequest('/api/admin/submissions/bulk-review', {
                 method: 'PATCH',
                 body: JSON.stringify({
                     submissionIds: Array.from(this.selectedSubmissions),
-                    status: 'APPROVED'
+                    status: 'APPROVED',
+                    ...(bonus ? { bonusAmount: parseFloat(bonus) } : {})
                 })
             });
             
-            gamePlatform.showToast('Заявки одобрены!', 'success');
+            this.reportBulkResult(response, 'Одобрено');
+            gamePlatform.closeModal('bulkApproveModal');
             
             await this.loadSubmissions();
             await this.loadStats();
@@ -816,7 +1839,7 @@ class AdminPanel {
         try {
             gamePlatform.showLoading('Массовое отклонение...');
             
-            await gamePlatform.apiRequest('/api/admin/submissions/bulk-review', {
+            const response = await gamePlatform.apiRequest('/api/admin/submissions/bulk-review', {
                 method: 'PATCH',
                 body: JSON.stringify({
                     submissionIds: Array.from(this.selectedSubmissions),
@@ -825,7 +1848,7 @@ class AdminPanel {
                 })
             });
             
-            gamePlatform.showToast('Заявки отклонены!', 'success');
+            this.reportBulkResult(response, 'Отклонено');
             gamePlatform.closeModal('bulkRejectModal');
             
             // Reset form
@@ -843,6 +1866,23 @@ class AdminPanel {
         }
     }
 
+    // Summary of a bulk review, with why submissions were skipped
+    reportBulkResult(response, verb) {
+        const parts = [`${verb}: ${response.succeeded.length}`];
+        if (response.awaitingCosign.length > 0) {
+            parts.push(`ожидают подтверждения: ${response.awaitingCosign.length}`);
+        }
+        if (response.skipped.length > 0) {
+            parts.push(`пропущено: ${response.skipped.length}`);
+        }
+
+        const reasons = [...new Set(response.skipped.map(item => item.reason))].slice(0, 3);
+        gamePlatform.showToast(
+            parts.join(', ') + (reasons.length > 0 ? ` (${reasons.join('; ')})` : ''),
+            response.skipped.length > 0 ? 'error' : 'success'
+        );
+    }
+
     // User Management
     editUser(userId) {
         const user = this.users.find(u => u.id === userId);
@@ -854,6 +1894,21 @@ class AdminPanel {
         document.getElementById('editUserRole').value = user.role;
         document.getElementById('editUserBalance').value = user.balance;
         document.getElementById('editUserBanned').checked = user.isBanned;
+
+        // Staff have a review profile that routing picks moderators by
+        const isStaff = ['MODERATOR', 'ADMIN'].includes(user.role);
+        document.getElementById('reviewProfileFields')?.classList.toggle('hidden', !isStaff);
+        if (isStaff) {
+            document.getElementById('editUserAutoAssign').checked = user.autoAssign;
+            document.getElementById('editUserReviewGames').innerHTML = this.games.map(game => `
+                <option value="${game.id}" ${user.reviewGameIds.includes(game.id) ? 'selected' : ''}>${game.name}</option>
+            `).join('');
+            document.getElementById('editUserReviewCategories').innerHTML = this.categories.map(category => `
+                <option value="${category.id}" ${user.reviewCategoryIds.includes(category.id) ? 'selected' : ''}>
+                    ${this.gameName(category.gameId)} • ${this.categoryName(category.gameId, category.slug)}
+                </option>
+            `).join('');
+        }
         
         gamePlatform.showModal('userEditModal');
     }
@@ -866,16 +1921,31 @@ class AdminPanel {
             
             const updates = {
                 role: formData.get('role'),
-                balance: parseFloat(formData.get('balance')),
                 isBanned: formData.get('isBanned') === 'on'
             };
             
             gamePlatform.showLoading('Сохранение...');
-            
-            await gamePlatform.apiRequest(`/api/admin/users/${userId}`, {
-                method: 'PATCH',
-                body: JSON.stringify(updates)
-            });
+
+            const user = this.users.find(u => u.id === userId);
+            if (user && ['MODERATOR', 'ADMIN'].includes(user.role)) {
+                const selectedValues = id => [...document.getElementById(id).selectedOptions].map(option => option.value);
+                await gamePlatform.apiRequest(`/api/admin/moderators/${userId}/review-profile`, {
+                    method: 'PATCH',
+                    body: JSON.stringify({
+                        autoAssign: formData.get('autoAssign') === 'on',
+                        reviewGameIds: selectedValues('editUserReviewGames'),
+                        reviewCategoryIds: selectedValues('editUserReviewCategories')
+                    })
+                });
+            }
+
+            // Staff cannot change their own account, only their review profile
+            if (userId !== gamePlatform.user?.id) {
+                await gamePlatform.apiRequest(`/api/admin/users/${userId}`, {
+                    method: 'PATCH',
+                    body: JSON.stringify(updates)
+                });
+            }
             
             gamePlatform.showToast('Пользователь обновлен!', 'success');
             gamePlatform.closeModal('userEditModal');
@@ -923,12 +1993,14 @@ class AdminPanel {
             
             gamePlatform.showLoading('Добавление баланса...');
             
-            await gamePlatform.apiRequest(`/api/admin/users/${userId}/add-balance`, {
+            const response = await gamePlatform.apiRequest(`/api/admin/users/${userId}/add-balance`, {
                 method: 'POST',
                 body: JSON.stringify({ amount, reason })
             });
             
-            gamePlatform.showToast('Баланс добавлен!', 'success');
+            gamePlatform.showToast(response.cosign
+                ? 'Начисление ожидает подтверждения второго администратора'
+                : 'Баланс добавлен!', 'success');
             gamePlatform.closeModal('addBalanceModal');
             
             // Reset form
@@ -945,6 +2017,658 @@ class AdminPanel {
             gamePlatform.hideLoading();
         }
     }
+
+    // Co-sign requests: bonuses and credits above the thresholds wait for a
+    // second administrator
+    async openCosigns() {
+        await this.loadCosigns();
+        gamePlatform.showModal('cosignsModal');
+    }
+
+    async loadCosigns() {
+        const container = document.getElementById('cosignsTable');
+
+        try {
+            const response = await gamePlatform.apiRequest('/api/admin/cosigns');
+
+            const isSuperAdmin = gamePlatform.user?.role === 'ADMIN';
+            document.getElementById('cosignBonusThreshold').value = response.thresholds.bonus;
+            document.getElementById('cosignBalanceThreshold').value = response.thresholds.balance;
+            document.querySelectorAll('#cosignThresholdsForm input, #cosignThresholdsForm button')
+                .forEach(element => { element.disabled = !isSuperAdmin; });
+
+            if (response.cosigns.length === 0) {
+                container.innerHTML = '<div class="table-empty"><div class="empty-icon">✍️</div><h3>Нет запросов на подтверждение</h3></div>';
+                return;
+            }
+
+            container.innerHTML = `
+                <table class="admin-table">
+                    <thead>
+                        <tr>
+                            <th>Запрос</th>
+                            <th>Пользователь</th>
+                            <th>Сумма</th>
+                            <th>Запросил</th>
+                            <th class="date-cell">Истекает</th>
+                            <th class="actions-cell">Действия</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${response.cosigns.map(cosign => `
+                            <tr>
+                                <td>
+                                    <div class="user-details">
+                                        <div class="user-nickname">${{
+                                            REVIEW_BONUS: 'Одобрение с бонусом',
+                                            APPEAL_BONUS: 'Апелляция с бонусом',
+                                            BALANCE_CREDIT: 'Начисление баланса'
+                                        }[cosign.type]}</div>
+                                        <div class="user-meta">
+                                            ${cosign.submission
+                                                ? `<a href="#" onclick="adminPanel.viewSubmission('${cosign.submission.id}'); return false;">${this.gameName(cosign.submission.gameId)} • ${this.categoryName(cosign.submission.gameId, cosign.submission.category)}</a>`
+                                                : cosign.reason}
+                                        </div>
+                                    </div>
+                                </td>
+                                <td>${cosign.user.nickname}</td>
+                                <td>${cosign.amount.toFixed(2)}</td>
+                                <td>${cosign.requester.nickname}</td>
+                                <td class="date-cell">${gamePlatform.formatDate(cosign.expiresAt)}</td>
+                                <td>
+                                    ${cosign.canDecide ? `
+                                        <div class="table-actions">
+                                            <button class="btn-table btn-approve" onclick="adminPanel.decideCosign('${cosign.id}', 'confirm')">
+                                                ✅ Подтвердить
+                                            </button>
+                                            <button class="btn-table btn-reject" onclick="adminPanel.decideCosign('${cosign.id}', 'reject')">
+                                                ❌ Отклонить
+                                            </button>
+                                        </div>
+                                    ` : 'Подтверждает другой администратор'}
+                                </td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            `;
+        } catch (error) {
+            console.error('Load cosigns error:', error);
+            gamePlatform.showToast('Ошибка загрузки запросов на подтверждение', 'error');
+        }
+    }
+
+    async decideCosign(cosignId, decision) {
+        if (decision === 'reject' && !confirm('Отклонить запрос? Сумма не будет начислена.')) return;
+
+        try {
+            gamePlatform.showLoading('Сохранение...');
+
+            await gamePlatform.apiRequest(`/api/admin/cosigns/${cosignId}/${decision}`, {
+                method: 'POST'
+            });
+
+            gamePlatform.showToast(decision === 'confirm' ? 'Запрос подтверждён!' : 'Запрос отклонён', 'success');
+
+            await this.loadCosigns();
+            await this.loadSubmissions(this.submissionsPagination?.page);
+            await this.loadStats();
+            this.updateUI();
+
+        } catch (error) {
+            console.error('Decide cosign error:', error);
+            gamePlatform.showToast(`Ошибка: ${error.message}`, 'error');
+        } finally {
+            gamePlatform.hideLoading();
+        }
+    }
+
+    async saveCosignThresholds() {
+        try {
+            const response = await gamePlatform.apiRequest('/api/admin/cosigns/thresholds', {
+                method: 'PATCH',
+                body: JSON.stringify({
+                    bonus: parseFloat(document.getElementById('cosignBonusThreshold').value) || 0,
+                    balance: parseFloat(document.getElementById('cosignBalanceThreshold').value) || 0
+                })
+            });
+
+            document.getElementById('cosignBonusThreshold').value = response.thresholds.bonus;
+            document.getElementById('cosignBalanceThreshold').value = response.thresholds.balance;
+            gamePlatform.showToast('Пороги сохранены', 'success');
+        } catch (error) {
+            console.error('Save cosign thresholds error:', error);
+            gamePlatform.showToast(`Ошибка сохранения порогов: ${error.message}`, 'error');
+        }
+    }
+
+    // Category Management
+    renderCategories() {
+        const container = document.getElementById('categoriesTable');
+        if (!container) return;
+
+        if (this.categories.length === 0) {
+            container.innerHTML = '<div class="table-empty"><div class="empty-icon">🏷️</div><h3>Категорий нет</h3></div>';
+            return;
+        }
+
+        const fileTypeText = { 'IMAGE': 'Изображения', 'VIDEO': 'Видео' };
+
+        container.innerHTML = `
+            <table class="admin-table">
+                <thead>
+                    <tr>
+                        <th>Категория</th>
+                        <th>Игра</th>
+                        <th>Файлы</th>
+                        <th>Награда</th>
+                        <th>Порядок</th>
+                        <th>Заявки</th>
+                        <th>Статус</th>
+                        <th class="actions-cell">Действия</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${this.categories.map(category => `
+                        <tr>
+                            <td>
+                                <div class="user-details">
+                                    <div class="user-nickname">${this.categoryName(category.gameId, category.slug)}</div>
+                                    <div class="user-meta">${category.slug}</div>
+                                </div>
+                            </td>
+                            <td>${category.game.name}</td>
+                            <td>${category.allowedFileTypes.map(type => fileTypeText[type]).join(', ')}</td>
+                            <td>${category.baseReward.toFixed(2)}</td>
+                            <td>${category.sortOrder}</td>
+                            <td>${category._count.submissions}</td>
+                            <td>
+                                <div class="status-indicator">
+                                    <div class="status-dot ${category.isActive ? 'online' : 'banned'}"></div>
+                                    ${category.isActive ? 'Активна' : 'Неактивна'}
+                                </div>
+                            </td>
+                            <td>
+                                <div class="table-actions">
+                                    <button class="btn-table btn-edit" onclick="adminPanel.editCategory('${category.id}')">
+                                        ✏️ Изменить
+                                    </button>
+                                    <button class="btn-table btn-reject" onclick="adminPanel.deleteCategory('${category.id}')">
+                                        🗑️ Удалить
+                                    </button>
+                                </div>
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    // Open the category form, empty for a new category
+    editCategory(categoryId = null) {
+        const category = this.categories.find(c => c.id === categoryId);
+
+        document.getElementById('categoryForm').reset();
+        document.getElementById('categoryId').value = category ? category.id : '';
+        document.getElementById('categoryModalTitle').textContent = category ? 'Редактировать категорию' : 'Новая категория';
+
+        // Categories stay in the game they were created for
+        const gameSelect = document.getElementById('categoryGame');
+        gameSelect.disabled = Boolean(category);
+        gameSelect.value = category ? category.gameId : (this.games[0] ? this.games[0].id : '');
+
+        if (category) {
+            document.getElementById('categorySlug').value = category.slug;
+            document.getElementById('categoryNameRu').value = category.names.ru || '';
+            document.getElementById('categoryNameEn').value = category.names.en || '';
+            document.getElementById('categoryDescription').value = category.description || '';
+            document.getElementById('categorySortOrder').value = category.sortOrder;
+            document.getElementById('categoryBaseReward').value = category.baseReward;
+            document.getElementById('categoryAllowImages').checked = category.allowedFileTypes.includes('IMAGE');
+            document.getElementById('categoryAllowVideos').checked = category.allowedFileTypes.includes('VIDEO');
+            document.getElementById('categoryActive').checked = category.isActive;
+            document.getElementById('categoryFieldSchema').value = category.fieldSchema.length > 0
+                ? JSON.stringify(category.fieldSchema, null, 2)
+                : '';
+            document.getElementById('categoryMediaRules').value = Object.keys(category.mediaRules || {}).length > 0
+                ? JSON.stringify(category.mediaRules, null, 2)
+                : '';
+        }
+
+        gamePlatform.showModal('categoryModal');
+    }
+
+    async saveCategory() {
+        try {
+            const form = document.getElementById('categoryForm');
+            const formData = new FormData(form);
+            const categoryId = formData.get('categoryId');
+            const category = this.categories.find(c => c.id === categoryId);
+
+            const allowedFileTypes = [
+                formData.get('allowImages') === 'on' ? 'IMAGE' : null,
+                formData.get('allowVideos') === 'on' ? 'VIDEO' : null
+            ].filter(Boolean);
+
+            if (allowedFileTypes.length === 0) {
+                gamePlatform.showToast('Разрешите хотя бы один тип файлов', 'error');
+                return;
+            }
+
+            let fieldSchema = [];
+            try {
+                const fieldSchemaText = formData.get('fieldSchema').trim();
+                fieldSchema = fieldSchemaText ? JSON.parse(fieldSchemaText) : [];
+            } catch (parseError) {
+                gamePlatform.showToast('Дополнительные поля: некорректный JSON', 'error');
+                return;
+            }
+
+            let mediaRules = {};
+            try {
+                const mediaRulesText = formData.get('mediaRules').trim();
+                mediaRules = mediaRulesText ? JSON.parse(mediaRulesText) : {};
+            } catch (parseError) {
+                gamePlatform.showToast('Требования к медиа: некорректный JSON', 'error');
+                return;
+            }
+
+            const payload = {
+                slug: formData.get('slug').trim(),
+                names: {
+                    ...(category ? category.names : {}),
+                    ru: formData.get('nameRu').trim(),
+                    en: formData.get('nameEn').trim()
+                },
+                description: formData.get('description').trim() || null,
+                sortOrder: parseInt(formData.get('sortOrder')) || 0,
+                baseReward: parseFloat(formData.get('baseReward')) || 0,
+                allowedFileTypes,
+                fieldSchema,
+                mediaRules,
+                isActive: formData.get('isActive') === 'on'
+            };
+
+            if (!categoryId) {
+                payload.gameId = formData.get('gameId');
+            }
+
+            gamePlatform.showLoading('Сохранение...');
+
+            await gamePlatform.apiRequest(categoryId ? `/api/admin/categories/${categoryId}` : '/api/admin/categories', {
+                method: categoryId ? 'PATCH' : 'POST',
+                body: JSON.stringify(payload)
+            });
+
+            gamePlatform.showToast('Категория сохранена!', 'success');
+            gamePlatform.closeModal('categoryModal');
+
+            await this.loadCategories();
+
+        } catch (error) {
+            console.error('Save category error:', error);
+            gamePlatform.showToast(`Ошибка сохранения категории: ${error.message}`, 'error');
+        } finally {
+            gamePlatform.hideLoading();
+        }
+    }
+
+    // Categories in use can only be deleted by moving their submissions to
+    // another category
+    async deleteCategory(categoryId) {
+        const category = this.categories.find(c => c.id === categoryId);
+        if (!category) return;
+
+        let mergeInto = '';
+        if (category._count.submissions > 0) {
+            mergeInto = prompt(`Категория используется в ${category._count.submissions} заявках. Укажите slug категории игры ${category.game.name}, в которую их перенести:`);
+            if (!mergeInto) return;
+        } else if (!confirm(`Удалить категорию «${this.categoryName(category.gameId, category.slug)}»?`)) {
+            return;
+        }
+
+        try {
+            gamePlatform.showLoading('Удаление...');
+
+            const params = mergeInto ? `?${new URLSearchParams({ mergeInto: mergeInto.trim() })}` : '';
+            await gamePlatform.apiRequest(`/api/admin/categories/${categoryId}${params}`, {
+                method: 'DELETE'
+            });
+
+            gamePlatform.showToast('Категория удалена!', 'success');
+
+            await this.loadCategories();
+            await this.loadSubmissions();
+
+        } catch (error) {
+            console.error('Delete category error:', error);
+            gamePlatform.showToast(`Ошибка удаления категории: ${error.message}`, 'error');
+        } finally {
+            gamePlatform.hideLoading();
+        }
+    }
+
+    // Review Macro Management
+    renderMacros() {
+        const container = document.getElementById('macrosTable');
+        if (!container) return;
+
+        if (this.macros.length === 0) {
+            container.innerHTML = '<div class="table-empty"><div class="empty-icon">⚡</div><h3>Шаблонов нет</h3></div>';
+            return;
+        }
+
+        container.innerHTML = `
+            <table class="admin-table">
+                <thead>
+                    <tr>
+                        <th>Шаблон</th>
+                        <th>Действие</th>
+                        <th>Бонус</th>
+                        <th>Теги</th>
+                        <th>Порядок</th>
+                        <th>Проверки</th>
+                        <th>Статус</th>
+                        <th class="actions-cell">Действия</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${this.macros.map(macro => `
+                        <tr>
+                            <td>
+                                <div class="user-details">
+                                    <div class="user-nickname">${macro.name}</div>
+                                    <div class="user-meta">${macro.reasonTemplate || ''}</div>
+                                </div>
+                            </td>
+                            <td>${macro.status === 'APPROVED' ? 'Одобрить' : 'Отклонить'}</td>
+                            <td>${macro.bonusAmount !== null ? macro.bonusAmount.toFixed(2) : 'базовая'}</td>
+                            <td>${macro.tags.map(tag => `#${tag}`).join(' ')}</td>
+                            <td>${macro.sortOrder}</td>
+                            <td>${macro._count.submissions}</td>
+                            <td>
+                                <div class="status-indicator">
+                                    <div class="status-dot ${macro.isActive ? 'online' : 'banned'}"></div>
+                                    ${macro.isActive ? 'Активен' : 'Неактивен'}
+                                </div>
+                            </td>
+                            <td>
+                                <div class="table-actions">
+                                    <button class="btn-table btn-edit" onclick="adminPanel.editMacro('${macro.id}')">
+                                        ✏️ Изменить
+                                    </button>
+                                    <button class="btn-table btn-reject" onclick="adminPanel.deleteMacro('${macro.id}')">
+                                        🗑️ Удалить
+                                    </button>
+                                </div>
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    // Open the macro form, empty for a new macro
+    editMacro(macroId = null) {
+        const macro = this.macros.find(m => m.id === macroId);
+
+        document.getElementById('macroForm').reset();
+        document.getElementById('macroId').value = macro ? macro.id : '';
+        document.getElementById('macroModalTitle').textContent = macro ? 'Редактировать шаблон' : 'Новый шаблон';
+
+        if (macro) {
+            document.getElementById('macroName').value = macro.name;
+            document.getElementById('macroStatus').value = macro.status;
+            document.getElementById('macroReason').value = macro.reasonTemplate || '';
+            document.getElementById('macroBonus').value = macro.bonusAmount !== null ? macro.bonusAmount : '';
+            document.getElementById('macroTags').value = macro.tags.join(', ');
+            document.getElementById('macroSortOrder').value = macro.sortOrder;
+            document.getElementById('macroActive').checked = macro.isActive;
+        }
+
+        gamePlatform.showModal('macroModal');
+    }
+
+    async saveMacro() {
+        try {
+            const form = document.getElementById('macroForm');
+            const formData = new FormData(form);
+            const macroId = formData.get('macroId');
+            const bonus = formData.get('bonusAmount').trim();
+
+            const payload = {
+                name: formData.get('name').trim(),
+                status: formData.get('status'),
+                reasonTemplate: formData.get('reasonTemplate').trim() || null,
+                bonusAmount: bonus ? parseFloat(bonus) : null,
+                tags: formData.get('tags').split(',').map(tag => tag.trim()).filter(Boolean),
+                sortOrder: parseInt(formData.get('sortOrder')) || 0,
+                isActive: formData.get('isActive') === 'on'
+            };
+
+            if (payload.status === 'REJECTED' && !payload.reasonTemplate) {
+                gamePlatform.showToast('Укажите причину отклонения', 'error');
+                return;
+            }
+
+            gamePlatform.showLoading('Сохранение...');
+
+            await gamePlatform.apiRequest(macroId ? `/api/admin/macros/${macroId}` : '/api/admin/macros', {
+                method: macroId ? 'PATCH' : 'POST',
+                body: JSON.stringify(payload)
+            });
+
+            gamePlatform.showToast('Шаблон сохранён!', 'success');
+            gamePlatform.closeModal('macroModal');
+
+            await this.loadMacros();
+
+        } catch (error) {
+            console.error('Save macro error:', error);
+            gamePlatform.showToast(`Ошибка сохранения шаблона: ${error.message}`, 'error');
+        } finally {
+            gamePlatform.hideLoading();
+        }
+    }
+
+    // Macros reviews were made with can only be deactivated
+    async deleteMacro(macroId) {
+        const macro = this.macros.find(m => m.id === macroId);
+        if (!macro) return;
+
+        if (macro._count.submissions > 0) {
+            gamePlatform.showToast('Шаблон уже использовался в проверках, его можно только отключить', 'error');
+            return;
+        }
+
+        if (!confirm(`Удалить шаблон «${macro.name}»?`)) return;
+
+        try {
+            gamePlatform.showLoading('Удаление...');
+
+            await gamePlatform.apiRequest(`/api/admin/macros/${macroId}`, {
+                method: 'DELETE'
+            });
+
+            gamePlatform.showToast('Шаблон удалён!', 'success');
+
+            await this.loadMacros();
+
+        } catch (error) {
+            console.error('Delete macro error:', error);
+            gamePlatform.showToast(`Ошибка удаления шаблона: ${error.message}`, 'error');
+        } finally {
+            gamePlatform.hideLoading();
+        }
+    }
+
+    // Game Management
+    renderGames() {
+        const container = document.getElementById('gamesTable');
+        if (!container) return;
+
+        if (this.games.length === 0) {
+            container.innerHTML = '<div class="table-empty"><div class="empty-icon">🎮</div><h3>Игр нет</h3></div>';
+            return;
+        }
+
+        const limitText = (value, format = v => v) => value ? format(value) : 'общий';
+
+        container.innerHTML = `
+            <table class="admin-table">
+                <thead>
+                    <tr>
+                        <th>Игра</th>
+                        <th>Лимиты</th>
+                        <th>Порядок</th>
+                        <th>Категории</th>
+                        <th>Заявки</th>
+                        <th>Статус</th>
+                        <th class="actions-cell">Действия</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${this.games.map(game => `
+                        <tr>
+                            <td>
+                                <div class="user-info-compact">
+                                    <div class="user-avatar">
+                                        ${game.iconUrl ? `<img src="${game.iconUrl}" alt="${game.name}" class="game-icon">` : '🎮'}
+                                    </div>
+                                    <div class="user-details">
+                                        <div class="user-nickname">${game.name}</div>
+                                        <div class="user-meta">${game.slug}</div>
+                                    </div>
+                                </div>
+                            </td>
+                            <td>
+                                <div class="user-stats">
+                                    <div>В день: ${limitText(game.maxSubmissionsPerDay)}</div>
+                                    <div>Файлов: ${limitText(game.maxFiles)}</div>
+                                    <div>Размер файла: ${limitText(game.maxFileSize, gamePlatform.formatFileSize)}</div>
+                                </div>
+                            </td>
+                            <td>${game.sortOrder}</td>
+                            <td>${game._count.categories}</td>
+                            <td>${game._count.submissions}</td>
+                            <td>
+                                <div class="status-indicator">
+                                    <div class="status-dot ${game.isActive ? 'online' : 'banned'}"></div>
+                                    ${game.isActive ? 'Активна' : 'Неактивна'}
+                                </div>
+                            </td>
+                            <td>
+                                <div class="table-actions">
+                                    <button class="btn-table btn-edit" onclick="adminPanel.editGame('${game.id}')">
+                                        ✏️ Изменить
+                                    </button>
+                                    <button class="btn-table btn-reject" onclick="adminPanel.deleteGame('${game.id}')">
+                                        🗑️ Удалить
+                                    </button>
+                                </div>
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    // Open the game form, empty for a new game
+    editGame(gameId = null) {
+        const game = this.games.find(g => g.id === gameId);
+
+        document.getElementById('gameForm').reset();
+        document.getElementById('gameId').value = game ? game.id : '';
+        document.getElementById('gameModalTitle').textContent = game ? 'Редактировать игру' : 'Новая игра';
+
+        if (game) {
+            document.getElementById('gameSlug').value = game.slug;
+            document.getElementById('gameName').value = game.name;
+            document.getElementById('gameIconUrl').value = game.iconUrl || '';
+            document.getElementById('gameSortOrder').value = game.sortOrder;
+            document.getElementById('gameMaxSubmissions').value = game.maxSubmissionsPerDay || '';
+            document.getElementById('gameMaxFiles').value = game.maxFiles || '';
+            document.getElementById('gameMaxFileSize').value = game.maxFileSize ? Math.round(game.maxFileSize / 1024 / 1024) : '';
+            document.getElementById('gameActive').checked = game.isActive;
+        }
+
+        gamePlatform.showModal('gameModal');
+    }
+
+    async saveGame() {
+        try {
+            const form = document.getElementById('gameForm');
+            const formData = new FormData(form);
+            const gameId = formData.get('gameId');
+
+            // Empty limits fall back to the global ones
+            const optionalInt = (name) => parseInt(formData.get(name)) || null;
+            const maxFileSizeMb = optionalInt('maxFileSizeMb');
+
+            const payload = {
+                slug: formData.get('slug').trim(),
+                name: formData.get('name').trim(),
+                iconUrl: formData.get('iconUrl').trim() || null,
+                sortOrder: parseInt(formData.get('sortOrder')) || 0,
+                maxSubmissionsPerDay: optionalInt('maxSubmissionsPerDay'),
+                maxFiles: optionalInt('maxFiles'),
+                maxFileSize: maxFileSizeMb ? maxFileSizeMb * 1024 * 1024 : null,
+                isActive: formData.get('isActive') === 'on'
+            };
+
+            gamePlatform.showLoading('Сохранение...');
+
+            await gamePlatform.apiRequest(gameId ? `/api/admin/games/${gameId}` : '/api/admin/games', {
+                method: gameId ? 'PATCH' : 'POST',
+                body: JSON.stringify(payload)
+            });
+
+            gamePlatform.showToast('Игра сохранена!', 'success');
+            gamePlatform.closeModal('gameModal');
+
+            await this.loadGames();
+
+        } catch (error) {
+            console.error('Save game error:', error);
+            gamePlatform.showToast(`Ошибка сохранения игры: ${error.message}`, 'error');
+        } finally {
+            gamePlatform.hideLoading();
+        }
+    }
+
+    // Only games without categories and submissions can be deleted
+    async deleteGame(gameId) {
+        const game = this.games.find(g => g.id === gameId);
+        if (!game) return;
+
+        if (game._count.categories > 0 || game._count.submissions > 0) {
+            gamePlatform.showToast('У игры есть категории или заявки. Сделайте её неактивной вместо удаления', 'error');
+            return;
+        }
+
+        if (!confirm(`Удалить игру «${game.name}»?`)) return;
+
+        try {
+            gamePlatform.showLoading('Удаление...');
+
+            await gamePlatform.apiRequest(`/api/admin/games/${gameId}`, {
+                method: 'DELETE'
+            });
+
+            gamePlatform.showToast('Игра удалена!', 'success');
+
+            await this.loadGames();
+
+        } catch (error) {
+            console.error('Delete game error:', error);
+            gamePlatform.showToast(`Ошибка удаления игры: ${error.message}`, 'error');
+        } finally {
+            gamePlatform.hideLoading();
+        }
+    }
 }
 
 // Initialize admin panel
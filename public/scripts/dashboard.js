@@ -2,17 +2,26 @@
 class Dashboard {
     constructor() {
         this.user = null;
+        this.games = [];
         this.categories = [];
         this.submissions = [];
         this.currentPage = 1;
         this.currentTab = 'submissions';
+        this.selectedFiles = [];
+        this.formMode = { type: 'create', submissionId: null };
+        this.maxFiles = 10;
+        this.maxFileSize = 100 * 1024 * 1024;
+        this.maxTotalSize = 500 * 1024 * 1024;
+        this.maxTags = 10;
         this.init();
     }
 
     async init() {
         try {
             await this.loadUserData();
+            await this.loadGames();
             await this.loadCategories();
+            await this.loadLimits();
             await this.loadSubmissions();
             this.setupEventListeners();
             this.updateUI();
@@ -35,16 +44,192 @@ class Dashboard {
         }
     }
 
+    async loadGames() {
+        try {
+            const response = await gamePlatform.apiRequest('/api/submissions/meta/games');
+            this.games = response.games || [];
+        } catch (error) {
+            console.error('Load games error:', error);
+            this.games = [];
+        }
+    }
+
     async loadCategories() {
         try {
             const response = await gamePlatform.apiRequest('/api/submissions/meta/categories');
-            this.categories = response.all || [];
+            this.categories = response.categories || [];
         } catch (error) {
             console.error('Load categories error:', error);
-            this.categories = [
-                'Victory Royale', 'Epic Kill', 'Funny Moment', 'Clutch Play',
-                'Bug/Glitch', 'Creative Build', 'Trick Shot', 'Team Play'
-            ];
+            this.categories = [];
+        }
+    }
+
+    // Display name of a game's category; deactivated categories keep their names
+    categoryName(gameId, slug) {
+        const category = this.categories.find(c => c.gameId === gameId && c.slug === slug);
+        return category ? (category.names.ru || category.names.en || slug) : slug;
+    }
+
+    gameName(gameId) {
+        const game = this.games.find(g => g.id === gameId);
+        return game ? game.name : '';
+    }
+
+    // Text from uploads, safe to put into innerHTML and attribute values
+    escapeHtml(value) {
+        return String(value).replace(/[&<>"']/g, char => ({
+            '&': '&amp;',
+            '<': '&lt;',
+            '>': '&gt;',
+            '"': '&quot;',
+            "'": '&#39;'
+        })[char]);
+    }
+
+    // Game chosen in the submission form
+    selectedGame() {
+        const slug = document.getElementById('game')?.value;
+        return this.games.find(game => game.slug === slug) || null;
+    }
+
+    // File limits of the chosen game, or the global ones until a game is chosen
+    fileLimits() {
+        const game = this.selectedGame();
+        return game ? game.limits : { maxFiles: this.maxFiles, maxFileSize: this.maxFileSize };
+    }
+
+    // Offer the active games; with a single game there is nothing to choose
+    renderGameOptions() {
+        const gameSelect = document.getElementById('game');
+        if (!gameSelect) return;
+
+        const activeGames = this.games.filter(game => game.isActive);
+        gameSelect.innerHTML = '<option value="">Выберите игру</option>' +
+            activeGames.map(game => `<option value="${game.slug}">${game.name}</option>`).join('');
+        if (activeGames.length === 1) {
+            gameSelect.value = activeGames[0].slug;
+        }
+
+        this.renderCategoryOptions();
+    }
+
+    // Offer the active categories of the chosen game
+    renderCategoryOptions() {
+        const categorySelect = document.getElementById('category');
+        if (!categorySelect) return;
+
+        const game = this.selectedGame();
+        const selected = categorySelect.value;
+
+        categorySelect.innerHTML = `<option value="">${game ? 'Выберите категорию' : 'Сначала выберите игру'}</option>` +
+            this.categories
+                .filter(category => game && category.gameId === game.id && category.isActive)
+                .map(category => `<option value="${category.slug}">${this.categoryName(category.gameId, category.slug)}</option>`)
+                .join('');
+        categorySelect.value = selected;
+        this.renderExtraFields();
+    }
+
+    // Category chosen in the submission form
+    selectedCategory() {
+        const game = this.selectedGame();
+        const slug = document.getElementById('category')?.value;
+        return game ? this.categories.find(c => c.gameId === game.id && c.slug === slug) || null : null;
+    }
+
+    fieldLabel(field) {
+        return field.names.ru || field.names.en || field.key;
+    }
+
+    // Inputs for the extra fields the chosen category declares
+    renderExtraFields(values = {}) {
+        const container = document.getElementById('extraFields');
+        if (!container) return;
+
+        const category = this.selectedCategory();
+        const fields = category ? category.fieldSchema || [] : [];
+
+        container.innerHTML = fields.map(field => {
+            const value = values[field.key] ?? '';
+            const label = `${this.fieldLabel(field)}${field.required ? ' *' : ''}`;
+            const attributes = `id="extraField-${field.key}" data-field-key="${field.key}" ${field.required ? 'required' : ''}`;
+            let input;
+
+            if (field.type === 'enum' || field.type === 'boolean') {
+                const options = field.type === 'enum'
+                    ? field.options.map(option => [option, option])
+                    : [['true', 'Да'], ['false', 'Нет']];
+                input = `
+                    <select ${attributes} class="form-select">
+                        <option value="">Не указано</option>
+                        ${options.map(([optionValue, text]) => `<option value="${optionValue}" ${String(value) === optionValue ? 'selected' : ''}>${text}</option>`).join('')}
+                    </select>
+                `;
+            } else if (field.type === 'string') {
+                input = `<input type="text" ${attributes} class="form-input" value="${value}"
+                    ${field.min != null ? `minlength="${field.min}"` : ''} maxlength="${field.max != null ? field.max : 200}">`;
+            } else {
+                input = `<input type="number" ${attributes} class="form-input" value="${value}"
+                    step="${field.type === 'integer' ? '1' : 'any'}"
+                    ${field.min != null ? `min="${field.min}"` : ''} ${field.max != null ? `max="${field.max}"` : ''}>`;
+            }
+
+            return `
+                <div class="form-group">
+                    <label class="form-label" for="extraField-${field.key}">${label}</label>
+                    ${input}
+                </div>
+            `;
+        }).join('');
+    }
+
+    // Extra field values typed as the category declares them; empty inputs
+    // are left out
+    collectExtraFields() {
+        const category = this.selectedCategory();
+        const values = {};
+
+        (category ? category.fieldSchema || [] : []).forEach(field => {
+            const raw = document.getElementById(`extraField-${field.key}`)?.value.trim() || '';
+            if (raw === '') return;
+
+            if (field.type === 'integer') {
+                values[field.key] = parseInt(raw, 10);
+            } else if (field.type === 'number') {
+                values[field.key] = parseFloat(raw);
+            } else if (field.type === 'boolean') {
+                values[field.key] = raw === 'true';
+            } else {
+                values[field.key] = raw;
+            }
+        });
+
+        return values;
+    }
+
+    // Extra field values of a submission as detail rows
+    renderExtraFieldValues(submission) {
+        const category = this.categories.find(c => c.gameId === submission.gameId && c.slug === submission.category);
+        const values = submission.extraFields || {};
+
+        return (category ? category.fieldSchema || [] : [])
+            .filter(field => values[field.key] !== undefined)
+            .map(field => `
+                <div class="detail-row">
+                    <strong>${this.fieldLabel(field)}:</strong> ${field.type === 'boolean' ? (values[field.key] ? 'Да' : 'Нет') : values[field.key]}
+                </div>
+            `).join('');
+    }
+
+    async loadLimits() {
+        try {
+            const limits = await gamePlatform.apiRequest('/api/submissions/meta/limits');
+            this.maxFiles = limits.maxFiles || this.maxFiles;
+            this.maxFileSize = limits.maxFileSize || this.maxFileSize;
+            this.maxTags = limits.maxTags || this.maxTags;
+            this.maxTotalSize = limits.maxTotalSize || this.maxTotalSize;
+        } catch (error) {
+            console.error('Load limits error:', error);
         }
     }
 
@@ -53,6 +238,8 @@ class Dashboard {
             this.showSubmissionsLoading(true);
             
             const statusFilter = document.getElementById('statusFilter')?.value || '';
+            const gameFilter = document.getElementById('gameFilter')?.value || '';
+            const tagFilter = document.getElementById('tagFilter')?.value.trim() || '';
             const params = new URLSearchParams({
                 page: page.toString(),
                 limit: '12'
@@ -62,6 +249,14 @@ class Dashboard {
                 params.append('status', statusFilter);
             }
 
+            if (gameFilter) {
+                params.append('game', gameFilter);
+            }
+
+            if (tagFilter) {
+                params.append('tags', tagFilter);
+            }
+
             const response = await gamePlatform.apiRequest(`/api/submissions?${params}`);
             this.submissions = response.submissions;
             this.pagination = response.pagination;
@@ -99,11 +294,36 @@ class Dashboard {
             });
         });
 
-        // Status filter
+        // Status and game filters
         document.getElementById('statusFilter')?.addEventListener('change', () => {
             this.loadSubmissions(1);
         });
 
+        document.getElementById('gameFilter')?.addEventListener('change', () => {
+            this.loadSubmissions(1);
+        });
+
+        document.getElementById('tagFilter')?.addEventListener('change', () => {
+            this.loadSubmissions(1);
+        });
+
+        // Suggest popular tags for the tag being typed
+        document.getElementById('tags')?.addEventListener('input', () => {
+            clearTimeout(this.tagSuggestTimer);
+            this.tagSuggestTimer = setTimeout(() => this.suggestTags(), 250);
+        });
+
+        // Categories and limits depend on the game
+        document.getElementById('game')?.addEventListener('change', () => {
+            this.renderCategoryOptions();
+            this.renderFilePreview();
+        });
+
+        // Extra fields depend on the category
+        document.getElementById('category')?.addEventListener('change', () => {
+            this.renderExtraFields(this.collectExtraFields());
+        });
+
         // File upload
         this.setupFileUpload();
 
@@ -114,6 +334,46 @@ class Dashboard {
         });
     }
 
+    // Tags typed into the form, normalized the way the server stores them
+    parseTags(value) {
+        const tags = value.split(',')
+            .map(tag => tag.trim().replace(/^#/, '').toLowerCase().replace(/\s+/g, ' '))
+            .filter(Boolean);
+        return [...new Set(tags)];
+    }
+
+    // Autocomplete entries keep the tags already typed, so picking one
+    // completes the last tag in the comma-separated list
+    async suggestTags() {
+        const input = document.getElementById('tags');
+        const datalist = document.getElementById('tagSuggestions');
+        if (!input || !datalist) return;
+
+        const parts = input.value.split(',');
+        const prefix = parts.pop().trim().replace(/^#/, '');
+        if (!prefix) {
+            datalist.innerHTML = '';
+            return;
+        }
+
+        try {
+            const response = await gamePlatform.apiRequest(`/api/submissions/meta/tags?q=${encodeURIComponent(prefix)}`);
+            const typed = parts.map(part => part.trim()).filter(Boolean);
+            const head = typed.length > 0 ? `${typed.join(', ')}, ` : '';
+            datalist.innerHTML = response.tags
+                .filter(tag => !typed.includes(tag.name))
+                .map(tag => `<option value="${head}${tag.name}">${tag.name} (${tag.count})</option>`)
+                .join('');
+        } catch (error) {
+            console.error('Load tag suggestions error:', error);
+        }
+    }
+
+    renderTags(tags) {
+        if (!tags || tags.length === 0) return '';
+        return `<div class="tag-list">${tags.map(tag => `<span class="tag-chip">#${tag}</span>`).join('')}</div>`;
+    }
+
     setupFileUpload() {
         const fileUpload = document.getElementById('fileUpload');
         const fileInput = document.getElementById('file');
@@ -140,72 +400,113 @@ class Dashboard {
             e.preventDefault();
             fileUpload.classList.remove('drag-over');
             
-            const files = e.dataTransfer.files;
-            if (files.length > 0) {
-                fileInput.files = files;
-                this.handleFileSelect(files[0]);
+            if (e.dataTransfer.files.length > 0) {
+                this.handleFileSelect(e.dataTransfer.files);
             }
         });
 
         // File selection
         fileInput.addEventListener('change', (e) => {
             if (e.target.files.length > 0) {
-                this.handleFileSelect(e.target.files[0]);
+                this.handleFileSelect(e.target.files);
             }
+            // Allow picking the same file again after removing it
+            fileInput.value = '';
         });
     }
 
-    handleFileSelect(file) {
-        const filePreview = document.getElementById('filePreview');
-        const maxSize = 100 * 1024 * 1024; // 100MB
+    // Add picked files to the submission; the first file is the main one
+    handleFileSelect(files) {
+        const { maxFiles, maxFileSize } = this.fileLimits();
+        const allowedTypes = ['image/', 'video/'];
 
-        // Validate file size
-        if (file.size > maxSize) {
-            gamePlatform.showToast('Файл слишком большой. Максимальный размер: 100 МБ', 'error');
-            return;
+        for (const file of files) {
+            if (this.selectedFiles.length >= maxFiles) {
+                gamePlatform.showToast(`Можно прикрепить не более ${maxFiles} файлов`, 'error');
+                break;
+            }
+
+            // Validate file size
+            if (file.size > maxFileSize) {
+                gamePlatform.showToast(`${file.name}: файл слишком большой. Максимальный размер: ${this.formatFileSize(maxFileSize)}`, 'error');
+                continue;
+            }
+
+            // Validate file type
+            if (!allowedTypes.some(type => file.type.startsWith(type))) {
+                gamePlatform.showToast(`${file.name}: недопустимый тип файла. Разрешены только изображения и видео`, 'error');
+                continue;
+            }
+
+            this.selectedFiles.push(file);
         }
 
-        // Validate file type
-        const allowedTypes = ['image/', 'video/'];
-        if (!allowedTypes.some(type => file.type.startsWith(type))) {
-            gamePlatform.showToast('Недопустимый тип файла. Разрешены только изображения и видео', 'error');
+        this.renderFilePreview();
+    }
+
+    renderFilePreview() {
+        const filePreview = document.getElementById('filePreview');
+
+        // Revoke preview URLs of the previous render
+        filePreview.querySelectorAll('[data-object-url]').forEach(element => {
+            URL.revokeObjectURL(element.dataset.objectUrl);
+        });
+
+        if (this.selectedFiles.length === 0) {
+            filePreview.innerHTML = '';
+            filePreview.classList.add('hidden');
             return;
         }
 
-        // Show preview
-        const reader = new FileReader();
-        reader.onload = (e) => {
+        const totalSize = this.selectedFiles.reduce((sum, file) => sum + file.size, 0);
+
+        filePreview.innerHTML = this.selectedFiles.map((file, index) => {
+            const url = URL.createObjectURL(file);
             const isImage = file.type.startsWith('image/');
-            const element = isImage ? 'img' : 'video';
-            const controls = isImage ? '' : 'controls';
+            const media = isImage
+                ? `<img src="${url}" data-object-url="${url}" class="file-preview-image">`
+                : `<video src="${url}" data-object-url="${url}" class="file-preview-image" preload="metadata" muted></video>`;
 
-            filePreview.innerHTML = `
+            return `
                 <div class="file-preview-content">
-                    <${element} src="${e.target.result}" class="file-preview-image" ${controls}></${element}>
+                    ${media}
                     <div class="file-preview-info">
-                        <div class="file-preview-name">${file.name}</div>
+                        <div class="file-preview-name">${index === 0 ? '⭐ ' : ''}${file.name}</div>
                         <div class="file-preview-details">
                             ${this.formatFileSize(file.size)} • ${file.type}
                         </div>
                     </div>
-                    <button type="button" class="file-preview-remove" onclick="dashboard.removeFile()">
+                    ${index > 0 ? `
+                        <button type="button" class="file-preview-move" title="Сделать основным" onclick="dashboard.makePrimaryFile(${index})">
+                            ⭐
+                        </button>
+                    ` : ''}
+                    <button type="button" class="file-preview-remove" onclick="dashboard.removeFile(${index})">
                         🗑️
                     </button>
                 </div>
             `;
-            filePreview.classList.remove('hidden');
-        };
+        }).join('') + `
+            <div class="file-preview-summary">
+                Файлов: ${this.selectedFiles.length} из ${this.fileLimits().maxFiles} • ${this.formatFileSize(totalSize)}
+            </div>
+        `;
+        filePreview.classList.remove('hidden');
+    }
 
-        reader.readAsDataURL(file);
+    makePrimaryFile(index) {
+        const [file] = this.selectedFiles.splice(index, 1);
+        this.selectedFiles.unshift(file);
+        this.renderFilePreview();
     }
 
-    removeFile() {
-        const fileInput = document.getElementById('file');
-        const filePreview = document.getElementById('filePreview');
-        
-        fileInput.value = '';
-        filePreview.innerHTML = '';
-        filePreview.classList.add('hidden');
+    removeFile(index) {
+        if (index === undefined) {
+            this.selectedFiles = [];
+        } else {
+            this.selectedFiles.splice(index, 1);
+        }
+        this.renderFilePreview();
     }
 
     switchTab(tabName) {
@@ -248,11 +549,14 @@ class Dashboard {
             document.getElementById('totalEarnings').textContent = this.user.balance.toFixed(2);
         }
 
-        // Update categories dropdown
-        const categorySelect = document.getElementById('category');
-        if (categorySelect && this.categories.length > 0) {
-            categorySelect.innerHTML = '<option value="">Выберите категорию</option>' +
-                this.categories.map(cat => `<option value="${cat}">${cat}</option>`).join('');
+        // Update game and category dropdowns
+        this.renderGameOptions();
+
+        const gameFilter = document.getElementById('gameFilter');
+        if (gameFilter) {
+            gameFilter.innerHTML = '<option value="">Все игры</option>' +
+                this.games.map(game => `<option value="${game.slug}">${game.name}</option>`).join('');
+            gameFilter.classList.toggle('hidden', this.games.length < 2);
         }
     }
 
@@ -278,30 +582,45 @@ class Dashboard {
             'REJECTED': 'Отклонено'
         }[submission.status];
 
+        const assets = submission.assets || [];
+        const totalSize = assets.length > 0
+            ? assets.reduce((sum, asset) => sum + asset.fileSize, 0)
+            : submission.fileSize;
         const fileUrl = submission.fileUrl;
+        const previewUrl = submission.thumbnailUrl || submission.posterUrl;
         const isImage = submission.fileType === 'IMAGE';
-        const mediaElement = isImage 
-            ? `<img src="${fileUrl}" alt="Submission" loading="lazy">`
-            : `<video src="${fileUrl}" muted></video>`;
+        const mediaElement = previewUrl
+            ? `<img src="${previewUrl}" alt="Submission" loading="lazy">`
+            : isImage 
+                ? `<img src="${fileUrl}" alt="Submission" loading="lazy">`
+                : `<video src="${fileUrl}" preload="metadata" muted></video>`;
 
         return `
             <div class="submission-card" onclick="dashboard.showSubmissionDetails('${submission.id}')">
                 <div class="submission-preview">
                     ${mediaElement}
-                    <div class="file-type-badge">${submission.fileType}</div>
+                    <div class="file-type-badge">${submission.fileType}${assets.length > 1 ? ` • ${assets.length} файлов` : ''}</div>
+                    ${submission.processingStatus === 'PROCESSING' ? '<div class="file-type-badge processing-badge">⏳ Обработка</div>' : ''}
                 </div>
                 <div class="submission-info">
                     <div class="submission-header">
-                        <div class="submission-category">${submission.category}</div>
+                        <div class="submission-category">${this.games.length > 1 ? `${this.gameName(submission.gameId)} • ` : ''}${this.categoryName(submission.gameId, submission.category)}</div>
                         <div class="status-badge ${statusClass}">${statusText}</div>
                     </div>
+                    ${submission.appealStatus ? `<div class="submission-description">⚖️ ${this.appealStatusText(submission.appealStatus)}</div>` : ''}
                     ${submission.description ? `<div class="submission-description">${submission.description}</div>` : ''}
+                    ${this.renderTags(submission.tags)}
                     <div class="submission-meta">
                         <span>${gamePlatform.formatDate(submission.createdAt)}</span>
-                        <span>${gamePlatform.formatFileSize(submission.fileSize)}</span>
+                        <span>${gamePlatform.formatFileSize(totalSize)}</span>
                     </div>
                     ${submission.status === 'PENDING' ? `
                         <div class="submission-actions">
+                            ${submission.editable ? `
+                                <button class="btn btn-secondary btn-small" onclick="event.stopPropagation(); dashboard.editSubmission('${submission.id}')">
+                                    Изменить
+                                </button>
+                            ` : ''}
                             <button class="btn btn-danger btn-small" onclick="event.stopPropagation(); dashboard.deleteSubmission('${submission.id}')">
                                 Удалить
                             </button>
@@ -390,7 +709,7 @@ class Dashboard {
                     ${this.payouts.map(payout => `
                         <tr>
                             <td>${gamePlatform.formatDate(payout.createdAt)}</td>
-                            <td class="amount-cell">+${payout.amount.toFixed(2)}</td>
+                            <td class="amount-cell">${payout.amount >= 0 ? '+' : ''}${payout.amount.toFixed(2)}</td>
                             <td>${payout.reason}</td>
                             <td>${payout.admin.nickname}</td>
                             <td>
@@ -419,9 +738,101 @@ class Dashboard {
     }
 
     showSubmissionModal() {
+        this.setFormMode('create');
+        document.getElementById('submissionForm').reset();
+        document.getElementById('tagSuggestions').innerHTML = '';
+        this.renderGameOptions();
+        this.removeFile();
         gamePlatform.showModal('submissionModal');
     }
 
+    // The submission modal creates submissions, edits pending ones and
+    // resubmits rejected ones
+    setFormMode(type, submissionId = null) {
+        this.formMode = { type, submissionId };
+
+        document.getElementById('submissionModalTitle').textContent = {
+            create: 'Создать новую заявку',
+            edit: 'Редактировать заявку',
+            resubmit: 'Повторная отправка заявки'
+        }[type];
+        document.getElementById('submitBtn').textContent = this.submitButtonText();
+        document.getElementById('fileUploadHint').textContent = {
+            create: '',
+            edit: 'Выберите новые файлы, только если хотите заменить текущие',
+            resubmit: 'Загрузите исправленные файлы. Повторная отправка не расходует дневной лимит заявок'
+        }[type];
+
+        // Tags are set at upload; moderators manage them afterwards
+        document.getElementById('tagsGroup').classList.toggle('hidden', type === 'edit');
+    }
+
+    submitButtonText() {
+        return {
+            create: 'Отправить заявку',
+            edit: 'Сохранить изменения',
+            resubmit: 'Отправить повторно'
+        }[this.formMode.type];
+    }
+
+    // Open the modal prefilled with a submission's game, category, description
+    // and tags
+    async openSubmissionForm(type, submissionId) {
+        const submission = await gamePlatform.apiRequest(`/api/submissions/${submissionId}`);
+
+        this.setFormMode(type, submission.id);
+        this.removeFile();
+
+        // An edit may keep a game or category that has since been
+        // deactivated; a resubmission has to pick active ones
+        this.renderGameOptions();
+        const gameSelect = document.getElementById('game');
+        if (![...gameSelect.options].some(option => option.value === submission.game.slug) && type === 'edit') {
+            gameSelect.add(new Option(submission.game.name, submission.game.slug));
+        }
+        gameSelect.value = submission.game.slug;
+        this.renderCategoryOptions();
+
+        const categorySelect = document.getElementById('category');
+        const isOffered = [...categorySelect.options].some(option => option.value === submission.category);
+        if (!isOffered && type === 'edit') {
+            categorySelect.add(new Option(this.categoryName(submission.gameId, submission.category), submission.category));
+        }
+        categorySelect.value = isOffered || type === 'edit' ? submission.category : '';
+        document.getElementById('description').value = submission.description || '';
+        this.renderExtraFields(submission.extraFields || {});
+        document.getElementById('tags').value = (submission.tags || []).join(', ');
+
+        return submission;
+    }
+
+    async editSubmission(submissionId) {
+        try {
+            const submission = await this.openSubmissionForm('edit', submissionId);
+
+            if (!submission.editable) {
+                gamePlatform.showToast('Модератор уже начал проверку, изменить заявку нельзя', 'error');
+                return;
+            }
+
+            gamePlatform.showModal('submissionModal');
+
+        } catch (error) {
+            console.error('Edit submission error:', error);
+            gamePlatform.showToast('Ошибка загрузки заявки', 'error');
+        }
+    }
+
+    async resubmitSubmission(submissionId) {
+        try {
+            await this.openSubmissionForm('resubmit', submissionId);
+            gamePlatform.showModal('submissionModal');
+        } catch (error) {
+            console.error('Resubmit submission error:', error);
+            gamePlatform.showToast('Ошибка загрузки заявки', 'error');
+        }
+    }
+
     async submitForm() {
         try {
             const form = document.getElementById('submissionForm');
@@ -434,29 +845,69 @@ class Dashboard {
 
             submitBtn.disabled = true;
             submitBtn.textContent = 'Отправка...';
-            gamePlatform.showLoading('Создание заявки...');
+            gamePlatform.showLoading('Загрузка файла...');
+
+            const files = [...this.selectedFiles];
+            const payload = {
+                game: document.getElementById('game').value,
+                category: document.getElementById('category').value
+            };
+
+            // Edits and resubmissions may clear the description, a new
+            // submission just omits it
+            const { type, submissionId } = this.formMode;
+            const description = document.getElementById('description').value.trim();
+            if (description || type !== 'create') {
+                payload.description = description;
+            }
 
-            const formData = new FormData(form);
-            
-            const response = await fetch('/api/submissions', {
-                method: 'POST',
-                body: formData,
-                credentials: 'include'
-            });
+            payload.extraFields = this.collectExtraFields();
+
+            if (type !== 'edit') {
+                payload.tags = this.parseTags(document.getElementById('tags').value);
+            }
+
+            // Upload in chunks so a dropped connection only costs the current chunk
+            const uploadIds = [];
+            for (const [index, file] of files.entries()) {
+                uploadIds.push(await this.uploadFileResumable(file, (percent) => {
+                    const label = files.length > 1 ? `Загрузка файла ${index + 1} из ${files.length}...` : 'Загрузка файла...';
+                    gamePlatform.showLoading(`${label} ${percent}%`);
+                }));
+            }
 
-            if (!response.ok) {
-                const error = await response.json();
-                throw new Error(error.error || 'Submission failed');
+            if (type === 'edit') {
+                gamePlatform.showLoading('Сохранение изменений...');
+
+                await gamePlatform.apiRequest(`/api/submissions/${submissionId}`, {
+                    method: 'PATCH',
+                    body: JSON.stringify(uploadIds.length > 0 ? { ...payload, uploadIds } : payload)
+                });
+            } else if (type === 'resubmit') {
+                gamePlatform.showLoading('Создание заявки...');
+
+                await gamePlatform.apiRequest(`/api/submissions/${submissionId}/resubmit`, {
+                    method: 'POST',
+                    body: JSON.stringify({ ...payload, uploadIds })
+                });
+            } else {
+                gamePlatform.showLoading('Создание заявки...');
+
+                await this.withRetry(() => gamePlatform.apiRequest('/api/submissions/uploads/complete', {
+                    method: 'POST',
+                    body: JSON.stringify({ ...payload, uploadIds })
+                }));
             }
 
-            const result = await response.json();
+            files.forEach(file => localStorage.removeItem(this.uploadStorageKey(file)));
             
-            gamePlatform.showToast('Заявка успешно создана!', 'success');
+            gamePlatform.showToast(type === 'edit' ? 'Заявка обновлена' : 'Заявка успешно создана!', 'success');
             gamePlatform.closeModal('submissionModal');
             
             // Reset form
             form.reset();
             this.removeFile();
+            this.setFormMode('create');
             
             // Reload submissions
             await this.loadSubmissions();
@@ -469,42 +920,188 @@ class Dashboard {
         } finally {
             const submitBtn = document.getElementById('submitBtn');
             submitBtn.disabled = false;
-            submitBtn.textContent = 'Отправить заявку';
+            submitBtn.textContent = this.submitButtonText();
             gamePlatform.hideLoading();
         }
     }
 
+    // Resumable uploads
+    uploadStorageKey(file) {
+        return `upload:${file.name}:${file.size}:${file.lastModified}`;
+    }
+
+    async uploadFileResumable(file, onProgress) {
+        const storageKey = this.uploadStorageKey(file);
+        let session = null;
+
+        // Continue an earlier attempt for the same file if the server still has it
+        const savedUploadId = localStorage.getItem(storageKey);
+        if (savedUploadId) {
+            session = await this.withRetry(() => gamePlatform.apiRequest(`/api/submissions/uploads/${savedUploadId}`))
+                .catch(() => null);
+        }
+
+        if (!session) {
+            session = await this.withRetry(() => gamePlatform.apiRequest('/api/submissions/uploads', {
+                method: 'POST',
+                body: JSON.stringify({
+                    fileName: file.name,
+                    fileSize: file.size,
+                    mimeType: file.type || 'application/octet-stream'
+                })
+            }));
+            localStorage.setItem(storageKey, session.uploadId);
+        }
+
+        let offset = session.receivedBytes;
+
+        while (offset < file.size) {
+            onProgress(Math.floor(offset / file.size * 100));
+
+            const start = offset;
+            const end = Math.min(start + session.chunkSize, file.size);
+            offset = await this.withRetry(() => this.uploadChunk(session.uploadId, file, start, end));
+        }
+
+        onProgress(100);
+        return session.uploadId;
+    }
+
+    // Send one chunk and return the number of bytes the server now has
+    async uploadChunk(uploadId, file, start, end) {
+        const response = await fetch(`/api/submissions/uploads/${uploadId}`, {
+            method: 'PUT',
+            headers: {
+                'Content-Type': 'application/octet-stream',
+                'Content-Range': `bytes ${start}-${end - 1}/${file.size}`
+            },
+            body: file.slice(start, end),
+            credentials: 'include'
+        });
+
+        const data = await response.json().catch(() => ({}));
+
+        if (response.ok) {
+            return data.receivedBytes;
+        }
+
+        // The server is at another offset, e.g. the previous response was lost
+        if (response.status === 409 && typeof data.receivedBytes === 'number' && data.receivedBytes !== start) {
+            return data.receivedBytes;
+        }
+
+        const error = new Error(data.error || `HTTP ${response.status}`);
+        error.retryable = response.status >= 500 || response.status === 409 || response.status === 429;
+        throw error;
+    }
+
+    // Retry network failures with exponential backoff, waiting for the
+    // browser to come back online first
+    async withRetry(operation, maxAttempts = 8) {
+        for (let attempt = 1; ; attempt++) {
+            try {
+                return await operation();
+            } catch (error) {
+                const retryable = error instanceof TypeError || error.retryable;
+                if (!retryable || attempt >= maxAttempts) {
+                    throw error;
+                }
+
+                await this.waitForConnection();
+                await new Promise(resolve => setTimeout(resolve, Math.min(1000 * 2 ** (attempt - 1), 30000)));
+            }
+        }
+    }
+
+    waitForConnection() {
+        if (navigator.onLine) {
+            return Promise.resolve();
+        }
+
+        return new Promise(resolve => window.addEventListener('online', resolve, { once: true }));
+    }
+
     validateSubmissionForm() {
         const category = document.getElementById('category').value;
-        const file = document.getElementById('file').files[0];
+
+        if (!this.selectedGame()) {
+            gamePlatform.showToast('Выберите игру', 'error');
+            return false;
+        }
 
         if (!category) {
             gamePlatform.showToast('Выберите категорию', 'error');
             return false;
         }
 
-        if (!file) {
+        const tags = this.parseTags(document.getElementById('tags').value);
+        if (this.formMode.type !== 'edit' && tags.length > this.maxTags) {
+            gamePlatform.showToast(`Можно указать не более ${this.maxTags} тегов`, 'error');
+            return false;
+        }
+
+        const invalidTag = tags.find(tag => tag.length < 2 || tag.length > 30);
+        if (this.formMode.type !== 'edit' && invalidTag) {
+            gamePlatform.showToast(`Тег «${invalidTag}» должен быть от 2 до 30 символов`, 'error');
+            return false;
+        }
+
+        const extraFields = this.collectExtraFields();
+        const missingField = (this.selectedCategory()?.fieldSchema || [])
+            .find(field => field.required && extraFields[field.key] === undefined);
+        if (missingField) {
+            gamePlatform.showToast(`Заполните поле «${this.fieldLabel(missingField)}»`, 'error');
+            return false;
+        }
+
+        // Edits keep the current files unless new ones are picked
+        if (this.selectedFiles.length === 0 && this.formMode.type !== 'edit') {
             gamePlatform.showToast('Выберите файл', 'error');
             return false;
         }
 
-        // Validate file size
-        const maxSize = 100 * 1024 * 1024; // 100MB
-        if (file.size > maxSize) {
-            gamePlatform.showToast('Файл слишком большой. Максимум: 100 МБ', 'error');
+        // Files may have been picked before a game with tighter limits
+        const { maxFiles, maxFileSize } = this.fileLimits();
+        if (this.selectedFiles.length > maxFiles) {
+            gamePlatform.showToast(`Можно прикрепить не более ${maxFiles} файлов`, 'error');
             return false;
         }
 
-        // Validate file type
-        const allowedTypes = ['image/', 'video/'];
-        if (!allowedTypes.some(type => file.type.startsWith(type))) {
-            gamePlatform.showToast('Недопустимый тип файла', 'error');
+        const oversized = this.selectedFiles.find(file => file.size > maxFileSize);
+        if (oversized) {
+            gamePlatform.showToast(`${oversized.name}: файл слишком большой. Максимальный размер: ${this.formatFileSize(maxFileSize)}`, 'error');
+            return false;
+        }
+
+        const totalSize = this.selectedFiles.reduce((sum, file) => sum + file.size, 0);
+        if (totalSize > this.maxTotalSize) {
+            gamePlatform.showToast(`Общий размер файлов превышает ${this.formatFileSize(this.maxTotalSize)}`, 'error');
             return false;
         }
 
         return true;
     }
 
+    // Full-size view of one asset; thumbnails stand in for retired originals
+    renderAssetMedia(asset, hasOriginal) {
+        const style = 'max-width: 100%; border-radius: 8px;';
+
+        if (asset.fileType === 'IMAGE') {
+            return `<img src="${hasOriginal ? asset.fileUrl : asset.thumbnailUrl}" alt="Submission" style="${style}">`;
+        }
+
+        return asset.playbackUrl || hasOriginal
+            ? `<video src="${asset.playbackUrl || asset.fileUrl}" ${asset.posterUrl ? `poster="${asset.posterUrl}"` : ''} preload="none" controls style="${style}"></video>`
+            : `<img src="${asset.thumbnailUrl}" alt="Submission" style="${style}">`;
+    }
+
+    showAsset(index) {
+        document.getElementById('submissionAssetView').innerHTML = this.detailAssets[index];
+        document.querySelectorAll('.asset-gallery .asset-thumb').forEach((thumb, i) => {
+            thumb.classList.toggle('active', i === index);
+        });
+    }
+
     async showSubmissionDetails(submissionId) {
         try {
             gamePlatform.showLoading('Загрузка деталей...');
@@ -521,10 +1118,24 @@ class Dashboard {
                 'REJECTED': 'Отклонено'
             }[submission.status];
 
-            const isImage = submission.fileType === 'IMAGE';
-            const mediaElement = isImage 
-                ? `<img src="${submission.fileUrl}" alt="Submission" style="max-width: 100%; border-radius: 8px;">`
-                : `<video src="${submission.fileUrl}" controls style="max-width: 100%; border-radius: 8px;"></video>`;
+            const hasOriginal = submission.mediaState === 'ACTIVE';
+            const assets = submission.assets && submission.assets.length > 0 ? submission.assets : [submission];
+            this.detailAssets = assets.map(asset => this.renderAssetMedia(asset, hasOriginal));
+            const totalSize = assets.reduce((sum, asset) => sum + asset.fileSize, 0);
+            const mediaElement = `
+                <div id="submissionAssetView">${this.detailAssets[0]}</div>
+                ${assets.length > 1 ? `
+                    <div class="asset-gallery">
+                        ${assets.map((asset, index) => `
+                            <button type="button" class="asset-thumb ${index === 0 ? 'active' : ''}" onclick="dashboard.showAsset(${index})" title="${this.escapeHtml(asset.fileName)}">
+                                ${asset.thumbnailUrl || asset.posterUrl
+                                    ? `<img src="${asset.thumbnailUrl || asset.posterUrl}" alt="${index + 1}" loading="lazy">`
+                                    : `<span>${asset.fileType === 'VIDEO' ? '🎬' : '🖼️'} ${index + 1}</span>`}
+                            </button>
+                        `).join('')}
+                    </div>
+                ` : ''}
+            `;
 
             content.innerHTML = `
                 <div class="submission-details">
@@ -533,7 +1144,10 @@ class Dashboard {
                     </div>
                     <div class="submission-info-detailed">
                         <div class="detail-row">
-                            <strong>Категория:</strong> ${submission.category}
+                            <strong>Игра:</strong> ${submission.game ? submission.game.name : this.gameName(submission.gameId)}
+                        </div>
+                        <div class="detail-row">
+                            <strong>Категория:</strong> ${this.categoryName(submission.gameId, submission.category)}
                         </div>
                         <div class="detail-row">
                             <strong>Статус:</strong> 
@@ -544,9 +1158,25 @@ class Dashboard {
                                 <strong>Описание:</strong> ${submission.description}
                             </div>
                         ` : ''}
+                        ${this.renderExtraFieldValues(submission)}
+                        ${submission.tags && submission.tags.length > 0 ? `
+                            <div class="detail-row">
+                                <strong>Теги:</strong> ${this.renderTags(submission.tags)}
+                            </div>
+                        ` : ''}
                         <div class="detail-row">
-                            <strong>Размер файла:</strong> ${gamePlatform.formatFileSize(submission.fileSize)}
+                            <strong>${assets.length > 1 ? `Файлов: ${assets.length}, общий размер` : 'Размер файла'}:</strong> ${gamePlatform.formatFileSize(totalSize)}
                         </div>
+                        ${!hasOriginal ? `
+                            <div class="detail-row">
+                                <strong>Хранение:</strong> ${submission.mediaState === 'ARCHIVED' ? 'оригинал перенесён в архив' : 'файл удалён по сроку хранения, осталась только миниатюра'}
+                            </div>
+                        ` : ''}
+                        ${submission.processingStatus === 'PROCESSING' ? `
+                            <div class="detail-row">
+                                <strong>Обработка:</strong> видео конвертируется, воспроизводится оригинал
+                            </div>
+                        ` : ''}
                         <div class="detail-row">
                             <strong>Дата создания:</strong> ${gamePlatform.formatDate(submission.createdAt)}
                         </div>
@@ -566,8 +1196,65 @@ class Dashboard {
                                 <div class="reject-reason">${submission.rejectReason}</div>
                             </div>
                         ` : ''}
+                        ${submission.previousSubmission ? `
+                            <div class="detail-row">
+                                <strong>Повторная отправка.</strong> Причина отклонения предыдущей версии:
+                                <div class="reject-reason">${submission.previousSubmission.rejectReason || '—'}</div>
+                            </div>
+                        ` : ''}
+                        ${submission.appealStatus ? `
+                            <div class="detail-row">
+                                <strong>Апелляция:</strong> ${this.appealStatusText(submission.appealStatus)}
+                                <div class="reject-reason">${submission.appealMessage}</div>
+                            </div>
+                            ${submission.appealResponse ? `
+                                <div class="detail-row">
+                                    <strong>Ответ модератора:</strong>
+                                    <div class="reject-reason">${submission.appealResponse}</div>
+                                </div>
+                            ` : ''}
+                        ` : ''}
+                        ${submission.status === 'REJECTED' ? `
+                            <div class="detail-actions">
+                                ${submission.resubmission
+                                    ? `<button class="btn btn-secondary" onclick="dashboard.showSubmissionDetails('${submission.resubmission.id}')">Открыть повторную отправку</button>`
+                                    : submission.appealStatus === 'PENDING'
+                                        ? ''
+                                        : `<button class="btn btn-primary" onclick="gamePlatform.closeModal('submissionDetailsModal'); dashboard.resubmitSubmission('${submission.id}')">Исправить и отправить повторно</button>`}
+                                ${!submission.resubmission && !submission.appealStatus ? `
+                                    <button class="btn btn-secondary" onclick="document.getElementById('appealForm').classList.toggle('hidden')">Обжаловать решение</button>
+                                ` : ''}
+                            </div>
+                            ${!submission.resubmission && !submission.appealStatus ? `
+                                <div id="appealForm" class="form-group hidden">
+                                    <label class="form-label" for="appealMessage">Почему решение стоит пересмотреть?</label>
+                                    <textarea id="appealMessage" class="form-input form-textarea" minlength="10" maxlength="1000"></textarea>
+                                    <button class="btn btn-primary" onclick="dashboard.submitAppeal('${submission.id}')">Отправить апелляцию</button>
+                                </div>
+                            ` : ''}
+                        ` : ''}
+                        ${submission.status === 'APPROVED' ? `
+                            <div class="detail-row">
+                                <strong>Публичный доступ:</strong>
+                                ${submission.publicUrl
+                                    ? `<a href="${submission.publicUrl}" target="_blank" rel="noopener">открыть публичную ссылку</a>`
+                                    : 'файл видите только вы и модераторы'}
+                            </div>
+                            <div class="detail-actions">
+                                <button class="btn btn-secondary" onclick="dashboard.setSubmissionVisibility('${submission.id}', ${!submission.isPublic})">
+                                    ${submission.isPublic ? 'Скрыть из публичного доступа' : 'Опубликовать'}
+                                </button>
+                            </div>
+                        ` : ''}
                         ${submission.status === 'PENDING' ? `
                             <div class="detail-actions">
+                                ${submission.editable ? `
+                                    <button class="btn btn-secondary" onclick="gamePlatform.closeModal('submissionDetailsModal'); dashboard.editSubmission('${submission.id}')">
+                                        Изменить заявку
+                                    </button>
+                                ` : `
+                                    <div class="detail-row">Модератор уже начал проверку, изменить заявку нельзя</div>
+                                `}
                                 <button class="btn btn-danger" onclick="dashboard.deleteSubmissionFromModal('${submission.id}')">
                                     Удалить заявку
                                 </button>
@@ -614,6 +1301,63 @@ class Dashboard {
         }
     }
 
+    async setSubmissionVisibility(submissionId, isPublic) {
+        try {
+            gamePlatform.showLoading(isPublic ? 'Публикация...' : 'Скрытие...');
+
+            await gamePlatform.apiRequest(`/api/submissions/${submissionId}/visibility`, {
+                method: 'PATCH',
+                body: JSON.stringify({ isPublic })
+            });
+
+            gamePlatform.showToast(isPublic ? 'Заявка опубликована' : 'Заявка скрыта из публичного доступа', 'success');
+        } catch (error) {
+            console.error('Update visibility error:', error);
+            gamePlatform.showToast('Ошибка изменения видимости', 'error');
+        } finally {
+            gamePlatform.hideLoading();
+        }
+
+        await this.showSubmissionDetails(submissionId);
+    }
+
+    appealStatusText(appealStatus) {
+        return {
+            'PENDING': 'Апелляция на рассмотрении',
+            'GRANTED': 'Апелляция удовлетворена',
+            'DENIED': 'Апелляция отклонена'
+        }[appealStatus];
+    }
+
+    // Ask a moderator other than the reviewer to reconsider a rejection
+    async submitAppeal(submissionId) {
+        const message = document.getElementById('appealMessage').value.trim();
+        if (message.length < 10) {
+            gamePlatform.showToast('Опишите причину апелляции подробнее', 'error');
+            return;
+        }
+
+        try {
+            gamePlatform.showLoading('Отправка апелляции...');
+
+            await gamePlatform.apiRequest(`/api/submissions/${submissionId}/appeal`, {
+                method: 'POST',
+                body: JSON.stringify({ message })
+            });
+
+            gamePlatform.showToast('Апелляция отправлена', 'success');
+            await this.loadSubmissions();
+        } catch (error) {
+            console.error('Submit appeal error:', error);
+            gamePlatform.showToast(error.message || 'Ошибка отправки апелляции', 'error');
+            return;
+        } finally {
+            gamePlatform.hideLoading();
+        }
+
+        await this.showSubmissionDetails(submissionId);
+    }
+
     async deleteSubmissionFromModal(submissionId) {
         await this.deleteSubmission(submissionId);
         gamePlatform.closeModal('submissionDetailsModal');
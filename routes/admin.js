@@ -1,8 +1,30 @@
 const express = require('express');
 const { PrismaClient } = require('@prisma/client');
 const Joi = require('joi');
-const { isAuthenticated, isAdmin, isSuperAdmin, logAdminAction, canModifyUser } = require('../middleware/auth');
+const { isAuthenticated, isAdmin, isSuperAdmin, adminLogEntry, logAdminAction, canModifyUser } = require('../middleware/auth');
 const rateLimiter = require('../middleware/rateLimiter');
+const { findPossibleDuplicates } = require('../services/duplicates');
+const { withMediaUrls } = require('../services/mediaUrls');
+const { MAX_ASSETS, orderedAssets } = require('../services/assets');
+const { markReviewStarted } = require('../services/revisions');
+const { ROUTING_STRATEGIES, getRoutingStrategy, setRoutingStrategy, pendingLoad, routeUnassigned } = require('../services/routing');
+const { CLAIM_TTL, RELEASED, claimableBy, isClaimActive, withClaim, claimSubmission, claimNext, renewClaim, releaseClaim } = require('../services/claims');
+const { SLUG_PATTERN, catalogOrder, categoryName } = require('../services/categories');
+const { gameOrder } = require('../services/games');
+const { FIELD_TYPES, FIELD_KEY_PATTERN, submissionIdsByExtraField } = require('../services/extraFields');
+const { MAX_TAGS, TAG_PATTERN, normalizeTag, includeTags, attachTags, withTagNames, tagFilter } = require('../services/tags');
+const { renderMacroReason } = require('../services/macros');
+const {
+  getCosignThresholds,
+  setCosignThresholds,
+  needsCosign,
+  awaitingCosign,
+  requestCosign,
+  expireCosigns,
+  confirmCosign,
+  rejectCosign
+} = require('../services/cosign');
+const { ORPHAN_ACTIONS, reconcileStorage } = require('../services/reconcile');
 
 const router = express.Router();
 const prisma = new PrismaClient();
@@ -11,30 +33,231 @@ const prisma = new PrismaClient();
 router.use(isAuthenticated, isAdmin, rateLimiter.admin);
 
 // Validation schemas
+// With a macro the status, reason and bonus default to the macro's
 const reviewSubmissionSchema = Joi.object({
-  status: Joi.string().valid('APPROVED', 'REJECTED').required(),
+  macroId: Joi.string().guid(),
+  status: Joi.string().valid('APPROVED', 'REJECTED').when('macroId', {
+    is: Joi.exist(),
+    otherwise: Joi.required()
+  }),
   rejectReason: Joi.string().when('status', {
     is: 'REJECTED',
+    then: Joi.when('macroId', { is: Joi.exist(), otherwise: Joi.required() }),
+    otherwise: Joi.optional()
+  }),
+  bonusAmount: Joi.number().min(0).max(1000).optional(),
+  // Review a submission another moderator has claimed
+  force: Joi.boolean().default(false)
+});
+
+const macroTagsSchema = Joi.array()
+  .items(Joi.string().trim().replace(/^#/, '').lowercase().replace(/\s+/g, ' ').min(2).max(30).pattern(TAG_PATTERN))
+  .max(MAX_TAGS)
+  .unique();
+
+const createMacroSchema = Joi.object({
+  name: Joi.string().trim().required().min(2).max(50),
+  status: Joi.string().required().valid('APPROVED', 'REJECTED'),
+  reasonTemplate: Joi.string().trim().max(500).allow(null).when('status', {
+    is: 'REJECTED',
+    then: Joi.required().invalid(null)
+  }),
+  bonusAmount: Joi.number().min(0).max(1000).allow(null),
+  tags: macroTagsSchema.default([]),
+  isActive: Joi.boolean().default(true),
+  sortOrder: Joi.number().integer().min(0).max(100000).default(0)
+});
+
+const updateMacroSchema = Joi.object({
+  name: Joi.string().trim().min(2).max(50),
+  status: Joi.string().valid('APPROVED', 'REJECTED'),
+  reasonTemplate: Joi.string().trim().max(500).allow(null),
+  bonusAmount: Joi.number().min(0).max(1000).allow(null),
+  tags: macroTagsSchema,
+  isActive: Joi.boolean(),
+  sortOrder: Joi.number().integer().min(0).max(100000)
+}).min(1);
+
+// Granting an appeal approves the submission, paying the category's base
+// reward unless another bonus is given
+const appealDecisionSchema = Joi.object({
+  decision: Joi.string().required().valid('GRANTED', 'DENIED'),
+  response: Joi.string().trim().max(500).when('decision', {
+    is: 'DENIED',
     then: Joi.required(),
     otherwise: Joi.optional()
   }),
   bonusAmount: Joi.number().min(0).max(1000).optional()
 });
 
+// Reverted approvals go back to the queue or become rejections, with the
+// reason as reject reason
+const revertReviewSchema = Joi.object({
+  status: Joi.string().required().valid('PENDING', 'REJECTED'),
+  reason: Joi.string().trim().required().min(3).max(500)
+});
+
+// Approvals pay `bonuses[id]`, else `bonusAmount`, else the category's base
+// reward, as single reviews do
+const bulkReviewSchema = Joi.object({
+  submissionIds: Joi.array().items(Joi.string().guid()).min(1).max(100).unique().required(),
+  status: Joi.string().required().valid('APPROVED', 'REJECTED'),
+  rejectReason: Joi.string().trim().max(500).when('status', {
+    is: 'REJECTED',
+    then: Joi.required(),
+    otherwise: Joi.forbidden()
+  }),
+  bonusAmount: Joi.number().min(0).max(1000).when('status', {
+    is: 'APPROVED',
+    otherwise: Joi.forbidden()
+  }),
+  bonuses: Joi.object().pattern(Joi.string().guid(), Joi.number().min(0).max(1000)).when('status', {
+    is: 'APPROVED',
+    otherwise: Joi.forbidden()
+  })
+});
+
+const claimSchema = Joi.object({
+  force: Joi.boolean().default(false)
+});
+
+const claimNextSchema = Joi.object({
+  game: Joi.string().pattern(SLUG_PATTERN).max(50),
+  category: Joi.string().pattern(SLUG_PATTERN).max(50)
+});
+
 const addBalanceSchema = Joi.object({
   amount: Joi.number().required().min(0.01).max(10000),
   reason: Joi.string().required().min(3).max(200)
 });
 
+// Balances only change through add-balance, which applies the co-sign rule
 const updateUserSchema = Joi.object({
   role: Joi.string().valid('USER', 'MODERATOR', 'ADMIN').optional(),
-  isBanned: Joi.boolean().optional(),
-  balance: Joi.number().min(0).max(100000).optional()
+  isBanned: Joi.boolean().optional()
+});
+
+// Localized names keyed by language code; Russian and English are required
+const categoryNamesSchema = Joi.object({
+  ru: Joi.string().required().min(2).max(50),
+  en: Joi.string().required().min(2).max(50)
+}).pattern(/^[a-z]{2}$/, Joi.string().min(2).max(50));
+
+// Extra fields of a category. Integer, number and string fields may set
+// bounds (lengths for strings); enum fields list their options.
+const fieldSchemaSchema = Joi.array().items(Joi.object({
+  key: Joi.string().required().pattern(FIELD_KEY_PATTERN).max(30),
+  type: Joi.string().required().valid(...FIELD_TYPES),
+  names: categoryNamesSchema.required(),
+  required: Joi.boolean().default(false),
+  min: Joi.number().when('type', { is: Joi.valid('integer', 'number', 'string'), then: Joi.optional(), otherwise: Joi.forbidden() }),
+  max: Joi.number().when('type', { is: Joi.valid('integer', 'number', 'string'), then: Joi.optional(), otherwise: Joi.forbidden() }),
+  options: Joi.array().items(Joi.string().min(1).max(50)).min(1).max(100).unique()
+    .when('type', { is: 'enum', then: Joi.required(), otherwise: Joi.forbidden() })
+})).max(20).unique('key');
+
+// Media quality limits of a category by file type, see config/mediaRules.js
+const mediaLimitsSchema = Joi.object({
+  minShortSide: Joi.number().integer().min(1).max(10000),
+  maxLongSide: Joi.number().integer().min(1).max(10000),
+  minDuration: Joi.number().min(0).max(86400),
+  maxDuration: Joi.number().min(0).max(86400),
+  minFrameRate: Joi.number().min(0).max(1000),
+  maxFrameRate: Joi.number().min(0).max(1000),
+  codecs: Joi.array().items(Joi.string().min(1).max(30)).min(1).max(50).unique()
+});
+
+const mediaRulesSchema = Joi.object({
+  IMAGE: mediaLimitsSchema,
+  VIDEO: mediaLimitsSchema
+});
+
+const createCategorySchema = Joi.object({
+  gameId: Joi.string().required().guid(),
+  slug: Joi.string().required().pattern(SLUG_PATTERN).max(50),
+  names: categoryNamesSchema.required(),
+  description: Joi.string().optional().allow('', null).max(500),
+  isActive: Joi.boolean().default(true),
+  sortOrder: Joi.number().integer().min(0).max(100000).default(0),
+  allowedFileTypes: Joi.array().items(Joi.string().valid('IMAGE', 'VIDEO')).min(1).unique().default(['IMAGE', 'VIDEO']),
+  baseReward: Joi.number().min(0).max(1000).default(0),
+  fieldSchema: fieldSchemaSchema.default([]),
+  mediaRules: mediaRulesSchema.default({})
+});
+
+const updateCategorySchema = Joi.object({
+  slug: Joi.string().pattern(SLUG_PATTERN).max(50),
+  names: categoryNamesSchema,
+  description: Joi.string().allow('', null).max(500),
+  isActive: Joi.boolean(),
+  sortOrder: Joi.number().integer().min(0).max(100000),
+  allowedFileTypes: Joi.array().items(Joi.string().valid('IMAGE', 'VIDEO')).min(1).unique(),
+  baseReward: Joi.number().min(0).max(1000),
+  fieldSchema: fieldSchemaSchema,
+  mediaRules: mediaRulesSchema
+}).min(1);
+
+// Empty limits fall back to the global ones
+const gameLimitsSchema = {
+  maxSubmissionsPerDay: Joi.number().integer().min(1).max(1000).allow(null),
+  maxFiles: Joi.number().integer().min(1).max(MAX_ASSETS).allow(null),
+  maxFileSize: Joi.number().integer().min(1024).allow(null)
+};
+
+const createGameSchema = Joi.object({
+  slug: Joi.string().required().pattern(SLUG_PATTERN).max(50),
+  name: Joi.string().required().min(1).max(50),
+  iconUrl: Joi.string().uri({ allowRelative: true }).max(500).allow('', null),
+  isActive: Joi.boolean().default(true),
+  sortOrder: Joi.number().integer().min(0).max(100000).default(0),
+  ...gameLimitsSchema
+});
+
+const updateGameSchema = Joi.object({
+  slug: Joi.string().pattern(SLUG_PATTERN).max(50),
+  name: Joi.string().min(1).max(50),
+  iconUrl: Joi.string().uri({ allowRelative: true }).max(500).allow('', null),
+  isActive: Joi.boolean(),
+  sortOrder: Joi.number().integer().min(0).max(100000),
+  ...gameLimitsSchema
+}).min(1);
+
+const addTagsSchema = Joi.object({
+  tags: Joi.array()
+    .items(Joi.string().trim().replace(/^#/, '').lowercase().replace(/\s+/g, ' ').min(2).max(30).pattern(TAG_PATTERN))
+    .min(1)
+    .max(MAX_TAGS)
+    .unique()
+    .single()
+    .required()
 });
 
-// Get dashboard statistics
+const cosignThresholdsSchema = Joi.object({
+  bonus: Joi.number().min(0).max(1000),
+  balance: Joi.number().min(0).max(10000)
+}).min(1);
+
+const routingSchema = Joi.object({
+  strategy: Joi.string().required().valid(...ROUTING_STRATEGIES)
+});
+
+const reviewProfileSchema = Joi.object({
+  autoAssign: Joi.boolean(),
+  reviewGameIds: Joi.array().items(Joi.string().guid()).max(50).unique(),
+  reviewCategoryIds: Joi.array().items(Joi.string().guid()).max(200).unique()
+}).min(1);
+
+const reconcileSchema = Joi.object({
+  dryRun: Joi.boolean().default(true),
+  orphanAction: Joi.string().valid(...ORPHAN_ACTIONS).default('none')
+});
+
+// Get dashboard statistics. Submission figures can be limited to one game
+// with ?game=<slug>; users and payouts are not tied to a game.
 router.get('/stats', async (req, res) => {
   try {
+    const gameFilter = req.query.game ? { game: { slug: req.query.game } } : {};
+
     const [
       totalUsers,
       totalSubmissions,
@@ -42,37 +265,115 @@ router.get('/stats', async (req, res) => {
       approvedSubmissions,
       rejectedSubmissions,
       totalPayouts,
-      todaySubmissions
+      todaySubmissions,
+      pendingAppeals,
+      pendingCosigns
     ] = await Promise.all([
       prisma.user.count(),
-      prisma.submission.count(),
-      prisma.submission.count({ where: { status: 'PENDING' } }),
-      prisma.submission.count({ where: { status: 'APPROVED' } }),
-      prisma.submission.count({ where: { status: 'REJECTED' } }),
+      prisma.submission.count({ where: gameFilter }),
+      prisma.submission.count({ where: { ...gameFilter, status: 'PENDING' } }),
+      prisma.submission.count({ where: { ...gameFilter, status: 'APPROVED' } }),
+      prisma.submission.count({ where: { ...gameFilter, status: 'REJECTED' } }),
       prisma.payout.aggregate({ _sum: { amount: true } }),
       prisma.submission.count({
         where: {
+          ...gameFilter,
           createdAt: {
             gte: new Date(new Date().setHours(0, 0, 0, 0))
           }
         }
+      }),
+      prisma.submission.count({ where: { ...gameFilter, appealStatus: 'PENDING' } }),
+      prisma.cosignRequest.count({ where: awaitingCosign() })
+    ]);
+
+    // How long pending submissions have been waiting
+    const hoursAgo = hours => new Date(Date.now() - hours * 60 * 60 * 1000);
+    const [pendingOver24h, pendingOver72h, oldestPending] = await Promise.all([
+      prisma.submission.count({ where: { ...gameFilter, status: 'PENDING', createdAt: { lt: hoursAgo(24) } } }),
+      prisma.submission.count({ where: { ...gameFilter, status: 'PENDING', createdAt: { lt: hoursAgo(72) } } }),
+      prisma.submission.findFirst({
+        where: { ...gameFilter, status: 'PENDING' },
+        orderBy: { createdAt: 'asc' },
+        select: { createdAt: true }
       })
     ]);
 
     // Get submissions by category
     const submissionsByCategory = await prisma.submission.groupBy({
-      by: ['category'],
+      by: ['gameId', 'category'],
+      where: gameFilter,
       _count: { category: true },
       orderBy: { _count: { category: 'desc' } }
     });
 
+    // Get submissions by game and status, always across all games
+    const [games, gameStatusCounts] = await Promise.all([
+      prisma.game.findMany({ orderBy: gameOrder }),
+      prisma.submission.groupBy({
+        by: ['gameId', 'status'],
+        _count: { status: true }
+      })
+    ]);
+
+    const submissionsByGame = games.map((game) => {
+      const counts = Object.fromEntries(
+        gameStatusCounts
+          .filter(item => item.gameId === game.id)
+          .map(item => [item.status, item._count.status])
+      );
+
+      return {
+        game: { id: game.id, slug: game.slug, name: game.name },
+        total: Object.values(counts).reduce((sum, count) => sum + count, 0),
+        pending: counts.PENDING || 0,
+        approved: counts.APPROVED || 0,
+        rejected: counts.REJECTED || 0
+      };
+    });
+
+    // Get reviews by macro; reviews made without one are grouped under null
+    const [macros, macroStatusCounts] = await Promise.all([
+      prisma.reviewMacro.findMany({
+        orderBy: [{ sortOrder: 'asc' }, { name: 'asc' }],
+        select: { id: true, name: true, status: true, isActive: true }
+      }),
+      prisma.submission.groupBy({
+        by: ['reviewMacroId', 'status'],
+        where: { ...gameFilter, status: { in: ['APPROVED', 'REJECTED'] } },
+        _count: { status: true }
+      })
+    ]);
+
+    const reviewsByMacro = [...macros, null].map((macro) => {
+      const counts = Object.fromEntries(
+        macroStatusCounts
+          .filter(item => item.reviewMacroId === (macro ? macro.id : null))
+          .map(item => [item.status, item._count.status])
+      );
+      const approved = counts.APPROVED || 0;
+      const rejected = counts.REJECTED || 0;
+
+      return {
+        macro,
+        total: approved + rejected,
+        approved,
+        rejected,
+        approvalRate: approved + rejected > 0 ? approved / (approved + rejected) : null
+      };
+    });
+
     // Get recent activity
     const recentSubmissions = await prisma.submission.findMany({
+      where: gameFilter,
       take: 10,
       orderBy: { createdAt: 'desc' },
       include: {
         user: {
           select: { nickname: true }
+        },
+        game: {
+          select: { name: true }
         }
       }
     });
@@ -85,15 +386,27 @@ router.get('/stats', async (req, res) => {
         approvedSubmissions,
         rejectedSubmissions,
         todaySubmissions,
+        pendingAppeals,
+        pendingCosigns,
         totalPayouts: totalPayouts._sum.amount || 0
       },
+      pendingAging: {
+        under24h: pendingSubmissions - pendingOver24h,
+        over24h: pendingOver24h,
+        over72h: pendingOver72h,
+        oldestCreatedAt: oldestPending ? oldestPending.createdAt : null
+      },
+      submissionsByGame,
+      reviewsByMacro,
       submissionsByCategory: submissionsByCategory.map(item => ({
+        gameId: item.gameId,
         category: item.category,
         count: item._count.category
       })),
       recentSubmissions: recentSubmissions.map(sub => ({
         id: sub.id,
         user: sub.user.nickname,
+        game: sub.game.name,
         category: sub.category,
         status: sub.status,
         createdAt: sub.createdAt
@@ -106,6 +419,37 @@ router.get('/stats', async (req, res) => {
   }
 });
 
+// Numeric submission properties the admin list can be filtered by
+const MEDIA_RANGE_FILTERS = [
+  { field: 'width', parse: value => parseInt(value) },
+  { field: 'height', parse: value => parseInt(value) },
+  { field: 'duration', parse: value => parseFloat(value) },
+  { field: 'frameRate', parse: value => parseFloat(value) }
+];
+
+// Relations shown in submission lists
+const listInclude = {
+  user: {
+    select: { id: true, nickname: true, balance: true }
+  },
+  reviewer: {
+    select: { nickname: true }
+  },
+  claimer: {
+    select: { nickname: true }
+  },
+  assignee: {
+    select: { nickname: true }
+  },
+  game: {
+    select: { slug: true, name: true, iconUrl: true }
+  },
+  tags: includeTags,
+  assets: orderedAssets
+};
+
+const formatListSubmission = submission => withMediaUrls(withClaim(withTagNames(submission)));
+
 // Get all submissions with filters and pagination
 router.get('/submissions', async (req, res) => {
   try {
@@ -120,6 +464,10 @@ router.get('/submissions', async (req, res) => {
       filters.status = req.query.status;
     }
     
+    if (req.query.game) {
+      filters.game = { slug: req.query.game };
+    }
+    
     if (req.query.category) {
       filters.category = req.query.category;
     }
@@ -128,6 +476,43 @@ router.get('/submissions', async (req, res) => {
       filters.userId = req.query.userId;
     }
 
+    if (req.query.appealStatus) {
+      filters.appealStatus = req.query.appealStatus;
+    }
+
+    // Routed submissions: ?assignedTo=me, a moderator id, or none
+    if (req.query.assignedTo === 'me') {
+      filters.assignedTo = req.user.id;
+    } else if (req.query.assignedTo === 'none') {
+      filters.assignedTo = null;
+    } else if (req.query.assignedTo) {
+      filters.assignedTo = req.query.assignedTo;
+    }
+
+    // Submissions carrying all given tags, e.g. ?tags=clutch,no-scope
+    Object.assign(filters, tagFilter(req.query.tags));
+
+    // Media property ranges, e.g. ?minHeight=720&maxDuration=30
+    MEDIA_RANGE_FILTERS.forEach(({ field, parse }) => {
+      const suffix = field.charAt(0).toUpperCase() + field.slice(1);
+      const min = parse(req.query[`min${suffix}`]);
+      const max = parse(req.query[`max${suffix}`]);
+
+      if (!isNaN(min) || !isNaN(max)) {
+        filters[field] = {};
+        if (!isNaN(min)) filters[field].gte = min;
+        if (!isNaN(max)) filters[field].lte = max;
+      }
+    });
+
+    if (req.query.codec) {
+      filters.codec = req.query.codec;
+    }
+
+    if (req.query.fileType) {
+      filters.fileType = req.query.fileType;
+    }
+
     if (req.query.dateFrom || req.query.dateTo) {
       filters.createdAt = {};
       if (req.query.dateFrom) {
@@ -138,26 +523,209 @@ router.get('/submissions', async (req, res) => {
       }
     }
 
+    let submissions;
+    let total;
+
+    // Order by an extra field instead of the date, e.g. ?sortField=kills&sortOrder=desc
+    if (req.query.sortField) {
+      if (!FIELD_KEY_PATTERN.test(req.query.sortField)) {
+        return res.status(400).json({ error: 'Invalid sort field' });
+      }
+
+      const sorted = await submissionIdsByExtraField(filters, {
+        key: req.query.sortField,
+        order: req.query.sortOrder,
+        skip,
+        take: limit
+      });
+
+      const found = await prisma.submission.findMany({
+        where: { id: { in: sorted.ids } },
+        include: listInclude
+      });
+
+      submissions = sorted.ids.map(id => found.find(submission => submission.id === id)).filter(Boolean);
+      total = sorted.total;
+    } else {
+      [submissions, total] = await Promise.all([
+        prisma.submission.findMany({
+          where: filters,
+          // ?sortOrder=asc lists the longest waiting submissions first
+          orderBy: { createdAt: req.query.sortOrder === 'asc' ? 'asc' : 'desc' },
+          skip,
+          take: limit,
+          include: listInclude
+        }),
+        prisma.submission.count({ where: filters })
+      ]);
+    }
+
+    res.json({
+      submissions: submissions.map(formatListSubmission),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get admin submissions error:', error);
+    res.status(500).json({ error: 'Failed to fetch submissions' });
+  }
+});
+
+// Get a submission for review, with its edit history and, for resubmissions,
+// the rejected version it replaces. Opening a pending submission starts its
+// review, after which the owner can no longer edit it.
+router.get('/submissions/:id', async (req, res) => {
+  try {
+    await markReviewStarted(req.params.id);
+
+    const submission = await prisma.submission.findUnique({
+      where: { id: req.params.id },
+      include: {
+        user: {
+          select: { id: true, nickname: true, balance: true }
+        },
+        reviewer: {
+          select: { nickname: true }
+        },
+        claimer: {
+          select: { nickname: true }
+        },
+        reviewMacro: {
+          select: { name: true }
+        },
+        appealDecider: {
+          select: { nickname: true }
+        },
+        game: {
+          select: { slug: true, name: true, iconUrl: true }
+        },
+        payouts: {
+          orderBy: { createdAt: 'asc' },
+          select: { id: true, amount: true, reason: true, createdAt: true, reversalOfId: true }
+        },
+        cosignRequests: {
+          where: awaitingCosign(),
+          include: {
+            requester: {
+              select: { nickname: true }
+            }
+          }
+        },
+        tags: includeTags,
+        assets: orderedAssets,
+        revisions: {
+          orderBy: { number: 'asc' }
+        },
+        previousSubmission: {
+          include: {
+            reviewer: {
+              select: { nickname: true }
+            },
+            assets: orderedAssets
+          }
+        }
+      }
+    });
+
+    if (!submission) {
+      return res.status(404).json({ error: 'Submission not found' });
+    }
+
+    res.json({
+      ...withMediaUrls(withClaim(withTagNames(submission))),
+      previousSubmission: withMediaUrls(submission.previousSubmission)
+    });
+
+  } catch (error) {
+    console.error('Get admin submission error:', error);
+    res.status(500).json({ error: 'Failed to fetch submission' });
+  }
+});
+
+// Shape of a moderator's own claim in API responses
+const formatClaim = (submissionId, moderator, expiresAt) => ({
+  submissionId,
+  moderatorId: moderator.id,
+  moderator: moderator.nickname,
+  expiresAt,
+  ttlSeconds: CLAIM_TTL / 1000
+});
+
+// Pending submissions routed to the current moderator, longest waiting first
+router.get('/queue/mine', async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const where = { assignedTo: req.user.id, status: 'PENDING' };
+
     const [submissions, total] = await Promise.all([
       prisma.submission.findMany({
-        where: filters,
-        orderBy: { createdAt: 'desc' },
-        skip,
+        where,
+        orderBy: { createdAt: 'asc' },
+        skip: (page - 1) * limit,
+        take: limit,
+        include: listInclude
+      }),
+      prisma.submission.count({ where })
+    ]);
+
+    res.json({
+      submissions: submissions.map(formatListSubmission),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get my queue error:', error);
+    res.status(500).json({ error: 'Failed to fetch queue' });
+  }
+});
+
+// Appealed submissions, oldest appeal first. Pending appeals by default, or
+// decided ones with ?status=GRANTED|DENIED. Grants awaiting a co-sign are
+// left out. `canDecide` is false for appeals against the moderator's own
+// reviews.
+router.get('/appeals', async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const appealStatus = ['GRANTED', 'DENIED'].includes(req.query.status) ? req.query.status : 'PENDING';
+    const where = {
+      appealStatus,
+      ...(appealStatus === 'PENDING' ? { cosignRequests: { none: awaitingCosign() } } : {}),
+      ...(req.query.game ? { game: { slug: req.query.game } } : {})
+    };
+
+    const [submissions, total] = await Promise.all([
+      prisma.submission.findMany({
+        where,
+        orderBy: { appealedAt: appealStatus === 'PENDING' ? 'asc' : 'desc' },
+        skip: (page - 1) * limit,
         take: limit,
         include: {
-          user: {
-            select: { id: true, nickname: true, balance: true }
-          },
-          reviewer: {
+          ...listInclude,
+          appealDecider: {
             select: { nickname: true }
           }
         }
       }),
-      prisma.submission.count({ where: filters })
+      prisma.submission.count({ where })
     ]);
 
     res.json({
-      submissions,
+      submissions: submissions.map(submission => ({
+        ...formatListSubmission(submission),
+        canDecide: appealStatus === 'PENDING' && submission.reviewedBy !== req.user.id
+      })),
       pagination: {
         page,
         limit,
@@ -167,22 +735,61 @@ router.get('/submissions', async (req, res) => {
     });
 
   } catch (error) {
-    console.error('Get admin submissions error:', error);
-    res.status(500).json({ error: 'Failed to fetch submissions' });
+    console.error('Get appeals error:', error);
+    res.status(500).json({ error: 'Failed to fetch appeals' });
   }
 });
 
-// Review submission (approve/reject)
-router.patch('/submissions/:id/review', async (req, res) => {
+// Take the oldest pending submission nobody is working on, optionally of one
+// game and category. The claim has to be renewed through the heartbeat
+// endpoint while the review page is open.
+router.post('/queue/claim', async (req, res) => {
   try {
-    const { error, value } = reviewSubmissionSchema.validate(req.body);
+    const { error, value } = claimNextSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    // Approvals awaiting a co-sign are not up for review
+    const submissionId = await claimNext(req.user.id, {
+      ...(value.game ? { game: { slug: value.game } } : {}),
+      ...(value.category ? { category: value.category } : {}),
+      cosignRequests: { none: awaitingCosign() }
+    });
+
+    if (!submissionId) {
+      return res.status(404).json({ error: 'No submissions waiting for review' });
+    }
+
+    const submission = await prisma.submission.findUnique({
+      where: { id: submissionId },
+      select: { claimExpiresAt: true }
+    });
+
+    res.json({ claim: formatClaim(submissionId, req.user, submission.claimExpiresAt) });
+
+  } catch (error) {
+    console.error('Claim next submission error:', error);
+    res.status(500).json({ error: 'Failed to claim submission' });
+  }
+});
+
+// Claim a pending submission opened from the list. Taking over another
+// moderator's live claim needs `force` and is logged.
+router.post('/submissions/:id/claim', async (req, res) => {
+  try {
+    const { error, value } = claimSchema.validate(req.body);
     if (error) {
       return res.status(400).json({ error: error.details[0].message });
     }
 
     const submission = await prisma.submission.findUnique({
       where: { id: req.params.id },
-      include: { user: true }
+      include: {
+        claimer: {
+          select: { nickname: true }
+        }
+      }
     });
 
     if (!submission) {
@@ -193,109 +800,1182 @@ router.patch('/submissions/:id/review', async (req, res) => {
       return res.status(400).json({ error: 'Submission already reviewed' });
     }
 
-    // Update submission
-    const updatedSubmission = await prisma.submission.update({
+    const takenOver = isClaimActive(submission) && submission.claimedBy !== req.user.id;
+    if (takenOver && !value.force) {
+      return res.status(409).json({
+        error: `Submission is claimed by ${submission.claimer.nickname}`,
+        claim: withClaim(submission).claim
+      });
+    }
+
+    if (!await claimSubmission(submission.id, req.user.id, { force: value.force })) {
+      return res.status(409).json({ error: 'Submission was claimed by another moderator' });
+    }
+
+    if (takenOver) {
+      await logAdminAction(
+        req.user.id,
+        'FORCE_CLAIM_SUBMISSION',
+        `Took over submission ${submission.id} from ${submission.claimer.nickname}`,
+        req
+      );
+    }
+
+    const claimed = await prisma.submission.findUnique({
+      where: { id: submission.id },
+      select: { claimExpiresAt: true }
+    });
+
+    res.json({ claim: formatClaim(submission.id, req.user, claimed.claimExpiresAt) });
+
+  } catch (error) {
+    console.error('Claim submission error:', error);
+    res.status(500).json({ error: 'Failed to claim submission' });
+  }
+});
+
+// Keep a claim alive while its review page is open
+router.post('/submissions/:id/claim/heartbeat', async (req, res) => {
+  try {
+    const expiresAt = await renewClaim(req.params.id, req.user.id);
+
+    if (!expiresAt) {
+      return res.status(409).json({ error: 'Claim lost' });
+    }
+
+    res.json({ claim: formatClaim(req.params.id, req.user, expiresAt) });
+
+  } catch (error) {
+    console.error('Renew claim error:', error);
+    res.status(500).json({ error: 'Failed to renew claim' });
+  }
+});
+
+// Give a claimed submission back to the queue
+router.delete('/submissions/:id/claim', async (req, res) => {
+  try {
+    if (!await releaseClaim(req.params.id, req.user.id)) {
+      return res.status(404).json({ error: 'Claim not found' });
+    }
+
+    res.json({ message: 'Claim released successfully' });
+
+  } catch (error) {
+    console.error('Release claim error:', error);
+    res.status(500).json({ error: 'Failed to release claim' });
+  }
+});
+
+// Add tags to a submission; tags it already has are ignored
+router.post('/submissions/:id/tags', async (req, res) => {
+  try {
+    const { error, value } = addTagsSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const submission = await prisma.submission.findUnique({
       where: { id: req.params.id },
-      data: {
-        status: value.status,
-        rejectReason: value.rejectReason || null,
-        reviewedBy: req.user.id,
-        reviewedAt: new Date()
-      }
+      include: { tags: includeTags }
+    });
+
+    if (!submission) {
+      return res.status(404).json({ error: 'Submission not found' });
+    }
+
+    const current = withTagNames(submission).tags;
+    const added = value.tags.filter(name => !current.includes(name));
+
+    if (current.length + added.length > MAX_TAGS) {
+      return res.status(400).json({ error: `A submission can have at most ${MAX_TAGS} tags` });
+    }
+
+    if (added.length > 0) {
+      await prisma.$transaction(tx => attachTags(tx, submission.id, added, req.user.id));
+
+      await logAdminAction(
+        req.user.id,
+        'TAG_SUBMISSION',
+        `Tagged submission ${submission.id} with ${added.join(', ')}`,
+        req
+      );
+    }
+
+    res.json({ tags: [...current, ...added] });
+
+  } catch (error) {
+    console.error('Add tags error:', error);
+    res.status(500).json({ error: 'Failed to add tags' });
+  }
+});
+
+// Remove a tag from a submission
+router.delete('/submissions/:id/tags/:name', async (req, res) => {
+  try {
+    const name = normalizeTag(req.params.name);
+
+    const { count } = await prisma.submissionTag.deleteMany({
+      where: { submissionId: req.params.id, tag: { name } }
+    });
+
+    if (count === 0) {
+      return res.status(404).json({ error: 'Tag not found on this submission' });
+    }
+
+    await logAdminAction(
+      req.user.id,
+      'UNTAG_SUBMISSION',
+      `Removed tag ${name} from submission ${req.params.id}`,
+      req
+    );
+
+    res.json({ message: 'Tag removed successfully' });
+
+  } catch (error) {
+    console.error('Remove tag error:', error);
+    res.status(500).json({ error: 'Failed to remove tag' });
+  }
+});
+
+// Find exact and near-duplicate submissions, including other users' ones
+router.get('/submissions/:id/duplicates', async (req, res) => {
+  try {
+    const submission = await prisma.submission.findUnique({
+      where: { id: req.params.id },
+      select: {
+        id: true,
+        userId: true,
+        assets: { select: { sha256: true, perceptualHashes: true } }
+      }
+    });
+
+    if (!submission) {
+      return res.status(404).json({ error: 'Submission not found' });
+    }
+
+    const duplicates = await findPossibleDuplicates(submission);
+
+    res.json({ duplicates: duplicates.map(withMediaUrls) });
+
+  } catch (error) {
+    console.error('Find duplicates error:', error);
+    res.status(500).json({ error: 'Failed to find duplicates' });
+  }
+});
+
+// Review submission (approve/reject)
+router.patch('/submissions/:id/review', async (req, res) => {
+  try {
+    const { error, value } = reviewSubmissionSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const submission = await prisma.submission.findUnique({
+      where: { id: req.params.id },
+      include: {
+        user: true,
+        game: true,
+        categoryRef: true,
+        claimer: {
+          select: { nickname: true }
+        }
+      }
+    });
+
+    if (!submission) {
+      return res.status(404).json({ error: 'Submission not found' });
+    }
+
+    if (submission.status !== 'PENDING') {
+      return res.status(400).json({ error: 'Submission already reviewed' });
+    }
+
+    const pendingCosign = await prisma.cosignRequest.findFirst({
+      where: { submissionId: submission.id, ...awaitingCosign() }
+    });
+
+    if (pendingCosign) {
+      return res.status(409).json({ error: 'Submission approval is awaiting co-sign', cosignId: pendingCosign.id });
+    }
+
+    let macro = null;
+    if (value.macroId) {
+      macro = await prisma.reviewMacro.findUnique({ where: { id: value.macroId } });
+
+      if (!macro || !macro.isActive) {
+        return res.status(400).json({ error: 'Review macro not found or inactive' });
+      }
+
+      if (value.status && value.status !== macro.status) {
+        return res.status(400).json({ error: `Review macro sets status ${macro.status}` });
+      }
+
+      value.status = macro.status;
+      if (value.rejectReason === undefined) {
+        value.rejectReason = renderMacroReason(macro.reasonTemplate, submission) || undefined;
+      }
+      if (value.bonusAmount === undefined && macro.bonusAmount !== null) {
+        value.bonusAmount = macro.bonusAmount;
+      }
+    }
+
+    const claimedByOther = isClaimActive(submission) && submission.claimedBy !== req.user.id;
+    if (claimedByOther && !value.force) {
+      return res.status(409).json({
+        error: `Submission is claimed by ${submission.claimer.nickname}`,
+        claim: withClaim(submission).claim
+      });
+    }
+
+    // Approvals without an explicit bonus pay the category's base reward
+    if (value.status === 'APPROVED' && value.bonusAmount === undefined) {
+      value.bonusAmount = submission.categoryRef.baseReward;
+    }
+
+    // Approvals with a bonus above the threshold are held until a second
+    // staff member co-signs them; the submission stays pending meanwhile
+    if (value.status === 'APPROVED' && await needsCosign('REVIEW_BONUS', value.bonusAmount)) {
+      const cosign = await requestCosign({
+        type: 'REVIEW_BONUS',
+        userId: submission.userId,
+        amount: value.bonusAmount,
+        reason: `Approved submission: ${submission.game.name} / ${categoryName(submission.categoryRef, 'en')}`,
+        submissionId: submission.id,
+        reviewMacroId: macro ? macro.id : null,
+        requestedBy: req.user.id
+      });
+
+      await releaseClaim(submission.id, req.user.id);
+
+      await logAdminAction(
+        req.user.id,
+        'REQUEST_COSIGN',
+        `Approval of submission ${submission.id} from ${submission.user.nickname} with ${value.bonusAmount} bonus awaits co-sign`,
+        req
+      );
+
+      return res.status(202).json({
+        message: 'Approval is awaiting co-sign',
+        cosign
+      });
+    }
+
+    // Only the first review of a submission goes through, and only while
+    // nobody else claims it meanwhile. A macro's tags and an approval's bonus
+    // come with the review.
+    const count = await prisma.$transaction(async (tx) => {
+      const result = await tx.submission.updateMany({
+        where: {
+          id: submission.id,
+          status: 'PENDING',
+          ...(value.force ? {} : claimableBy(req.user.id))
+        },
+        data: {
+          status: value.status,
+          rejectReason: value.rejectReason || null,
+          reviewedBy: req.user.id,
+          reviewedAt: new Date(),
+          reviewMacroId: macro ? macro.id : null,
+          ...RELEASED
+        }
+      });
+
+      if (result.count > 0 && macro && macro.tags.length > 0) {
+        await attachTags(tx, submission.id, macro.tags, req.user.id);
+      }
+
+      // Add bonus balance if approved and bonus specified
+      if (result.count > 0 && value.status === 'APPROVED' && value.bonusAmount > 0) {
+        await tx.user.update({
+          where: { id: submission.userId },
+          data: { balance: { increment: value.bonusAmount } }
+        });
+
+        // Log payout
+        await tx.payout.create({
+          data: {
+            userId: submission.userId,
+            amount: value.bonusAmount,
+            reason: `Approved submission: ${submission.game.name} / ${categoryName(submission.categoryRef, 'en')}`,
+            adminId: req.user.id,
+            submissionId: submission.id,
+            status: 'COMPLETED',
+            completedAt: new Date()
+          }
+        });
+      }
+
+      return result.count;
+    });
+
+    if (count === 0) {
+      return res.status(409).json({ error: 'Submission was reviewed or claimed by another moderator' });
+    }
+
+    const updatedSubmission = await prisma.submission.findUnique({ where: { id: submission.id } });
+
+    // Log admin action
+    await logAdminAction(
+      req.user.id,
+      'REVIEW_SUBMISSION',
+      `${value.status} submission ${submission.id} from ${submission.user.nickname}${
+        value.bonusAmount ? ` with ${value.bonusAmount} bonus` : ''
+      }${macro ? ` using macro "${macro.name}"` : ''}${claimedByOther ? ` despite claim by ${submission.claimer.nickname}` : ''}`,
+      req
+    );
+
+    console.log(`✅ Submission ${value.status.toLowerCase()} by ${req.user.nickname}: ${submission.id}`);
+
+    res.json({
+      message: `Submission ${value.status.toLowerCase()} successfully`,
+      submission: withMediaUrls(updatedSubmission)
+    });
+
+  } catch (error) {
+    console.error('Review submission error:', error);
+    res.status(500).json({ error: 'Failed to review submission' });
+  }
+});
+
+// Decide an appeal. The moderator who rejected the submission cannot decide
+// the appeal against it.
+router.patch('/submissions/:id/appeal', async (req, res) => {
+  try {
+    const { error, value } = appealDecisionSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const submission = await prisma.submission.findUnique({
+      where: { id: req.params.id },
+      include: {
+        user: true,
+        game: true,
+        categoryRef: true
+      }
+    });
+
+    if (!submission) {
+      return res.status(404).json({ error: 'Submission not found' });
+    }
+
+    if (submission.appealStatus !== 'PENDING') {
+      return res.status(400).json({ error: 'Submission has no pending appeal' });
+    }
+
+    if (submission.reviewedBy === req.user.id) {
+      return res.status(403).json({ error: 'Appeals must be decided by a moderator other than the reviewer' });
+    }
+
+    const pendingCosign = await prisma.cosignRequest.findFirst({
+      where: { submissionId: submission.id, ...awaitingCosign() }
+    });
+
+    if (pendingCosign) {
+      return res.status(409).json({ error: 'Appeal grant is awaiting co-sign', cosignId: pendingCosign.id });
+    }
+
+    const granted = value.decision === 'GRANTED';
+    const bonusAmount = granted
+      ? (value.bonusAmount !== undefined ? value.bonusAmount : submission.categoryRef.baseReward)
+      : 0;
+
+    // Grants with a bonus above the threshold are held until a second staff
+    // member co-signs them, the same as approvals; the appeal stays pending
+    if (granted && await needsCosign('APPEAL_BONUS', bonusAmount)) {
+      const cosign = await requestCosign({
+        type: 'APPEAL_BONUS',
+        userId: submission.userId,
+        amount: bonusAmount,
+        reason: `Appeal granted: ${submission.game.name} / ${categoryName(submission.categoryRef, 'en')}`,
+        submissionId: submission.id,
+        appealResponse: value.response || null,
+        requestedBy: req.user.id
+      });
+
+      await logAdminAction(
+        req.user.id,
+        'REQUEST_COSIGN',
+        `Grant of appeal of submission ${submission.id} from ${submission.user.nickname} with ${bonusAmount} bonus awaits co-sign`,
+        req
+      );
+
+      return res.status(202).json({
+        message: 'Appeal grant is awaiting co-sign',
+        cosign
+      });
+    }
+
+    // Only the first decision goes through; a granted appeal approves the
+    // submission and pays the bonus along with it
+    const count = await prisma.$transaction(async (tx) => {
+      const result = await tx.submission.updateMany({
+        where: { id: submission.id, appealStatus: 'PENDING', status: 'REJECTED' },
+        data: {
+          appealStatus: value.decision,
+          appealDecidedBy: req.user.id,
+          appealDecidedAt: new Date(),
+          appealResponse: value.response || null,
+          ...(granted ? { status: 'APPROVED', rejectReason: null } : {})
+        }
+      });
+
+      if (result.count > 0 && bonusAmount > 0) {
+        await tx.user.update({
+          where: { id: submission.userId },
+          data: { balance: { increment: bonusAmount } }
+        });
+
+        await tx.payout.create({
+          data: {
+            userId: submission.userId,
+            amount: bonusAmount,
+            reason: `Appeal granted: ${submission.game.name} / ${categoryName(submission.categoryRef, 'en')}`,
+            adminId: req.user.id,
+            submissionId: submission.id,
+            status: 'COMPLETED',
+            completedAt: new Date()
+          }
+        });
+      }
+
+      return result.count;
+    });
+
+    if (count === 0) {
+      return res.status(409).json({ error: 'Appeal was decided by another moderator' });
+    }
+
+    await logAdminAction(
+      req.user.id,
+      'DECIDE_APPEAL',
+      `${value.decision} appeal of submission ${submission.id} from ${submission.user.nickname}${
+        bonusAmount > 0 ? ` with ${bonusAmount} bonus` : ''
+      }`,
+      req
+    );
+
+    console.log(`⚖️ Appeal ${value.decision.toLowerCase()} by ${req.user.nickname}: ${submission.id}`);
+
+    const updatedSubmission = await prisma.submission.findUnique({ where: { id: submission.id } });
+
+    res.json({
+      message: `Appeal ${value.decision.toLowerCase()} successfully`,
+      submission: withMediaUrls(updatedSubmission)
+    });
+
+  } catch (error) {
+    console.error('Decide appeal error:', error);
+    res.status(500).json({ error: 'Failed to decide appeal' });
+  }
+});
+
+// Revert the approval of a submission. Bonuses paid for it are taken back
+// with negative payouts linked to the original ones; the balance may go
+// negative. A submission sent back to PENDING re-enters the queue unassigned.
+// The status change, clawback and audit entry happen atomically.
+router.post('/submissions/:id/revert', isSuperAdmin, async (req, res) => {
+  try {
+    const { error, value } = revertReviewSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const submission = await prisma.submission.findUnique({
+      where: { id: req.params.id },
+      include: { user: true }
+    });
+
+    if (!submission) {
+      return res.status(404).json({ error: 'Submission not found' });
+    }
+
+    if (submission.status !== 'APPROVED') {
+      return res.status(400).json({ error: 'Only approved submissions can be reverted' });
+    }
+
+    const result = await prisma.$transaction(async (tx) => {
+      const { count } = await tx.submission.updateMany({
+        where: { id: submission.id, status: 'APPROVED' },
+        data: {
+          status: value.status,
+          rejectReason: value.status === 'REJECTED' ? value.reason : null,
+          reviewedBy: value.status === 'REJECTED' ? req.user.id : null,
+          reviewedAt: value.status === 'REJECTED' ? new Date() : null,
+          reviewMacroId: null,
+          // Only approved submissions can be public
+          isPublic: false,
+          ...RELEASED,
+          ...(value.status === 'PENDING' ? { assignedTo: null, assignedAt: null, reviewStartedAt: null } : {})
+        }
+      });
+
+      if (count === 0) {
+        return null;
+      }
+
+      const payouts = await tx.payout.findMany({
+        where: {
+          submissionId: submission.id,
+          status: 'COMPLETED',
+          amount: { gt: 0 },
+          reversal: null
+        }
+      });
+
+      const reversals = await Promise.all(payouts.map(payout => tx.payout.create({
+        data: {
+          userId: payout.userId,
+          amount: -payout.amount,
+          reason: `Reverted: ${payout.reason}`,
+          adminId: req.user.id,
+          submissionId: submission.id,
+          reversalOfId: payout.id,
+          status: 'COMPLETED',
+          completedAt: new Date()
+        }
+      })));
+
+      const clawedBack = payouts.reduce((sum, payout) => sum + payout.amount, 0);
+      if (clawedBack > 0) {
+        await tx.user.update({
+          where: { id: submission.userId },
+          data: { balance: { decrement: clawedBack } }
+        });
+      }
+
+      await tx.adminLog.create({
+        data: adminLogEntry(
+          req.user.id,
+          'REVERT_REVIEW',
+          `Reverted approval of submission ${submission.id} from ${submission.user.nickname} to ${value.status}${
+            clawedBack > 0 ? `, clawed back ${clawedBack}` : ''
+          }: ${value.reason}`,
+          req
+        )
+      });
+
+      return { reversals, clawedBack };
+    });
+
+    if (!result) {
+      return res.status(409).json({ error: 'Submission was changed by another moderator' });
+    }
+
+    console.log(`↩️ Review reverted by ${req.user.nickname}: ${submission.id} (${result.clawedBack} clawed back)`);
+
+    const updatedSubmission = await prisma.submission.findUnique({ where: { id: submission.id } });
+
+    res.json({
+      message: 'Review reverted successfully',
+      submission: withMediaUrls(updatedSubmission),
+      clawedBack: result.clawedBack,
+      reversals: result.reversals.map(payout => ({
+        id: payout.id,
+        amount: payout.amount,
+        reversalOfId: payout.reversalOfId
+      }))
+    });
+
+  } catch (error) {
+    console.error('Revert review error:', error);
+    res.status(500).json({ error: 'Failed to revert review' });
+  }
+});
+
+// Bulk review submissions. Each submission is reviewed as a single review
+// would be, with its own bonus, payout and audit entry, all in one
+// transaction. Submissions that cannot be reviewed are skipped and reported
+// with the reason; approvals with a bonus above the co-sign threshold are
+// held for a co-sign.
+router.patch('/submissions/bulk-review', async (req, res) => {
+  try {
+    const { error, value } = bulkReviewSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const [submissions, thresholds] = await Promise.all([
+      prisma.submission.findMany({
+        where: { id: { in: value.submissionIds } },
+        include: {
+          user: true,
+          game: true,
+          categoryRef: true,
+          claimer: {
+            select: { nickname: true }
+          },
+          cosignRequests: {
+            where: awaitingCosign(),
+            select: { id: true }
+          }
+        }
+      }),
+      getCosignThresholds()
+    ]);
+
+    const skipped = [];
+    const reviewable = [];
+
+    value.submissionIds.forEach((id) => {
+      const submission = submissions.find(item => item.id === id);
+
+      if (!submission) {
+        skipped.push({ id, reason: 'Submission not found' });
+      } else if (submission.status !== 'PENDING') {
+        skipped.push({ id, reason: 'Submission already reviewed' });
+      } else if (submission.cosignRequests.length > 0) {
+        skipped.push({ id, reason: 'Submission approval is awaiting co-sign' });
+      } else if (isClaimActive(submission) && submission.claimedBy !== req.user.id) {
+        skipped.push({ id, reason: `Submission is claimed by ${submission.claimer.nickname}` });
+      } else {
+        reviewable.push(submission);
+      }
+    });
+
+    const bonusFor = (submission) => {
+      if (value.status !== 'APPROVED') return 0;
+      if (value.bonuses && value.bonuses[submission.id] !== undefined) return value.bonuses[submission.id];
+      if (value.bonusAmount !== undefined) return value.bonusAmount;
+      return submission.categoryRef.baseReward;
+    };
+
+    const succeeded = [];
+    const heldForCosign = [];
+
+    await prisma.$transaction(async (tx) => {
+      for (const submission of reviewable) {
+        const bonusAmount = bonusFor(submission);
+        const payoutReason = `Approved submission: ${submission.game.name} / ${categoryName(submission.categoryRef, 'en')}`;
+
+        if (bonusAmount > thresholds.bonus) {
+          const cosign = await requestCosign({
+            type: 'REVIEW_BONUS',
+            userId: submission.userId,
+            amount: bonusAmount,
+            reason: payoutReason,
+            submissionId: submission.id,
+            requestedBy: req.user.id
+          }, tx);
+
+          await tx.adminLog.create({
+            data: adminLogEntry(
+              req.user.id,
+              'REQUEST_COSIGN',
+              `Approval of submission ${submission.id} from ${submission.user.nickname} with ${bonusAmount} bonus awaits co-sign (bulk)`,
+              req
+            )
+          });
+
+          heldForCosign.push({ id: submission.id, cosignId: cosign.id, bonusAmount });
+          continue;
+        }
+
+        // Another moderator may have reviewed or claimed it since it was loaded
+        const { count } = await tx.submission.updateMany({
+          where: {
+            id: submission.id,
+            status: 'PENDING',
+            cosignRequests: { none: awaitingCosign() },
+            ...claimableBy(req.user.id)
+          },
+          data: {
+            status: value.status,
+            rejectReason: value.status === 'REJECTED' ? value.rejectReason : null,
+            reviewedBy: req.user.id,
+            reviewedAt: new Date(),
+            ...RELEASED
+          }
+        });
+
+        if (count === 0) {
+          skipped.push({ id: submission.id, reason: 'Submission was reviewed or claimed by another moderator' });
+          continue;
+        }
+
+        if (bonusAmount > 0) {
+          await tx.user.update({
+            where: { id: submission.userId },
+            data: { balance: { increment: bonusAmount } }
+          });
+
+          await tx.payout.create({
+            data: {
+              userId: submission.userId,
+              amount: bonusAmount,
+              reason: payoutReason,
+              adminId: req.user.id,
+              submissionId: submission.id,
+              status: 'COMPLETED',
+              completedAt: new Date()
+            }
+          });
+        }
+
+        await tx.adminLog.create({
+          data: adminLogEntry(
+            req.user.id,
+            'REVIEW_SUBMISSION',
+            `${value.status} submission ${submission.id} from ${submission.user.nickname}${
+              bonusAmount > 0 ? ` with ${bonusAmount} bonus` : ''
+            } (bulk)`,
+            req
+          )
+        });
+
+        succeeded.push({ id: submission.id, bonusAmount });
+      }
+    }, { timeout: 60 * 1000 });
+
+    console.log(`📋 Bulk review by ${req.user.nickname}: ${succeeded.length} submissions ${value.status.toLowerCase()}, ${skipped.length} skipped`);
+
+    res.json({
+      message: `${succeeded.length} submissions ${value.status.toLowerCase()} successfully`,
+      count: succeeded.length,
+      succeeded,
+      awaitingCosign: heldForCosign,
+      skipped
+    });
+
+  } catch (error) {
+    console.error('Bulk review error:', error);
+    res.status(500).json({ error: 'Failed to bulk review submissions' });
+  }
+});
+
+// Get all games, including inactive ones
+router.get('/games', async (req, res) => {
+  try {
+    const games = await prisma.game.findMany({
+      orderBy: gameOrder,
+      include: {
+        _count: {
+          select: { categories: true, submissions: true }
+        }
+      }
+    });
+
+    res.json({ games });
+
+  } catch (error) {
+    console.error('Get games error:', error);
+    res.status(500).json({ error: 'Failed to fetch games' });
+  }
+});
+
+// Create a game. Its categories are added separately.
+router.post('/games', isSuperAdmin, async (req, res) => {
+  try {
+    const { error, value } = createGameSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const game = await prisma.game.create({
+      data: { ...value, iconUrl: value.iconUrl || null }
+    });
+
+    await logAdminAction(
+      req.user.id,
+      'CREATE_GAME',
+      `Created game ${game.slug}`,
+      req
+    );
+
+    res.status(201).json({ game });
+
+  } catch (error) {
+    if (error.code === 'P2002') {
+      return res.status(409).json({ error: 'A game with this slug already exists' });
+    }
+
+    console.error('Create game error:', error);
+    res.status(500).json({ error: 'Failed to create game' });
+  }
+});
+
+// Update a game's details and limits
+router.patch('/games/:id', isSuperAdmin, async (req, res) => {
+  try {
+    const { error, value } = updateGameSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const existing = await prisma.game.findUnique({
+      where: { id: req.params.id }
+    });
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Game not found' });
+    }
+
+    const game = await prisma.game.update({
+      where: { id: existing.id },
+      data: value.iconUrl === '' ? { ...value, iconUrl: null } : value
+    });
+
+    await logAdminAction(
+      req.user.id,
+      'UPDATE_GAME',
+      `Updated game ${existing.slug}: ${Object.keys(value).join(', ')}`,
+      req
+    );
+
+    res.json({ game });
+
+  } catch (error) {
+    if (error.code === 'P2002') {
+      return res.status(409).json({ error: 'A game with this slug already exists' });
+    }
+
+    console.error('Update game error:', error);
+    res.status(500).json({ error: 'Failed to update game' });
+  }
+});
+
+// Delete a game without categories or submissions; games in use are
+// deactivated instead
+router.delete('/games/:id', isSuperAdmin, async (req, res) => {
+  try {
+    const game = await prisma.game.findUnique({
+      where: { id: req.params.id },
+      include: {
+        _count: {
+          select: { categories: true, submissions: true }
+        }
+      }
+    });
+
+    if (!game) {
+      return res.status(404).json({ error: 'Game not found' });
+    }
+
+    if (game._count.categories > 0 || game._count.submissions > 0) {
+      return res.status(409).json({
+        error: 'Game still has categories or submissions. Deactivate it instead.',
+        categories: game._count.categories,
+        submissions: game._count.submissions
+      });
+    }
+
+    await prisma.game.delete({ where: { id: game.id } });
+
+    await logAdminAction(
+      req.user.id,
+      'DELETE_GAME',
+      `Deleted game ${game.slug}`,
+      req
+    );
+
+    res.json({ message: 'Game deleted successfully' });
+
+  } catch (error) {
+    console.error('Delete game error:', error);
+    res.status(500).json({ error: 'Failed to delete game' });
+  }
+});
+
+// Get the category catalog, including inactive categories, optionally for
+// one game (?game=<slug>)
+router.get('/categories', async (req, res) => {
+  try {
+    const categories = await prisma.category.findMany({
+      where: req.query.game ? { game: { slug: req.query.game } } : {},
+      orderBy: [{ game: { sortOrder: 'asc' } }, ...catalogOrder],
+      include: {
+        game: {
+          select: { slug: true, name: true }
+        },
+        _count: {
+          select: { submissions: true }
+        }
+      }
+    });
+
+    res.json({ categories });
+
+  } catch (error) {
+    console.error('Get categories error:', error);
+    res.status(500).json({ error: 'Failed to fetch categories' });
+  }
+});
+
+// Create a category
+router.post('/categories', isSuperAdmin, async (req, res) => {
+  try {
+    const { error, value } = createCategorySchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const game = await prisma.game.findUnique({ where: { id: value.gameId } });
+    if (!game) {
+      return res.status(400).json({ error: 'Game not found' });
+    }
+
+    const category = await prisma.category.create({ data: value });
+
+    await logAdminAction(
+      req.user.id,
+      'CREATE_CATEGORY',
+      `Created category ${game.slug}/${category.slug}`,
+      req
+    );
+
+    res.status(201).json({ category });
+
+  } catch (error) {
+    if (error.code === 'P2002') {
+      return res.status(409).json({ error: 'The game already has a category with this slug' });
+    }
+
+    console.error('Create category error:', error);
+    res.status(500).json({ error: 'Failed to create category' });
+  }
+});
+
+// Update a category. Renaming the slug carries its submissions along.
+router.patch('/categories/:id', isSuperAdmin, async (req, res) => {
+  try {
+    const { error, value } = updateCategorySchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const existing = await prisma.category.findUnique({
+      where: { id: req.params.id }
+    });
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Category not found' });
+    }
+
+    const category = await prisma.category.update({
+      where: { id: existing.id },
+      data: value
+    });
+
+    await logAdminAction(
+      req.user.id,
+      'UPDATE_CATEGORY',
+      `Updated category ${existing.slug}: ${Object.keys(value).join(', ')}${
+        category.slug !== existing.slug ? ` (renamed to ${category.slug})` : ''
+      }`,
+      req
+    );
+
+    res.json({ category });
+
+  } catch (error) {
+    if (error.code === 'P2002') {
+      return res.status(409).json({ error: 'The game already has a category with this slug' });
+    }
+
+    console.error('Update category error:', error);
+    res.status(500).json({ error: 'Failed to update category' });
+  }
+});
+
+// Delete a category. Categories in use have to be deactivated instead, or
+// merged into another category of the same game with ?mergeInto=<slug>.
+router.delete('/categories/:id', isSuperAdmin, async (req, res) => {
+  try {
+    const category = await prisma.category.findUnique({
+      where: { id: req.params.id },
+      include: {
+        _count: {
+          select: { submissions: true }
+        }
+      }
+    });
+
+    if (!category) {
+      return res.status(404).json({ error: 'Category not found' });
+    }
+
+    const mergeInto = req.query.mergeInto;
+
+    if (!mergeInto && category._count.submissions > 0) {
+      return res.status(409).json({
+        error: 'Category is used by submissions. Deactivate it or merge it into another category.',
+        submissions: category._count.submissions
+      });
+    }
+
+    if (mergeInto) {
+      const target = await prisma.category.findUnique({
+        where: { gameId_slug: { gameId: category.gameId, slug: mergeInto } }
+      });
+      if (!target || target.id === category.id) {
+        return res.status(400).json({ error: 'Invalid target category' });
+      }
+    }
+
+    const moved = await prisma.$transaction(async (tx) => {
+      const { count } = mergeInto
+        ? await tx.submission.updateMany({
+          where: { gameId: category.gameId, category: category.slug },
+          data: { category: mergeInto }
+        })
+        : { count: 0 };
+
+      await tx.category.delete({ where: { id: category.id } });
+      return count;
+    });
+
+    await logAdminAction(
+      req.user.id,
+      'DELETE_CATEGORY',
+      `Deleted category ${category.slug}${mergeInto ? `, moved ${moved} submission(s) to ${mergeInto}` : ''}`,
+      req
+    );
+
+    res.json({ message: 'Category deleted successfully', moved });
+
+  } catch (error) {
+    console.error('Delete category error:', error);
+    res.status(500).json({ error: 'Failed to delete category' });
+  }
+});
+
+// Get review macros. Moderators see active ones unless ?includeInactive=true.
+router.get('/macros', async (req, res) => {
+  try {
+    const macros = await prisma.reviewMacro.findMany({
+      where: req.query.includeInactive === 'true' ? {} : { isActive: true },
+      orderBy: [{ sortOrder: 'asc' }, { name: 'asc' }],
+      include: {
+        _count: {
+          select: { submissions: true }
+        }
+      }
+    });
+
+    res.json({ macros });
+
+  } catch (error) {
+    console.error('Get macros error:', error);
+    res.status(500).json({ error: 'Failed to fetch review macros' });
+  }
+});
+
+// Create a review macro
+router.post('/macros', isSuperAdmin, async (req, res) => {
+  try {
+    const { error, value } = createMacroSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const macro = await prisma.reviewMacro.create({
+      data: { ...value, createdBy: req.user.id }
+    });
+
+    await logAdminAction(
+      req.user.id,
+      'CREATE_MACRO',
+      `Created review macro "${macro.name}" (${macro.status})`,
+      req
+    );
+
+    res.status(201).json({ macro });
+
+  } catch (error) {
+    if (error.code === 'P2002') {
+      return res.status(409).json({ error: 'A review macro with this name already exists' });
+    }
+
+    console.error('Create macro error:', error);
+    res.status(500).json({ error: 'Failed to create review macro' });
+  }
+});
+
+// Update a review macro. Reviews already made with it keep their reasons.
+router.patch('/macros/:id', isSuperAdmin, async (req, res) => {
+  try {
+    const { error, value } = updateMacroSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const existing = await prisma.reviewMacro.findUnique({
+      where: { id: req.params.id }
     });
 
-    // Add bonus balance if approved and bonus specified
-    if (value.status === 'APPROVED' && value.bonusAmount > 0) {
-      await prisma.user.update({
-        where: { id: submission.userId },
-        data: { balance: { increment: value.bonusAmount } }
-      });
+    if (!existing) {
+      return res.status(404).json({ error: 'Review macro not found' });
+    }
 
-      // Log payout
-      await prisma.payout.create({
-        data: {
-          userId: submission.userId,
-          amount: value.bonusAmount,
-          reason: `Approved submission: ${submission.category}`,
-          adminId: req.user.id,
-          status: 'COMPLETED',
-          completedAt: new Date()
-        }
-      });
+    const status = value.status || existing.status;
+    const reasonTemplate = value.reasonTemplate !== undefined ? value.reasonTemplate : existing.reasonTemplate;
+    if (status === 'REJECTED' && !reasonTemplate) {
+      return res.status(400).json({ error: 'Reject macros need a reason' });
     }
 
-    // Log admin action
+    const macro = await prisma.reviewMacro.update({
+      where: { id: existing.id },
+      data: value
+    });
+
     await logAdminAction(
       req.user.id,
-      'REVIEW_SUBMISSION',
-      `${value.status} submission ${submission.id} from ${submission.user.nickname}${
-        value.bonusAmount ? ` with ${value.bonusAmount} bonus` : ''
-      }`,
+      'UPDATE_MACRO',
+      `Updated review macro "${existing.name}": ${Object.keys(value).join(', ')}`,
       req
     );
 
-    console.log(`✅ Submission ${value.status.toLowerCase()} by ${req.user.nickname}: ${submission.id}`);
-
-    res.json({
-      message: `Submission ${value.status.toLowerCase()} successfully`,
-      submission: updatedSubmission
-    });
+    res.json({ macro });
 
   } catch (error) {
-    console.error('Review submission error:', error);
-    res.status(500).json({ error: 'Failed to review submission' });
+    if (error.code === 'P2002') {
+      return res.status(409).json({ error: 'A review macro with this name already exists' });
+    }
+
+    console.error('Update macro error:', error);
+    res.status(500).json({ error: 'Failed to update review macro' });
   }
 });
 
-// Bulk review submissions
-router.patch('/submissions/bulk-review', async (req, res) => {
+// Delete a review macro. Macros reviews were made with have to be
+// deactivated instead, so the per-macro statistics stay intact.
+router.delete('/macros/:id', isSuperAdmin, async (req, res) => {
   try {
-    const { submissionIds, status, rejectReason } = req.body;
-
-    if (!Array.isArray(submissionIds) || submissionIds.length === 0) {
-      return res.status(400).json({ error: 'No submissions selected' });
-    }
+    const macro = await prisma.reviewMacro.findUnique({
+      where: { id: req.params.id },
+      include: {
+        _count: {
+          select: { submissions: true }
+        }
+      }
+    });
 
-    if (!['APPROVED', 'REJECTED'].includes(status)) {
-      return res.status(400).json({ error: 'Invalid status' });
+    if (!macro) {
+      return res.status(404).json({ error: 'Review macro not found' });
     }
 
-    if (status === 'REJECTED' && !rejectReason) {
-      return res.status(400).json({ error: 'Reject reason required' });
+    if (macro._count.submissions > 0) {
+      return res.status(409).json({
+        error: 'Review macro was used in reviews. Deactivate it instead.',
+        submissions: macro._count.submissions
+      });
     }
 
-    // Update submissions
-    const result = await prisma.submission.updateMany({
-      where: {
-        id: { in: submissionIds },
-        status: 'PENDING'
-      },
-      data: {
-        status,
-        rejectReason: status === 'REJECTED' ? rejectReason : null,
-        reviewedBy: req.user.id,
-        reviewedAt: new Date()
-      }
-    });
+    await prisma.reviewMacro.delete({ where: { id: macro.id } });
 
-    // Log admin action
     await logAdminAction(
       req.user.id,
-      'BULK_REVIEW_SUBMISSIONS',
-      `Bulk ${status.toLowerCase()} ${result.count} submissions`,
+      'DELETE_MACRO',
+      `Deleted review macro "${macro.name}"`,
       req
     );
 
-    console.log(`📋 Bulk review by ${req.user.nickname}: ${result.count} submissions ${status.toLowerCase()}`);
-
-    res.json({
-      message: `${result.count} submissions ${status.toLowerCase()} successfully`,
-      count: result.count
-    });
+    res.json({ message: 'Review macro deleted successfully' });
 
   } catch (error) {
-    console.error('Bulk review error:', error);
-    res.status(500).json({ error: 'Failed to bulk review submissions' });
+    console.error('Delete macro error:', error);
+    res.status(500).json({ error: 'Failed to delete review macro' });
   }
 });
 
@@ -336,6 +2016,9 @@ router.get('/users', async (req, res) => {
           balance: true,
           role: true,
           isBanned: true,
+          autoAssign: true,
+          reviewGameIds: true,
+          reviewCategoryIds: true,
           createdAt: true,
           _count: {
             select: {
@@ -441,6 +2124,29 @@ router.post('/users/:id/add-balance', async (req, res) => {
       return res.status(404).json({ error: 'User not found' });
     }
 
+    // Credits above the threshold wait for a second staff member's co-sign
+    if (await needsCosign('BALANCE_CREDIT', value.amount)) {
+      const cosign = await requestCosign({
+        type: 'BALANCE_CREDIT',
+        userId: user.id,
+        amount: value.amount,
+        reason: value.reason,
+        requestedBy: req.user.id
+      });
+
+      await logAdminAction(
+        req.user.id,
+        'REQUEST_COSIGN',
+        `Credit of ${value.amount} to ${user.nickname} awaits co-sign: ${value.reason}`,
+        req
+      );
+
+      return res.status(202).json({
+        message: 'Balance credit is awaiting co-sign',
+        cosign
+      });
+    }
+
     // Update user balance and create payout record
     const [updatedUser, payout] = await Promise.all([
       prisma.user.update({
@@ -485,6 +2191,379 @@ router.post('/users/:id/add-balance', async (req, res) => {
   }
 });
 
+// Co-sign requests, pending ones by default or ?status=CONFIRMED|REJECTED|EXPIRED,
+// with the current thresholds. `canDecide` is false for the moderator's own
+// requests and credits to themselves.
+router.get('/cosigns', async (req, res) => {
+  try {
+    await expireCosigns();
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const status = ['CONFIRMED', 'REJECTED', 'EXPIRED'].includes(req.query.status) ? req.query.status : 'PENDING';
+
+    const [cosigns, total, thresholds] = await Promise.all([
+      prisma.cosignRequest.findMany({
+        where: { status },
+        orderBy: { createdAt: status === 'PENDING' ? 'asc' : 'desc' },
+        skip: (page - 1) * limit,
+        take: limit,
+        include: {
+          user: {
+            select: { id: true, nickname: true, balance: true }
+          },
+          requester: {
+            select: { nickname: true }
+          },
+          decider: {
+            select: { nickname: true }
+          },
+          submission: {
+            select: { id: true, gameId: true, category: true, thumbnailUrl: true }
+          }
+        }
+      }),
+      prisma.cosignRequest.count({ where: { status } }),
+      getCosignThresholds()
+    ]);
+
+    res.json({
+      cosigns: cosigns.map(cosign => ({
+        ...cosign,
+        canDecide: status === 'PENDING' && cosign.requestedBy !== req.user.id && cosign.userId !== req.user.id
+      })),
+      thresholds,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get cosigns error:', error);
+    res.status(500).json({ error: 'Failed to fetch co-sign requests' });
+  }
+});
+
+// Change the co-sign thresholds
+router.patch('/cosigns/thresholds', isSuperAdmin, async (req, res) => {
+  try {
+    const { error, value } = cosignThresholdsSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    await setCosignThresholds(value);
+    const thresholds = await getCosignThresholds();
+
+    await logAdminAction(
+      req.user.id,
+      'UPDATE_COSIGN_THRESHOLDS',
+      `Set co-sign thresholds: bonus ${thresholds.bonus}, balance ${thresholds.balance}`,
+      req
+    );
+
+    res.json({ thresholds });
+
+  } catch (error) {
+    console.error('Update cosign thresholds error:', error);
+    res.status(500).json({ error: 'Failed to update co-sign thresholds' });
+  }
+});
+
+const describeCosign = (cosign) => {
+  const subject = {
+    REVIEW_BONUS: `approval of submission ${cosign.submissionId} with`,
+    APPEAL_BONUS: `grant of appeal of submission ${cosign.submissionId} with`,
+    BALANCE_CREDIT: 'credit of'
+  }[cosign.type];
+
+  return `${subject} ${cosign.amount} for ${cosign.user.nickname}`;
+};
+
+// Load a pending co-sign request the moderator may decide, or send the error
+const findDecidableCosign = async (req, res) => {
+  const cosign = await prisma.cosignRequest.findUnique({
+    where: { id: req.params.id },
+    include: {
+      user: {
+        select: { nickname: true }
+      },
+      reviewMacro: true
+    }
+  });
+
+  if (!cosign) {
+    res.status(404).json({ error: 'Co-sign request not found' });
+    return null;
+  }
+
+  if (cosign.requestedBy === req.user.id) {
+    res.status(403).json({ error: 'Co-sign requests must be decided by another staff member' });
+    return null;
+  }
+
+  if (cosign.userId === req.user.id) {
+    res.status(403).json({ error: 'Cannot decide a credit to yourself' });
+    return null;
+  }
+
+  return cosign;
+};
+
+// Confirm a co-sign request, paying the amount and applying a held approval
+router.post('/cosigns/:id/confirm', async (req, res) => {
+  try {
+    const cosign = await findDecidableCosign(req, res);
+    if (!cosign) return;
+
+    const payout = await confirmCosign(cosign, req.user.id);
+
+    await logAdminAction(
+      req.user.id,
+      'CONFIRM_COSIGN',
+      `Co-signed ${describeCosign(cosign)}`,
+      req
+    );
+
+    console.log(`✍️ Co-sign confirmed by ${req.user.nickname}: ${cosign.id}`);
+
+    res.json({
+      message: 'Co-sign request confirmed successfully',
+      payout: {
+        id: payout.id,
+        amount: payout.amount,
+        reason: payout.reason
+      }
+    });
+
+  } catch (error) {
+    if (error.status === 409) {
+      return res.status(409).json({ error: error.message });
+    }
+
+    console.error('Confirm cosign error:', error);
+    res.status(500).json({ error: 'Failed to confirm co-sign request' });
+  }
+});
+
+// Reject a co-sign request; a held approval goes back to the review queue
+router.post('/cosigns/:id/reject', async (req, res) => {
+  try {
+    const cosign = await findDecidableCosign(req, res);
+    if (!cosign) return;
+
+    if (!await rejectCosign(cosign.id, req.user.id)) {
+      return res.status(409).json({ error: 'Co-sign request expired or was already decided' });
+    }
+
+    await logAdminAction(
+      req.user.id,
+      'REJECT_COSIGN',
+      `Rejected ${describeCosign(cosign)}`,
+      req
+    );
+
+    res.json({ message: 'Co-sign request rejected successfully' });
+
+  } catch (error) {
+    console.error('Reject cosign error:', error);
+    res.status(500).json({ error: 'Failed to reject co-sign request' });
+  }
+});
+
+// Routing strategy and the review profiles of all staff, with the pending
+// submissions assigned to each
+router.get('/routing', async (req, res) => {
+  try {
+    const [strategy, moderators] = await Promise.all([
+      getRoutingStrategy(),
+      prisma.user.findMany({
+        where: { role: { in: ['MODERATOR', 'ADMIN'] } },
+        orderBy: { createdAt: 'asc' },
+        select: {
+          id: true,
+          nickname: true,
+          role: true,
+          isBanned: true,
+          autoAssign: true,
+          reviewGameIds: true,
+          reviewCategoryIds: true
+        }
+      })
+    ]);
+
+    const load = await pendingLoad(moderators.map(moderator => moderator.id));
+
+    res.json({
+      strategy,
+      strategies: ROUTING_STRATEGIES,
+      moderators: moderators.map(moderator => ({
+        ...moderator,
+        pendingAssigned: load.get(moderator.id)
+      }))
+    });
+
+  } catch (error) {
+    console.error('Get routing error:', error);
+    res.status(500).json({ error: 'Failed to fetch routing settings' });
+  }
+});
+
+// Change how new submissions are routed
+router.patch('/routing', isSuperAdmin, async (req, res) => {
+  try {
+    const { error, value } = routingSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    await setRoutingStrategy(value.strategy);
+
+    await logAdminAction(req.user.id, 'UPDATE_ROUTING', `Routing strategy set to ${value.strategy}`, req);
+
+    res.json({ strategy: value.strategy });
+
+  } catch (error) {
+    console.error('Update routing error:', error);
+    res.status(500).json({ error: 'Failed to update routing settings' });
+  }
+});
+
+// Route the pending submissions nobody is assigned to, e.g. after switching
+// routing on
+router.post('/routing/assign-pending', isSuperAdmin, async (req, res) => {
+  try {
+    const assigned = await routeUnassigned();
+
+    await logAdminAction(req.user.id, 'ROUTE_PENDING', `Routed ${assigned} unassigned submissions`, req);
+
+    res.json({ assigned });
+
+  } catch (error) {
+    console.error('Route pending submissions error:', error);
+    res.status(500).json({ error: 'Failed to route submissions' });
+  }
+});
+
+// Update a moderator's review profile. Moderators may edit their own; super
+// admins edit anyone's.
+router.patch('/moderators/:id/review-profile', async (req, res) => {
+  try {
+    const { error, value } = reviewProfileSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    if (req.params.id !== req.user.id && req.user.role !== 'ADMIN') {
+      return res.status(403).json({ error: 'Cannot modify this review profile' });
+    }
+
+    const moderator = await prisma.user.findUnique({ where: { id: req.params.id } });
+
+    if (!moderator || !['MODERATOR', 'ADMIN'].includes(moderator.role)) {
+      return res.status(404).json({ error: 'Moderator not found' });
+    }
+
+    const updated = await prisma.user.update({
+      where: { id: moderator.id },
+      data: value,
+      select: {
+        id: true,
+        nickname: true,
+        autoAssign: true,
+        reviewGameIds: true,
+        reviewCategoryIds: true
+      }
+    });
+
+    await logAdminAction(
+      req.user.id,
+      'UPDATE_REVIEW_PROFILE',
+      `Updated review profile of ${moderator.nickname}: ${JSON.stringify(value)}`,
+      req
+    );
+
+    res.json({ moderator: updated });
+
+  } catch (error) {
+    console.error('Update review profile error:', error);
+    res.status(500).json({ error: 'Failed to update review profile' });
+  }
+});
+
+// Find files without a submission and submissions whose files are missing.
+// Dry run by default; orphans can be quarantined or deleted.
+router.post('/storage/reconcile', isSuperAdmin, async (req, res) => {
+  try {
+    const { error, value } = reconcileSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const report = await reconcileStorage(value);
+
+    if (!value.dryRun && value.orphanAction !== 'none') {
+      const handled = report.orphans.filter(orphan => orphan.action !== 'failed').length;
+      await logAdminAction(
+        req.user.id,
+        'RECONCILE_STORAGE',
+        `${value.orphanAction === 'quarantine' ? 'Quarantined' : 'Deleted'} ${handled} orphaned file(s), ${report.dangling.length} dangling reference(s) found`,
+        req
+      );
+    }
+
+    res.json(report);
+
+  } catch (error) {
+    console.error('Reconcile storage error:', error);
+    res.status(500).json({ error: 'Failed to reconcile storage' });
+  }
+});
+
+// Get retention job actions
+router.get('/retention-logs', isSuperAdmin, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const skip = (page - 1) * limit;
+
+    const filters = {};
+    if (req.query.submissionId) {
+      filters.submissionId = req.query.submissionId;
+    }
+    if (req.query.action) {
+      filters.action = req.query.action;
+    }
+
+    const [logs, total] = await Promise.all([
+      prisma.retentionLog.findMany({
+        where: filters,
+        orderBy: { createdAt: 'desc' },
+        skip,
+        take: limit
+      }),
+      prisma.retentionLog.count({ where: filters })
+    ]);
+
+    res.json({
+      logs,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get retention logs error:', error);
+    res.status(500).json({ error: 'Failed to fetch retention logs' });
+  }
+});
+
 // Get admin logs
 router.get('/logs', isSuperAdmin, async (req, res) => {
   try {
@@ -0,0 +1,124 @@
+const express = require('express');
+const { pipeline } = require('stream/promises');
+const { PrismaClient } = require('@prisma/client');
+const { contentTypeFor } = require('../services/fileType');
+const { storage, urlForKey } = require('../services/storage');
+const { MEDIA_FIELDS, verifyMediaSignature } = require('../services/mediaUrls');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// How long a remote backend's own URL stays valid after we redirect to it
+const REDIRECT_TTL = 60; // seconds
+
+// Owners and moderators may always see a file; anyone may see files of
+// approved submissions their owner has published. Resolves to
+// { allowed, isPublic, retired } where retired means the retention policy
+// has moved the original out of storage.
+const checkAccess = async (req, key) => {
+  const url = urlForKey(key);
+  const asset = await prisma.submissionAsset.findFirst({
+    where: { OR: MEDIA_FIELDS.map(field => ({ [field]: url })) },
+    select: {
+      fileUrl: true,
+      submission: {
+        select: { userId: true, status: true, isPublic: true, mediaState: true }
+      }
+    }
+  });
+
+  if (!asset) {
+    return { allowed: false };
+  }
+
+  const { submission } = asset;
+  const retired = submission.mediaState !== 'ACTIVE' && asset.fileUrl === url;
+
+  if (submission.status === 'APPROVED' && submission.isPublic) {
+    return { allowed: true, isPublic: true, retired };
+  }
+
+  // A valid signature was issued to someone allowed to see the file
+  if (verifyMediaSignature(key, req.query.expires, req.query.signature)) {
+    return { allowed: true, isPublic: false, retired };
+  }
+
+  const user = req.user;
+  const allowed = Boolean(user && !user.isBanned &&
+    (user.id === submission.userId || user.role === 'ADMIN' || user.role === 'MODERATOR'));
+
+  return { allowed, isPublic: false, retired };
+};
+
+// Serve a stored file, honouring single byte ranges for video seeking
+router.get('/*', async (req, res) => {
+  try {
+    const key = req.params[0];
+
+    const access = key ? await checkAccess(req, key) : { allowed: false };
+    if (!access.allowed) {
+      // Don't reveal whether the file exists
+      return res.status(404).json({ error: 'Media not found' });
+    }
+
+    if (access.retired) {
+      return res.status(410).json({ error: 'Media is no longer available' });
+    }
+
+    const stat = await storage.stat(key);
+    if (!stat) {
+      return res.status(404).json({ error: 'Media not found' });
+    }
+
+    res.set('Cache-Control', access.isPublic ? 'public, max-age=86400' : 'private, max-age=900');
+
+    // Remote backends serve the bytes (and ranges) themselves
+    if (!storage.localPath) {
+      return res.redirect(await storage.getUrl(key, { expiresIn: REDIRECT_TTL }));
+    }
+
+    res.set({
+      'Accept-Ranges': 'bytes',
+      'Content-Type': contentTypeFor(key),
+      'Last-Modified': stat.lastModified.toUTCString()
+    });
+
+    const ranges = req.range(stat.size, { combine: true });
+
+    if (ranges === -1) {
+      res.set('Content-Range', `bytes */${stat.size}`);
+      return res.status(416).end();
+    }
+
+    // Malformed or multi-part range requests get the whole file
+    let range = null;
+    if (Array.isArray(ranges) && ranges.type === 'bytes' && ranges.length === 1) {
+      range = ranges[0];
+      res.status(206);
+      res.set('Content-Range', `bytes ${range.start}-${range.end}/${stat.size}`);
+      res.set('Content-Length', String(range.end - range.start + 1));
+    } else {
+      res.set('Content-Length', String(stat.size));
+    }
+
+    if (req.method === 'HEAD') {
+      return res.end();
+    }
+
+    const stream = await storage.getStream(key, range || {});
+    await pipeline(stream, res);
+
+  } catch (error) {
+    // Clients routinely abort video downloads while seeking
+    if (error.code === 'ERR_STREAM_PREMATURE_CLOSE') {
+      return;
+    }
+
+    console.error('Serve media error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Failed to serve media' });
+    }
+  }
+});
+
+module.exports = router;
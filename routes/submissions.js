@@ -4,8 +4,20 @@ const path = require('path');
 const { PrismaClient } = require('@prisma/client');
 const { v4: uuidv4 } = require('uuid');
 const Joi = require('joi');
-const { isAuthenticated } = require('../middleware/auth');
+const { isAuthenticated, logAdminAction } = require('../middleware/auth');
 const rateLimiter = require('../middleware/rateLimiter');
+const { ALLOWED_TYPES } = require('../services/fileType');
+const { removeStoredFiles, discardUpload, createSubmissionFromUploads, editSubmission } = require('../services/intake');
+const { isEditable } = require('../services/revisions');
+const { MAX_RESUBMISSIONS, resubmissionError } = require('../services/resubmissions');
+const { appealError } = require('../services/appeals');
+const { MAX_ASSETS, MAX_TOTAL_SIZE, orderedAssets } = require('../services/assets');
+const { SLUG_PATTERN, listCategories, findActiveCategory } = require('../services/categories');
+const { DEFAULT_GAME, listGames } = require('../services/games');
+const { MAX_TAGS, TAG_PATTERN, includeTags, withTagNames, tagFilter, popularTags } = require('../services/tags');
+const { INCOMING_DIR, keyFromUrl } = require('../services/storage');
+const { withMediaUrls } = require('../services/mediaUrls');
+const uploadSessions = require('../services/uploadSessions');
 
 const router = express.Router();
 const prisma = new PrismaClient();
@@ -13,41 +25,149 @@ const prisma = new PrismaClient();
 // File storage configuration
 const storage = multer.diskStorage({
   destination: (req, file, cb) => {
-    cb(null, process.env.UPLOAD_DIR || './uploads');
+    cb(null, INCOMING_DIR);
   },
   filename: (req, file, cb) => {
-    const uniqueId = uuidv4();
-    const ext = path.extname(file.originalname);
-    cb(null, `${uniqueId}${ext}`);
+    // The real extension is assigned once the content has been verified
+    cb(null, `${uuidv4()}.upload`);
   }
 });
 
-// File filter
+// File filter - a cheap first pass on the client MIME type, the file
+// signature is checked by verifyUpload() after the upload finishes
 const fileFilter = (req, file, cb) => {
-  const allowedTypes = [
-    'image/jpeg', 'image/jpg', 'image/png', 'image/gif', 'image/webp',
-    'video/mp4', 'video/avi', 'video/mov', 'video/wmv', 'video/webm'
-  ];
-
-  if (allowedTypes.includes(file.mimetype)) {
+  if (/^(image|video)\//.test(file.mimetype) || file.mimetype === 'application/octet-stream') {
     cb(null, true);
   } else {
     cb(new Error('Invalid file type. Only images and videos are allowed.'), false);
   }
 };
 
+const MAX_FILE_SIZE = parseInt(process.env.MAX_FILE_SIZE) || 100 * 1024 * 1024; // 100MB default
+const MAX_SUBMISSIONS_PER_DAY = parseInt(process.env.SUBMISSION_LIMIT_PER_DAY) || 10;
+
 const upload = multer({
   storage,
   fileFilter,
   limits: {
-    fileSize: parseInt(process.env.MAX_FILE_SIZE) || 100 * 1024 * 1024 // 100MB default
+    fileSize: MAX_FILE_SIZE,
+    files: MAX_ASSETS
   }
 });
 
+// Older clients send a single `file`; galleries are sent as `files`
+const submissionFiles = upload.fields([
+  { name: 'file', maxCount: 1 },
+  { name: 'files', maxCount: MAX_ASSETS }
+]);
+
+// Received multipart files in submission order
+const receivedFiles = (req) => [
+  ...((req.files && req.files.file) || []),
+  ...((req.files && req.files.files) || [])
+];
+
 // Validation schemas
+const catalogSlug = Joi.string().pattern(SLUG_PATTERN).max(50);
+
+// Multipart requests repeat the `tags` field, which arrives as a string when
+// only one tag is sent
+const tagList = Joi.array()
+  .items(Joi.string().trim().replace(/^#/, '').lowercase().replace(/\s+/g, ' ').min(2).max(30).pattern(TAG_PATTERN))
+  .max(MAX_TAGS)
+  .unique()
+  .single();
+
+// Values of the category's extra fields, checked against the category once
+// it is known. Multipart requests send them as a JSON string.
+const extraFieldValues = Joi.alternatives().try(
+  Joi.object(),
+  Joi.string().custom((value, helpers) => {
+    try {
+      const parsed = JSON.parse(value);
+      if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) {
+        return parsed;
+      }
+    } catch (parseError) {
+      // Reported as invalid below
+    }
+    return helpers.error('any.invalid');
+  })
+);
+
 const createSubmissionSchema = Joi.object({
-  category: Joi.string().required().min(2).max(50),
-  description: Joi.string().optional().max(500)
+  game: catalogSlug.default(DEFAULT_GAME),
+  category: catalogSlug.required(),
+  description: Joi.string().optional().allow('').max(500),
+  tags: tagList.default([]),
+  extraFields: extraFieldValues.default({})
+});
+
+const appealSchema = Joi.object({
+  message: Joi.string().trim().required().min(10).max(1000)
+});
+
+const visibilitySchema = Joi.object({
+  isPublic: Joi.boolean().required()
+});
+
+const completeUploadsSchema = createSubmissionSchema.keys({
+  uploadIds: Joi.array().items(Joi.string().guid()).min(1).max(MAX_ASSETS).unique().required()
+});
+
+// Multipart edits send fields as strings, so an empty description is kept.
+// Categories belong to a game, so moving to another game needs a category.
+const updateSubmissionSchema = Joi.object({
+  game: catalogSlug,
+  category: catalogSlug,
+  description: Joi.string().allow('').max(500),
+  extraFields: extraFieldValues,
+  uploadIds: Joi.array().items(Joi.string().guid()).min(1).max(MAX_ASSETS).unique()
+}).with('game', 'category');
+
+// Game, category, description, tags and extra fields default to those of the
+// rejected submission
+const resubmitSchema = Joi.object({
+  game: catalogSlug,
+  category: catalogSlug,
+  description: Joi.string().allow('').max(500),
+  tags: tagList,
+  extraFields: extraFieldValues,
+  uploadIds: Joi.array().items(Joi.string().guid()).min(1).max(MAX_ASSETS).unique()
+}).with('game', 'category');
+
+const createUploadSchema = Joi.object({
+  fileName: Joi.string().required().max(255),
+  fileSize: Joi.number().integer().required().min(1).max(MAX_FILE_SIZE),
+  mimeType: Joi.string().required().pattern(/^(image|video)\/[\w.+-]+$|^application\/octet-stream$/)
+});
+
+// A submission as its owner sees it; mediaMetadata is for moderators only
+const formatOwnSubmission = ({ mediaMetadata, assets, ...submission }) => withMediaUrls({
+  ...withTagNames(submission),
+  editable: isEditable(submission),
+  assets: (assets || []).map(({ mediaMetadata: assetMetadata, ...asset }) => asset)
+});
+
+// Multipart files in the shape the intake service expects
+const toIntakeFile = (file) => ({
+  path: file.path,
+  originalName: file.originalname,
+  mimeType: file.mimetype,
+  size: file.size
+});
+
+// Shape of a newly created submission in API responses
+const formatCreatedSubmission = (submission) => ({
+  id: submission.id,
+  gameId: submission.gameId,
+  category: submission.category,
+  fileType: submission.fileType,
+  thumbnailUrl: withMediaUrls(submission).thumbnailUrl,
+  processingStatus: submission.processingStatus,
+  assetCount: submission.assets ? submission.assets.length : 1,
+  status: submission.status,
+  createdAt: submission.createdAt
 });
 
 // Apply authentication to all routes
@@ -66,10 +186,17 @@ router.get('/', async (req, res) => {
       filters.status = req.query.status;
     }
 
+    if (req.query.game) {
+      filters.game = { slug: req.query.game };
+    }
+
     if (req.query.category) {
       filters.category = req.query.category;
     }
 
+    // Submissions carrying all of ?tags=a,b
+    Object.assign(filters, tagFilter(req.query.tags));
+
     const [submissions, total] = await Promise.all([
       prisma.submission.findMany({
         where: filters,
@@ -79,14 +206,19 @@ router.get('/', async (req, res) => {
         include: {
           reviewer: {
             select: { nickname: true }
-          }
+          },
+          game: {
+            select: { slug: true, name: true, iconUrl: true }
+          },
+          assets: orderedAssets,
+          tags: includeTags
         }
       }),
       prisma.submission.count({ where: filters })
     ]);
 
     res.json({
-      submissions,
+      submissions: submissions.map(formatOwnSubmission),
       pagination: {
         page,
         limit,
@@ -112,6 +244,17 @@ router.get('/:id', async (req, res) => {
       include: {
         reviewer: {
           select: { nickname: true }
+        },
+        game: {
+          select: { slug: true, name: true, iconUrl: true }
+        },
+        assets: orderedAssets,
+        tags: includeTags,
+        previousSubmission: {
+          select: { id: true, category: true, rejectReason: true, reviewedAt: true }
+        },
+        resubmission: {
+          select: { id: true, status: true }
         }
       }
     });
@@ -120,7 +263,7 @@ router.get('/:id', async (req, res) => {
       return res.status(404).json({ error: 'Submission not found' });
     }
 
-    res.json(submission);
+    res.json(formatOwnSubmission(submission));
 
   } catch (error) {
     console.error('Get submission error:', error);
@@ -129,76 +272,319 @@ router.get('/:id', async (req, res) => {
 });
 
 // Create new submission
-router.post('/', rateLimiter.submission, upload.single('file'), async (req, res) => {
+router.post('/', rateLimiter.submission, submissionFiles, async (req, res) => {
+  const files = receivedFiles(req);
+
   try {
     // Check if user is banned
     if (req.user.isBanned) {
+      files.forEach(file => discardUpload(file.path));
       return res.status(403).json({ error: 'Your account has been banned' });
     }
 
     // Validate request body
     const { error, value } = createSubmissionSchema.validate(req.body);
     if (error) {
+      files.forEach(file => discardUpload(file.path));
       return res.status(400).json({ error: error.details[0].message });
     }
 
-    // Check if file was uploaded
-    if (!req.file) {
-      return res.status(400).json({ error: 'File is required' });
+    const category = await findActiveCategory(value.game, value.category);
+    if (!category) {
+      files.forEach(file => discardUpload(file.path));
+      return res.status(400).json({ error: 'Unknown category' });
+    }
+
+    const result = await createSubmissionFromUploads(req.user, files.map(toIntakeFile), { ...value, category });
+
+    if (result.error) {
+      return res.status(result.status || 400).json({ error: result.error });
+    }
+
+    res.status(201).json({
+      message: 'Submission created successfully',
+      submission: formatCreatedSubmission(result.submission)
+    });
+
+  } catch (error) {
+    console.error('Create submission error:', error);
+
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      return res.status(400).json({ error: 'File size too large' });
+    }
+
+    res.status(500).json({ error: 'Failed to create submission' });
+  }
+});
+
+// Shape of an upload session in API responses
+const formatUploadSession = (session) => ({
+  uploadId: session.id,
+  fileName: session.fileName,
+  totalSize: session.totalSize,
+  receivedBytes: session.receivedBytes,
+  chunkSize: uploadSessions.CHUNK_SIZE,
+  status: session.status,
+  submissionId: session.submissionId,
+  expiresAt: session.expiresAt
+});
+
+const findUploadSession = (req) => prisma.uploadSession.findFirst({
+  where: {
+    id: req.params.uploadId,
+    userId: req.user.id,
+    expiresAt: { gt: new Date() }
+  }
+});
+
+// The user's live upload sessions in the order of uploadIds; missing or
+// expired ones are undefined
+const findUploadSessions = async (req, uploadIds) => {
+  const found = await prisma.uploadSession.findMany({
+    where: {
+      id: { in: uploadIds },
+      userId: req.user.id,
+      expiresAt: { gt: new Date() }
+    }
+  });
+
+  return uploadIds.map(id => found.find(session => session.id === id));
+};
+
+// Intake files for fully received sessions
+const sessionFiles = (sessions) => sessions.map(session => ({
+  path: uploadSessions.partialPath(session.id),
+  originalName: session.fileName,
+  mimeType: session.mimeType,
+  size: session.totalSize
+}));
+
+// Start a resumable upload. Each file of a submission gets its own upload;
+// the daily submission limit is applied when the uploads are completed.
+router.post('/uploads', async (req, res) => {
+  try {
+    if (req.user.isBanned) {
+      return res.status(403).json({ error: 'Your account has been banned' });
+    }
+
+    const { error, value } = createUploadSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
     }
 
-    // Determine file type
-    const fileType = req.file.mimetype.startsWith('image/') ? 'IMAGE' : 'VIDEO';
+    const activeSessions = await prisma.uploadSession.count({
+      where: {
+        userId: req.user.id,
+        status: 'ACTIVE',
+        expiresAt: { gt: new Date() }
+      }
+    });
 
-    // Create submission
-    const submission = await prisma.submission.create({
+    if (activeSessions >= uploadSessions.MAX_ACTIVE_SESSIONS) {
+      return res.status(429).json({ error: 'Too many unfinished uploads. Finish or cancel one first.' });
+    }
+
+    const session = await prisma.uploadSession.create({
       data: {
         userId: req.user.id,
-        fileUrl: `/uploads/${req.file.filename}`,
-        fileName: req.file.originalname,
-        fileType,
-        fileSize: req.file.size,
-        category: value.category,
-        description: value.description || null
+        fileName: value.fileName,
+        mimeType: value.mimeType,
+        totalSize: value.fileSize,
+        expiresAt: uploadSessions.sessionExpiry()
       }
     });
 
-    // Update user's last submission time
-    await prisma.user.update({
-      where: { id: req.user.id },
-      data: { lastSubmission: new Date() }
+    res.status(201).json(formatUploadSession(session));
+
+  } catch (error) {
+    console.error('Create upload session error:', error);
+    res.status(500).json({ error: 'Failed to start upload' });
+  }
+});
+
+// Query upload progress, used by clients to resume after a dropped connection
+router.get('/uploads/:uploadId', async (req, res) => {
+  try {
+    const session = await findUploadSession(req);
+
+    if (!session) {
+      return res.status(404).json({ error: 'Upload not found or expired' });
+    }
+
+    res.json(formatUploadSession(session));
+
+  } catch (error) {
+    console.error('Get upload session error:', error);
+    res.status(500).json({ error: 'Failed to fetch upload' });
+  }
+});
+
+// Upload a chunk. The position is given as `Content-Range: bytes start-end/total`.
+// Chunks count against their own per-session limit rather than the global one.
+router.put('/uploads/:uploadId', rateLimiter.uploadChunk, express.raw({
+  type: () => true,
+  limit: uploadSessions.CHUNK_SIZE + 1024
+}), async (req, res) => {
+  try {
+    const session = await findUploadSession(req);
+
+    if (!session) {
+      return res.status(404).json({ error: 'Upload not found or expired' });
+    }
+
+    if (session.status !== 'ACTIVE') {
+      return res.status(409).json({ error: 'Upload already completed', ...formatUploadSession(session) });
+    }
+
+    const range = /^bytes (\d+)-(\d+)\/(\d+)$/.exec(req.headers['content-range'] || '');
+    const chunk = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+
+    if (!range || chunk.length === 0) {
+      return res.status(400).json({ error: 'Chunk data and a Content-Range header are required' });
+    }
+
+    const start = parseInt(range[1]);
+    const end = parseInt(range[2]);
+
+    if (end - start + 1 !== chunk.length || parseInt(range[3]) !== session.totalSize) {
+      return res.status(400).json({ error: 'Content-Range does not match chunk' });
+    }
+
+    const result = await uploadSessions.appendChunk(session, start, chunk);
+
+    if (result.conflict) {
+      return res.status(409).json({ error: result.conflict, ...formatUploadSession(session) });
+    }
+
+    res.json(formatUploadSession(result.session));
+
+  } catch (error) {
+    console.error('Upload chunk error:', error);
+    res.status(500).json({ error: 'Failed to store chunk' });
+  }
+});
+
+// Turn fully received uploads into one submission, in the given order.
+// `details.game` and `details.category` are slugs. Repeating the call after a
+// dropped response returns the submission that was already created.
+const completeUploads = async (req, res, uploadIds, details) => {
+  const locked = [];
+
+  try {
+    const sessions = await findUploadSessions(req, uploadIds);
+    if (sessions.some(session => !session)) {
+      return res.status(404).json({ error: 'Upload not found or expired' });
+    }
+
+    const completed = sessions.filter(session => session.status === 'COMPLETED');
+    if (completed.length > 0) {
+      const { submissionId } = completed[0];
+      if (completed.length !== sessions.length || completed.some(session => session.submissionId !== submissionId)) {
+        return res.status(409).json({ error: 'Some uploads already belong to another submission' });
+      }
+
+      const submission = await prisma.submission.findUnique({
+        where: { id: submissionId },
+        include: { assets: orderedAssets }
+      });
+
+      if (!submission) {
+        return res.status(404).json({ error: 'Submission not found' });
+      }
+
+      return res.json({
+        message: 'Submission created successfully',
+        submission: formatCreatedSubmission(submission)
+      });
+    }
+
+    const unfinished = sessions.find(session => session.receivedBytes !== session.totalSize);
+    if (unfinished) {
+      return res.status(409).json({ error: 'Upload is not complete', ...formatUploadSession(unfinished) });
+    }
+
+    const category = await findActiveCategory(details.game, details.category);
+    if (!category) {
+      return res.status(400).json({ error: 'Unknown category' });
+    }
+
+    if (sessions.some(session => uploadSessions.busySessions.has(session.id))) {
+      return res.status(409).json({ error: 'Upload is being processed' });
+    }
+    sessions.forEach((session) => {
+      uploadSessions.busySessions.add(session.id);
+      locked.push(session.id);
     });
 
-    console.log(`📤 New submission from ${req.user.nickname}: ${submission.id} (${value.category})`);
+    const result = await createSubmissionFromUploads(req.user, sessionFiles(sessions), { ...details, category });
+
+    if (result.error) {
+      await Promise.all(sessions.map(uploadSessions.removeSession));
+      return res.status(result.status || 400).json({ error: result.error });
+    }
+
+    await prisma.uploadSession.updateMany({
+      where: { id: { in: uploadIds } },
+      data: {
+        status: 'COMPLETED',
+        submissionId: result.submission.id
+      }
+    });
 
     res.status(201).json({
       message: 'Submission created successfully',
-      submission: {
-        id: submission.id,
-        category: submission.category,
-        fileType: submission.fileType,
-        status: submission.status,
-        createdAt: submission.createdAt
-      }
+      submission: formatCreatedSubmission(result.submission)
     });
 
   } catch (error) {
-    console.error('Create submission error:', error);
+    console.error('Complete upload error:', error);
+    res.status(500).json({ error: 'Failed to create submission' });
+  } finally {
+    locked.forEach(id => uploadSessions.busySessions.delete(id));
+  }
+};
 
-    // Clean up uploaded file on error
-    if (req.file) {
-      const fs = require('fs');
-      const filePath = path.join(process.env.UPLOAD_DIR || './uploads', req.file.filename);
-      fs.unlink(filePath, (unlinkError) => {
-        if (unlinkError) console.error('File cleanup error:', unlinkError);
-      });
+// Turn several fully received uploads into one multi-file submission
+router.post('/uploads/complete', rateLimiter.submission, (req, res) => {
+  const { error, value } = completeUploadsSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({ error: error.details[0].message });
+  }
+
+  const { uploadIds, ...details } = value;
+  completeUploads(req, res, uploadIds, details);
+});
+
+// Turn a single fully received upload into a submission
+router.post('/uploads/:uploadId/complete', rateLimiter.submission, (req, res) => {
+  const { error, value } = createSubmissionSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({ error: error.details[0].message });
+  }
+
+  completeUploads(req, res, [req.params.uploadId], value);
+});
+
+// Cancel an unfinished upload
+router.delete('/uploads/:uploadId', async (req, res) => {
+  try {
+    const session = await findUploadSession(req);
+
+    if (!session) {
+      return res.status(404).json({ error: 'Upload not found or expired' });
     }
 
-    if (error.code === 'LIMIT_FILE_SIZE') {
-      return res.status(400).json({ error: 'File size too large' });
+    if (uploadSessions.busySessions.has(session.id)) {
+      return res.status(409).json({ error: 'Upload is being processed' });
     }
 
-    res.status(500).json({ error: 'Failed to create submission' });
+    await uploadSessions.removeSession(session);
+
+    res.json({ message: 'Upload cancelled' });
+
+  } catch (error) {
+    console.error('Cancel upload error:', error);
+    res.status(500).json({ error: 'Failed to cancel upload' });
   }
 });
 
@@ -210,19 +596,21 @@ router.delete('/:id', async (req, res) => {
         id: req.params.id,
         userId: req.user.id,
         status: 'PENDING' // Only allow deletion of pending submissions
-      }
+      },
+      include: { assets: true }
     });
 
     if (!submission) {
       return res.status(404).json({ error: 'Submission not found or cannot be deleted' });
     }
 
-    // Delete file from storage
-    const fs = require('fs');
-    const filePath = path.join(__dirname, '..', submission.fileUrl);
-    fs.unlink(filePath, (error) => {
-      if (error) console.error('File deletion error:', error);
-    });
+    // Delete files, previews and transcoded renditions from storage
+    removeStoredFiles(
+      submission.assets
+        .flatMap(asset => [asset.fileUrl, asset.thumbnailUrl, asset.posterUrl, asset.playbackUrl])
+        .filter(Boolean)
+        .map(keyFromUrl)
+    );
 
     // Delete from database
     await prisma.submission.delete({
@@ -239,43 +627,374 @@ router.delete('/:id', async (req, res) => {
   }
 });
 
-// Get submission categories (for dropdown)
-router.get('/meta/categories', async (req, res) => {
+// Edit a submission no moderator has opened yet. Category and description
+// can be changed, and the files replaced either by sending new ones in a
+// multipart request or by referencing finished resumable uploads. Every edit
+// is stored as a revision for moderators.
+router.patch('/:id', submissionFiles, async (req, res) => {
+  const files = receivedFiles(req);
+  const locked = [];
+  let sessions = null;
+
+  try {
+    const discardFiles = () => files.forEach(file => discardUpload(file.path));
+
+    if (req.user.isBanned) {
+      discardFiles();
+      return res.status(403).json({ error: 'Your account has been banned' });
+    }
+
+    const { error, value } = updateSubmissionSchema.validate(req.body);
+    if (error) {
+      discardFiles();
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    if (files.length > 0 && value.uploadIds) {
+      discardFiles();
+      return res.status(400).json({ error: 'Send either files or uploadIds, not both' });
+    }
+
+    const submission = await prisma.submission.findFirst({
+      where: {
+        id: req.params.id,
+        userId: req.user.id
+      },
+      include: {
+        game: {
+          select: { slug: true }
+        },
+        assets: orderedAssets
+      }
+    });
+
+    if (!submission) {
+      discardFiles();
+      return res.status(404).json({ error: 'Submission not found' });
+    }
+
+    if (!isEditable(submission)) {
+      discardFiles();
+      return res.status(409).json({ error: 'Submission can no longer be edited' });
+    }
+
+    // A submission may keep a category that has since been deactivated, but
+    // can only be moved to an active one
+    const category = value.category
+      ? await findActiveCategory(value.game || submission.game.slug, value.category)
+      : await prisma.category.findUnique({
+        where: { gameId_slug: { gameId: submission.gameId, slug: submission.category } },
+        include: { game: true }
+      });
+
+    if (!category) {
+      discardFiles();
+      return res.status(400).json({ error: 'Unknown category' });
+    }
+
+    let newFiles = files.length > 0 ? files.map(toIntakeFile) : null;
+
+    if (value.uploadIds) {
+      sessions = await findUploadSessions(req, value.uploadIds);
+
+      if (sessions.some(session => !session)) {
+        return res.status(404).json({ error: 'Upload not found or expired' });
+      }
+
+      const unfinished = sessions.find(session => session.status !== 'ACTIVE' || session.receivedBytes !== session.totalSize);
+      if (unfinished) {
+        return res.status(409).json({ error: 'Upload is not complete', ...formatUploadSession(unfinished) });
+      }
+
+      if (sessions.some(session => uploadSessions.busySessions.has(session.id))) {
+        return res.status(409).json({ error: 'Upload is being processed' });
+      }
+      sessions.forEach((session) => {
+        uploadSessions.busySessions.add(session.id);
+        locked.push(session.id);
+      });
+
+      newFiles = sessionFiles(sessions);
+    }
+
+    const result = await editSubmission(req.user, submission, {
+      category,
+      description: value.description,
+      extraFields: value.extraFields
+    }, newFiles);
+
+    if (result.error) {
+      if (sessions) await Promise.all(sessions.map(uploadSessions.removeSession));
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    if (sessions) {
+      await prisma.uploadSession.updateMany({
+        where: { id: { in: value.uploadIds } },
+        data: {
+          status: 'COMPLETED',
+          submissionId: submission.id
+        }
+      });
+    }
+
+    res.json({
+      message: 'Submission updated successfully',
+      submission: formatOwnSubmission(result.submission)
+    });
+
+  } catch (error) {
+    console.error('Update submission error:', error);
+    res.status(500).json({ error: 'Failed to update submission' });
+  } finally {
+    locked.forEach(id => uploadSessions.busySessions.delete(id));
+  }
+});
+
+// Resubmit a rejected submission with new files. The new submission is
+// linked to the rejected one so moderators see what was wrong before, and it
+// does not count against the daily submission limit; the number of
+// resubmissions per original submission is limited instead.
+router.post('/:id/resubmit', submissionFiles, async (req, res) => {
+  const files = receivedFiles(req);
+
   try {
-    const categories = await prisma.submission.groupBy({
-      by: ['category'],
-      _count: { category: true },
-      orderBy: { _count: { category: 'desc' } },
-      take: 20
+    const discardFiles = () => files.forEach(file => discardUpload(file.path));
+
+    if (req.user.isBanned) {
+      discardFiles();
+      return res.status(403).json({ error: 'Your account has been banned' });
+    }
+
+    const { error, value } = resubmitSchema.validate(req.body);
+    if (error) {
+      discardFiles();
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    if (files.length > 0 && value.uploadIds) {
+      discardFiles();
+      return res.status(400).json({ error: 'Send either files or uploadIds, not both' });
+    }
+
+    const previous = await prisma.submission.findFirst({
+      where: {
+        id: req.params.id,
+        userId: req.user.id
+      },
+      include: {
+        game: {
+          select: { slug: true }
+        },
+        resubmission: {
+          select: { id: true }
+        },
+        tags: includeTags
+      }
     });
 
-    const popularCategories = categories.map(cat => ({
-      name: cat.category,
-      count: cat._count.category
-    }));
-
-    // Add some default categories if none exist
-    const defaultCategories = [
-      'Victory Royale',
-      'Epic Kill',
-      'Funny Moment',
-      'Clutch Play',
-      'Bug/Glitch',
-      'Creative Build',
-      'Trick Shot',
-      'Team Play',
-      'Solo Win',
-      'High Kill Game'
-    ];
-
-    const allCategories = [...new Set([
-      ...popularCategories.map(c => c.name),
-      ...defaultCategories
-    ])];
+    if (!previous) {
+      discardFiles();
+      return res.status(404).json({ error: 'Submission not found' });
+    }
+
+    const reason = await resubmissionError(previous);
+    if (reason) {
+      discardFiles();
+      return res.status(409).json({
+        error: reason,
+        resubmissionId: previous.resubmission ? previous.resubmission.id : null
+      });
+    }
+
+    const details = {
+      game: value.game || previous.game.slug,
+      category: value.category || previous.category,
+      description: value.description === undefined ? previous.description : value.description,
+      tags: value.tags || withTagNames(previous).tags,
+      extraFields: value.extraFields || previous.extraFields,
+      resubmissionOf: previous
+    };
+
+    if (value.uploadIds) {
+      return completeUploads(req, res, value.uploadIds, details);
+    }
+
+    const category = await findActiveCategory(details.game, details.category);
+    if (!category) {
+      discardFiles();
+      return res.status(400).json({ error: 'Unknown category' });
+    }
+
+    const result = await createSubmissionFromUploads(req.user, files.map(toIntakeFile), { ...details, category });
+
+    if (result.error) {
+      return res.status(result.status || 400).json({ error: result.error });
+    }
+
+    res.status(201).json({
+      message: 'Submission resubmitted successfully',
+      submission: formatCreatedSubmission(result.submission)
+    });
+
+  } catch (error) {
+    console.error('Resubmit submission error:', error);
+    res.status(500).json({ error: 'Failed to resubmit submission' });
+  }
+});
+
+// Appeal the rejection of a submission. The appeal goes to a separate admin
+// queue, where a moderator other than the reviewer decides it.
+router.post('/:id/appeal', async (req, res) => {
+  try {
+    if (req.user.isBanned) {
+      return res.status(403).json({ error: 'Your account has been banned' });
+    }
+
+    const { error, value } = appealSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const submission = await prisma.submission.findFirst({
+      where: {
+        id: req.params.id,
+        userId: req.user.id
+      },
+      include: {
+        resubmission: {
+          select: { id: true }
+        }
+      }
+    });
+
+    if (!submission) {
+      return res.status(404).json({ error: 'Submission not found' });
+    }
+
+    const reason = appealError(submission);
+    if (reason) {
+      return res.status(409).json({ error: reason });
+    }
+
+    // A concurrent appeal or resubmission may have got there first
+    const { count } = await prisma.submission.updateMany({
+      where: { id: submission.id, status: 'REJECTED', appealStatus: null, resubmission: null },
+      data: {
+        appealStatus: 'PENDING',
+        appealMessage: value.message,
+        appealedAt: new Date()
+      }
+    });
+
+    if (count === 0) {
+      return res.status(409).json({ error: 'Submission has already been appealed' });
+    }
+
+    await logAdminAction(
+      req.user.id,
+      'APPEAL_SUBMISSION',
+      `${req.user.nickname} appealed the rejection of submission ${submission.id}`,
+      req
+    );
+
+    res.status(201).json({
+      message: 'Appeal submitted successfully',
+      appealStatus: 'PENDING'
+    });
+
+  } catch (error) {
+    console.error('Appeal submission error:', error);
+    res.status(500).json({ error: 'Failed to submit appeal' });
+  }
+});
+
+// Publish or unpublish the media of an approved submission
+router.patch('/:id/visibility', async (req, res) => {
+  try {
+    const { error, value } = visibilitySchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const submission = await prisma.submission.findFirst({
+      where: {
+        id: req.params.id,
+        userId: req.user.id
+      }
+    });
+
+    if (!submission) {
+      return res.status(404).json({ error: 'Submission not found' });
+    }
+
+    if (value.isPublic && submission.status !== 'APPROVED') {
+      return res.status(400).json({ error: 'Only approved submissions can be published' });
+    }
+
+    const updated = await prisma.submission.update({
+      where: { id: submission.id },
+      data: { isPublic: value.isPublic }
+    });
+
+    const { isPublic, publicUrl } = withMediaUrls(updated);
+
+    res.json({ id: updated.id, isPublic, publicUrl: publicUrl || null });
+
+  } catch (error) {
+    console.error('Update visibility error:', error);
+    res.status(500).json({ error: 'Failed to update visibility' });
+  }
+});
+
+// Games for the submission form and for filtering, with the limits that
+// apply to each. Inactive games are included, flagged, so older submissions
+// keep their names.
+router.get('/meta/games', async (req, res) => {
+  try {
+    const games = await listGames({ includeInactive: true });
+
+    res.json({
+      games: games.map(game => ({
+        id: game.id,
+        slug: game.slug,
+        name: game.name,
+        iconUrl: game.iconUrl,
+        isActive: game.isActive,
+        // Game limits can only tighten the global ones
+        limits: {
+          maxSubmissionsPerDay: Math.min(game.maxSubmissionsPerDay || MAX_SUBMISSIONS_PER_DAY, MAX_SUBMISSIONS_PER_DAY),
+          maxFiles: Math.min(game.maxFiles || MAX_ASSETS, MAX_ASSETS),
+          maxFileSize: Math.min(game.maxFileSize || MAX_FILE_SIZE, MAX_FILE_SIZE)
+        }
+      }))
+    });
+
+  } catch (error) {
+    console.error('Get games error:', error);
+    res.status(500).json({ error: 'Failed to fetch games' });
+  }
+});
+
+// Category catalog for the submission form and for showing category names,
+// optionally for one game (?game=<slug>). Inactive categories are included,
+// flagged, so older submissions keep their names; only active ones are
+// offered for new submissions.
+router.get('/meta/categories', async (req, res) => {
+  try {
+    const categories = await listCategories({ includeInactive: true, game: req.query.game });
 
     res.json({
-      popular: popularCategories,
-      all: allCategories.slice(0, 30)
+      categories: categories.map(category => ({
+        gameId: category.gameId,
+        slug: category.slug,
+        names: category.names,
+        description: category.description,
+        isActive: category.isActive,
+        allowedFileTypes: category.allowedFileTypes,
+        baseReward: category.baseReward,
+        fieldSchema: category.fieldSchema
+      }))
     });
 
   } catch (error) {
@@ -284,15 +1003,33 @@ router.get('/meta/categories', async (req, res) => {
   }
 });
 
+// Tag suggestions for autocomplete: the most used tags starting with ?q=
+router.get('/meta/tags', async (req, res) => {
+  try {
+    const tags = await popularTags({
+      prefix: typeof req.query.q === 'string' ? req.query.q : '',
+      limit: Math.min(parseInt(req.query.limit) || 10, 50)
+    });
+
+    res.json({ tags });
+
+  } catch (error) {
+    console.error('Get tags error:', error);
+    res.status(500).json({ error: 'Failed to fetch tags' });
+  }
+});
+
 // Get file upload limits
 router.get('/meta/limits', (req, res) => {
   res.json({
-    maxFileSize: parseInt(process.env.MAX_FILE_SIZE) || 100 * 1024 * 1024,
-    maxSubmissionsPerDay: parseInt(process.env.SUBMISSION_LIMIT_PER_DAY) || 10,
-    allowedTypes: [
-      'image/jpeg', 'image/jpg', 'image/png', 'image/gif', 'image/webp',
-      'video/mp4', 'video/avi', 'video/mov', 'video/wmv', 'video/webm'
-    ]
+    maxFileSize: MAX_FILE_SIZE,
+    maxFiles: MAX_ASSETS,
+    maxResubmissions: MAX_RESUBMISSIONS,
+    maxTags: MAX_TAGS,
+    maxTotalSize: MAX_TOTAL_SIZE,
+    chunkSize: uploadSessions.CHUNK_SIZE,
+    maxSubmissionsPerDay: MAX_SUBMISSIONS_PER_DAY,
+    allowedTypes: Object.values(ALLOWED_TYPES).map(type => type.mime)
   });
 });
 
@@ -57,6 +57,7 @@ router.get('/stats', isAuthenticated, async (req, res) => {
         take: 5,
         select: {
           id: true,
+          gameId: true,
           category: true,
           status: true,
           createdAt: true
@@ -155,6 +156,7 @@ router.get('/dashboard', isAuthenticated, async (req, res) => {
         take: 3,
         select: {
           id: true,
+          gameId: true,
           category: true,
           status: true,
           createdAt: true,
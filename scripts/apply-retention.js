@@ -0,0 +1,37 @@
+// Apply the media retention rules from config/retention.js once.
+//
+//   npm run media:retention -- [--dry-run]
+//
+// The server runs the same job every RETENTION_INTERVAL_HOURS; this is for
+// previewing rule changes and catching up by hand.
+require('dotenv').config();
+
+const { applyRetention } = require('../services/retention');
+
+const main = async () => {
+  const dryRun = process.argv.includes('--dry-run');
+
+  console.log(`🗄️ Applying retention rules${dryRun ? ' (dry run)' : ''}`);
+
+  const results = await applyRetention({ dryRun });
+
+  if (dryRun) {
+    results.forEach((entry) => {
+      console.log(`   would ${entry.action.toLowerCase()} ${entry.submissionId} (${entry.rule})`);
+    });
+  }
+
+  const failed = results.filter(entry => entry.error).length;
+  const bytes = results.reduce((sum, entry) => sum + entry.bytes, 0);
+
+  console.log(`✅ ${results.length} submission(s) matched, ${(bytes / 1024 / 1024).toFixed(1)}MB moved or freed; failed ${failed}`);
+
+  if (failed > 0) {
+    process.exitCode = 1;
+  }
+};
+
+main().catch((error) => {
+  console.error('❌ Retention failed:', error.message);
+  process.exit(1);
+});
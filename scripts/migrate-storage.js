@@ -0,0 +1,105 @@
+// Copy every stored file from one storage driver to another.
+//
+//   npm run storage:migrate -- --from local --to s3 [--dry-run] [--delete-source]
+//
+// Files whose key already exists in the target with the same size are
+// skipped, so an interrupted run can simply be started again. Database rows
+// reference files as `/uploads/<key>` and need no changes; switch
+// STORAGE_DRIVER once the copy has finished.
+require('dotenv').config();
+
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const { v4: uuidv4 } = require('uuid');
+const { INCOMING_DIR, createStorage } = require('../services/storage');
+
+const parseArgs = (argv) => {
+  const options = { dryRun: false, deleteSource: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case '--from':
+        options.from = argv[++i];
+        break;
+      case '--to':
+        options.to = argv[++i];
+        break;
+      case '--dry-run':
+        options.dryRun = true;
+        break;
+      case '--delete-source':
+        options.deleteSource = true;
+        break;
+      default:
+        throw new Error(`Unknown argument: ${argv[i]}`);
+    }
+  }
+
+  if (!options.from || !options.to) {
+    throw new Error('Usage: migrate-storage --from <driver> --to <driver> [--dry-run] [--delete-source]');
+  }
+
+  if (options.from === options.to) {
+    throw new Error('Source and target drivers must differ');
+  }
+
+  return options;
+};
+
+const copyFile = async (source, target, key) => {
+  const tempPath = path.join(INCOMING_DIR, `${uuidv4()}${path.extname(key)}`);
+
+  try {
+    await pipeline(await source.getStream(key), fs.createWriteStream(tempPath));
+    await target.putFile(key, tempPath);
+  } finally {
+    fs.unlink(tempPath, () => {});
+  }
+};
+
+const main = async () => {
+  const options = parseArgs(process.argv.slice(2));
+  const source = createStorage(options.from);
+  const target = createStorage(options.to);
+
+  await fs.promises.mkdir(INCOMING_DIR, { recursive: true });
+
+  console.log(`📦 Migrating storage: ${options.from} → ${options.to}${options.dryRun ? ' (dry run)' : ''}`);
+
+  const totals = { copied: 0, skipped: 0, failed: 0, bytes: 0 };
+
+  for await (const file of source.list()) {
+    try {
+      const existing = await target.stat(file.key);
+      if (existing && existing.size === file.size) {
+        totals.skipped++;
+      } else {
+        if (!options.dryRun) {
+          await copyFile(source, target, file.key);
+        }
+        console.log(`   ${options.dryRun ? 'would copy' : 'copied'} ${file.key} (${file.size} bytes)`);
+        totals.copied++;
+        totals.bytes += file.size;
+      }
+
+      if (options.deleteSource && !options.dryRun) {
+        await source.delete(file.key);
+      }
+    } catch (error) {
+      console.error(`   failed ${file.key}: ${error.message}`);
+      totals.failed++;
+    }
+  }
+
+  console.log(`✅ Copied ${totals.copied} file(s), ${(totals.bytes / 1024 / 1024).toFixed(1)}MB; skipped ${totals.skipped}; failed ${totals.failed}`);
+
+  if (totals.failed > 0) {
+    process.exitCode = 1;
+  }
+};
+
+main().catch((error) => {
+  console.error('❌ Storage migration failed:', error.message);
+  process.exit(1);
+});
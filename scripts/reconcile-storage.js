@@ -0,0 +1,40 @@
+// Report stored files no submission references and submissions whose files
+// are missing, optionally quarantining or deleting the orphaned files.
+//
+//   npm run storage:reconcile -- [--quarantine | --delete] [--dry-run]
+require('dotenv').config();
+
+const { reconcileStorage } = require('../services/reconcile');
+
+const formatSize = (bytes) => `${(bytes / 1024 / 1024).toFixed(1)}MB`;
+
+const main = async () => {
+  const args = process.argv.slice(2);
+  const dryRun = args.includes('--dry-run');
+  const orphanAction = args.includes('--delete')
+    ? 'delete'
+    : args.includes('--quarantine') ? 'quarantine' : 'none';
+
+  console.log(`🔍 Reconciling storage${dryRun ? ' (dry run)' : ''}`);
+
+  const report = await reconcileStorage({ dryRun, orphanAction });
+
+  report.orphans.forEach((orphan) => {
+    console.log(`   orphan ${orphan.location}:${orphan.key} (${orphan.size} bytes)${orphan.action ? ` — ${orphan.action}` : ''}${orphan.error ? `: ${orphan.error}` : ''}`);
+  });
+
+  report.dangling.forEach((row) => {
+    console.log(`   missing ${row.key} (${row.field} of submission ${row.submissionId}, ${row.status})`);
+  });
+
+  console.log(`✅ Scanned ${report.scannedFiles} file(s): ${report.orphans.length} orphan(s), ${formatSize(report.orphanBytes)}; ${report.dangling.length} dangling reference(s)`);
+
+  if (report.orphans.some(orphan => orphan.action === 'failed')) {
+    process.exitCode = 1;
+  }
+};
+
+main().catch((error) => {
+  console.error('❌ Storage reconciliation failed:', error.message);
+  process.exit(1);
+});
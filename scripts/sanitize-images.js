@@ -0,0 +1,98 @@
+// Strip metadata from images stored before uploads were sanitized.
+//
+//   npm run images:sanitize -- [--dry-run]
+//
+// Each image is re-encoded the same way new uploads are, then its size,
+// hashes and mediaMetadata are updated. Images that already have
+// mediaMetadata are skipped, so the command can be run again safely.
+require('dotenv').config();
+
+const fs = require('fs');
+const path = require('path');
+const { PrismaClient, Prisma } = require('@prisma/client');
+const { v4: uuidv4 } = require('uuid');
+const { sanitizeImage } = require('../services/media');
+const { computeHashes } = require('../services/duplicates');
+const { INCOMING_DIR, storage, keyFromUrl } = require('../services/storage');
+const { updateAsset } = require('../services/assets');
+
+const prisma = new PrismaClient();
+
+const BATCH_SIZE = 100;
+
+const sanitizeAsset = async (asset) => {
+  const key = keyFromUrl(asset.fileUrl);
+  const tempPath = path.join(INCOMING_DIR, `${uuidv4()}${path.extname(key)}`);
+
+  try {
+    await storage.withLocalFile(key, sourcePath => fs.promises.copyFile(sourcePath, tempPath));
+
+    const sanitized = await sanitizeImage(tempPath);
+    const hashes = await computeHashes(tempPath, 'IMAGE');
+
+    await storage.putFile(key, tempPath);
+
+    await updateAsset(asset, {
+      fileSize: sanitized.size,
+      mediaMetadata: sanitized.metadata,
+      sha256: hashes.sha256,
+      perceptualHashes: hashes.perceptualHashes
+    });
+  } finally {
+    fs.unlink(tempPath, () => {});
+  }
+};
+
+const main = async () => {
+  const dryRun = process.argv.includes('--dry-run');
+
+  await fs.promises.mkdir(INCOMING_DIR, { recursive: true });
+
+  console.log(`🧼 Sanitizing stored images${dryRun ? ' (dry run)' : ''}`);
+
+  const totals = { sanitized: 0, failed: 0 };
+  let lastId = '';
+
+  for (;;) {
+    const batch = await prisma.submissionAsset.findMany({
+      where: {
+        id: { gt: lastId },
+        fileType: 'IMAGE',
+        mediaMetadata: { equals: Prisma.DbNull }
+      },
+      orderBy: { id: 'asc' },
+      take: BATCH_SIZE,
+      select: { id: true, submissionId: true, position: true, fileUrl: true }
+    });
+
+    if (batch.length === 0) break;
+    lastId = batch[batch.length - 1].id;
+
+    for (const asset of batch) {
+      const label = `${asset.submissionId} #${asset.position}`;
+      try {
+        if (!dryRun) {
+          await sanitizeAsset(asset);
+        }
+        console.log(`   ${dryRun ? 'would sanitize' : 'sanitized'} ${label}`);
+        totals.sanitized++;
+      } catch (error) {
+        console.error(`   failed ${label}: ${error.message}`);
+        totals.failed++;
+      }
+    }
+  }
+
+  console.log(`✅ Sanitized ${totals.sanitized} image(s); failed ${totals.failed}`);
+
+  if (totals.failed > 0) {
+    process.exitCode = 1;
+  }
+};
+
+main()
+  .catch((error) => {
+    console.error('❌ Image sanitizing failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => prisma.$disconnect());
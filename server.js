@@ -12,21 +12,36 @@ const authRoutes = require('./routes/auth');
 const submissionRoutes = require('./routes/submissions');
 const adminRoutes = require('./routes/admin');
 const userRoutes = require('./routes/user');
+const mediaRoutes = require('./routes/media');
 
 // Middleware imports
 const { isAuthenticated, isAdmin } = require('./middleware/auth');
 const rateLimiter = require('./middleware/rateLimiter');
 const errorHandler = require('./middleware/errorHandler');
 
+// Background jobs
+const { resumeProcessing } = require('./services/processing');
+const { cleanupExpiredUploads } = require('./services/uploadSessions');
+const { INCOMING_DIR, storage } = require('./services/storage');
+const { reconcileStorage } = require('./services/reconcile');
+const { applyRetention } = require('./services/retention');
+const { expireCosigns } = require('./services/cosign');
+
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-// Create uploads directory if it doesn't exist
+// Create upload directories if they don't exist
 const uploadDir = process.env.UPLOAD_DIR || './uploads';
-if (!fs.existsSync(uploadDir)) {
-  fs.mkdirSync(uploadDir, { recursive: true });
-  console.log(`📁 Created uploads directory: ${uploadDir}`);
-}
+const localDirs = storage.localPath ? [uploadDir, INCOMING_DIR] : [INCOMING_DIR];
+localDirs.forEach((dir) => {
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+    console.log(`📁 Created uploads directory: ${dir}`);
+  }
+});
+
+// Media redirects to a remote storage backend load from its origin
+const mediaOrigins = storage.origin ? [storage.origin] : [];
 
 // Security middleware
 app.use(helmet({
@@ -36,8 +51,8 @@ app.use(helmet({
       styleSrc: ["'self'", "'unsafe-inline'", "https://fonts.googleapis.com", "https://cdnjs.cloudflare.com"],
       fontSrc: ["'self'", "https://fonts.gstatic.com"],
       scriptSrc: ["'self'", "'unsafe-inline'"],
-      imgSrc: ["'self'", "data:", "blob:"],
-      mediaSrc: ["'self'", "blob:"],
+      imgSrc: ["'self'", "data:", "blob:", ...mediaOrigins],
+      mediaSrc: ["'self'", "blob:", ...mediaOrigins],
       connectSrc: ["'self'"]
     },
   },
@@ -77,7 +92,9 @@ require('./config/passport');
 // Static files
 app.use(express.static('public'));
 app.use(express.static(path.join(__dirname, 'public')));
-app.use('/uploads', express.static('uploads'));
+
+// Uploaded media, access-checked per file
+app.use('/media', mediaRoutes);
 
 // API Routes
 app.use('/auth', authRoutes);
@@ -91,7 +108,13 @@ app.get('/', (req, res) => {
 });
 
 app.use((req, res, next) => {
-  res.setHeader("Content-Security-Policy", "default-src 'self'; style-src 'self' https://cdn.tailwindcss.com; script-src 'self' https://cdn.tailwindcss.com");
+  res.setHeader("Content-Security-Policy", [
+    "default-src 'self'",
+    "style-src 'self' https://cdn.tailwindcss.com",
+    "script-src 'self' https://cdn.tailwindcss.com",
+    ["img-src 'self' data: blob:", ...mediaOrigins].join(' '),
+    ["media-src 'self' blob:", ...mediaOrigins].join(' ')
+  ].join('; '));
   next();
 });
 
@@ -204,6 +227,53 @@ const server = app.listen(PORT, () => {
   console.log(`   Database: ${process.env.DATABASE_URL ? 'Configured' : 'Not configured'}`);
   console.log(`   Epic OAuth: ${process.env.EPIC_CLIENT_ID ? 'Configured' : 'Not configured'}`);
   console.log(`   Session Secret: ${process.env.SESSION_SECRET ? 'Configured' : 'Using fallback'}`);
-  console.log(`   Upload Directory: ${uploadDir}`);
+  console.log(`   Storage: ${storage.name}${storage.localPath ? ` (${uploadDir})` : ''}`);
   console.log(`   Max File Size: ${(parseInt(process.env.MAX_FILE_SIZE) || 100000000) / 1024 / 1024}MB`);
+
+  resumeProcessing()
+    .then((count) => {
+      if (count > 0) console.log(`🎬 Resumed processing of ${count} video(s)`);
+    })
+    .catch((error) => console.error('Failed to resume video processing:', error));
+
+  // Expire abandoned resumable uploads
+  setInterval(() => {
+    cleanupExpiredUploads()
+      .then((count) => {
+        if (count > 0) console.log(`🧹 Removed ${count} expired upload(s)`);
+      })
+      .catch((error) => console.error('Upload cleanup error:', error));
+  }, 60 * 60 * 1000).unref();
+
+  // Expire co-sign requests nobody confirmed in time
+  setInterval(() => {
+    expireCosigns()
+      .then((count) => {
+        if (count > 0) console.log(`⌛ Expired ${count} co-sign request(s)`);
+      })
+      .catch((error) => console.error('Co-sign expiry error:', error));
+  }, 15 * 60 * 1000).unref();
+
+  // Report files and submissions that have drifted apart; orphans are only
+  // touched when STORAGE_RECONCILE_ACTION is quarantine or delete
+  const reconcileInterval = (parseInt(process.env.STORAGE_RECONCILE_INTERVAL_HOURS) || 24) * 60 * 60 * 1000;
+  setInterval(() => {
+    reconcileStorage({ dryRun: false, orphanAction: process.env.STORAGE_RECONCILE_ACTION || 'none' })
+      .then((report) => {
+        if (report.orphans.length > 0 || report.dangling.length > 0) {
+          console.log(`🔍 Storage reconcile: ${report.orphans.length} orphaned file(s), ${report.dangling.length} dangling reference(s)`);
+        }
+      })
+      .catch((error) => console.error('Storage reconcile error:', error));
+  }, reconcileInterval).unref();
+
+  // Archive or purge media according to config/retention.js
+  const retentionInterval = (parseInt(process.env.RETENTION_INTERVAL_HOURS) || 24) * 60 * 60 * 1000;
+  setInterval(() => {
+    applyRetention()
+      .then((results) => {
+        if (results.length > 0) console.log(`🗄️ Retention applied to ${results.length} submission(s)`);
+      })
+      .catch((error) => console.error('Retention job error:', error));
+  }, retentionInterval).unref();
 });
\ No newline at end of file
@@ -0,0 +1,31 @@
+// Days after the rejection during which the owner may appeal it
+const APPEAL_WINDOW_DAYS = parseInt(process.env.APPEAL_WINDOW_DAYS) || 14;
+
+// Why `submission` cannot be appealed, or null when it can. Expects the
+// submission to include `resubmission`.
+const appealError = (submission) => {
+  if (submission.status !== 'REJECTED') {
+    return 'Only rejected submissions can be appealed';
+  }
+
+  if (submission.appealStatus) {
+    return 'Submission has already been appealed';
+  }
+
+  if (submission.resubmission) {
+    return 'Resubmitted submissions cannot be appealed';
+  }
+
+  const rejectedAt = submission.reviewedAt || submission.updatedAt;
+  const deadline = new Date(rejectedAt.getTime() + APPEAL_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+  if (deadline < new Date()) {
+    return `Submissions can be appealed within ${APPEAL_WINDOW_DAYS} days of the rejection`;
+  }
+
+  return null;
+};
+
+module.exports = {
+  APPEAL_WINDOW_DAYS,
+  appealError
+};
@@ -0,0 +1,71 @@
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+const MAX_ASSETS = parseInt(process.env.MAX_ASSETS_PER_SUBMISSION) || 10;
+const MAX_TOTAL_SIZE = parseInt(process.env.MAX_SUBMISSION_SIZE) || 500 * 1024 * 1024; // 500MB default
+
+// Asset columns that Submission mirrors for its primary asset
+const MIRRORED_FIELDS = [
+  'fileUrl', 'fileName', 'fileType', 'fileSize',
+  'thumbnailUrl', 'posterUrl', 'playbackUrl',
+  'processingStatus', 'processingError',
+  'sha256', 'perceptualHashes', 'mediaMetadata',
+  'width', 'height', 'duration', 'frameRate', 'codec'
+];
+
+// Include clause that loads assets in display order
+const orderedAssets = { orderBy: { position: 'asc' } };
+
+const mirroredData = (data) => Object.fromEntries(
+  Object.entries(data).filter(([field]) => MIRRORED_FIELDS.includes(field))
+);
+
+// Update an asset, keeping the submission's copy of the primary asset in step
+const updateAsset = async (asset, data) => {
+  if (asset.position !== 0) {
+    return prisma.submissionAsset.update({ where: { id: asset.id }, data });
+  }
+
+  const [updated] = await prisma.$transaction([
+    prisma.submissionAsset.update({ where: { id: asset.id }, data }),
+    prisma.submission.update({ where: { id: asset.submissionId }, data: mirroredData(data) })
+  ]);
+
+  return updated;
+};
+
+// Check the number and size of files for one submission against the global
+// limits and those of the game, if it sets its own. Returns an error message,
+// or null when the files are within limits.
+const checkAssetLimits = (files, game = {}) => {
+  const maxFiles = Math.min(game.maxFiles || MAX_ASSETS, MAX_ASSETS);
+
+  if (files.length === 0) {
+    return 'File is required';
+  }
+
+  if (files.length > maxFiles) {
+    return `A submission can contain at most ${maxFiles} files`;
+  }
+
+  if (game.maxFileSize && files.some(file => file.size > game.maxFileSize)) {
+    return `Files for ${game.name} may not exceed ${Math.round(game.maxFileSize / 1024 / 1024)}MB each`;
+  }
+
+  const totalSize = files.reduce((sum, file) => sum + file.size, 0);
+  if (totalSize > MAX_TOTAL_SIZE) {
+    return `Files of one submission may not exceed ${Math.round(MAX_TOTAL_SIZE / 1024 / 1024)}MB in total`;
+  }
+
+  return null;
+};
+
+module.exports = {
+  MAX_ASSETS,
+  MAX_TOTAL_SIZE,
+  orderedAssets,
+  mirroredData,
+  updateAsset,
+  checkAssetLimits
+};
@@ -0,0 +1,51 @@
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+// Lowercase words joined by single dashes, e.g. "victory-royale"
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+const catalogOrder = [{ sortOrder: 'asc' }, { slug: 'asc' }];
+
+// Categories of all games, or of the game with the given slug
+const listCategories = ({ includeInactive = false, game } = {}) => prisma.category.findMany({
+  where: {
+    ...(includeInactive ? {} : { isActive: true }),
+    ...(game ? { game: { slug: game } } : {})
+  },
+  orderBy: catalogOrder
+});
+
+// A category new submissions may use, with its game, or null. Both the
+// category and its game have to be active.
+const findActiveCategory = (gameSlug, slug) => prisma.category.findFirst({
+  where: {
+    slug,
+    isActive: true,
+    game: { slug: gameSlug, isActive: true }
+  },
+  include: { game: true }
+});
+
+const categoryName = (category, locale = 'ru') =>
+  (category.names && (category.names[locale] || category.names.en)) || category.slug;
+
+// Returns an error message when the category does not accept the file type
+const checkFileType = (category, fileType) => {
+  if (category.allowedFileTypes.includes(fileType)) {
+    return null;
+  }
+
+  return fileType === 'VIDEO'
+    ? 'Videos are not accepted in this category'
+    : 'Images are not accepted in this category';
+};
+
+module.exports = {
+  SLUG_PATTERN,
+  catalogOrder,
+  listCategories,
+  findActiveCategory,
+  categoryName,
+  checkFileType
+};
@@ -0,0 +1,143 @@
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+// A claim lapses unless the moderator's review page renews it within this time
+const CLAIM_TTL = (parseInt(process.env.CLAIM_TTL_SECONDS) || 120) * 1000;
+
+const claimExpiry = () => new Date(Date.now() + CLAIM_TTL);
+
+// Submissions nobody holds a live claim on
+const unclaimed = () => ({
+  OR: [
+    { claimedBy: null },
+    { claimExpiresAt: { lte: new Date() } }
+  ]
+});
+
+// Submissions the moderator may review without forcing: unclaimed ones and
+// their own claims
+const claimableBy = (moderatorId) => ({
+  OR: [
+    ...unclaimed().OR,
+    { claimedBy: moderatorId }
+  ]
+});
+
+// Data that drops a submission's claim
+const RELEASED = { claimedBy: null, claimedAt: null, claimExpiresAt: null };
+
+const isClaimActive = (submission) =>
+  Boolean(submission.claimedBy && submission.claimExpiresAt && submission.claimExpiresAt > new Date());
+
+// Replace the claim columns of a submission loaded with its `claimer` by
+// { moderatorId, moderator, claimedAt, expiresAt }, or null when unclaimed
+const withClaim = ({ claimedBy, claimedAt, claimExpiresAt, claimer, ...submission }) => ({
+  ...submission,
+  claim: isClaimActive({ claimedBy, claimExpiresAt })
+    ? {
+      moderatorId: claimedBy,
+      moderator: claimer ? claimer.nickname : null,
+      claimedAt,
+      expiresAt: claimExpiresAt
+    }
+    : null
+});
+
+// Claim a pending submission. Live claims of other moderators are only taken
+// over with `force`. Resolves to true when the moderator holds the claim.
+const claimSubmission = async (submissionId, moderatorId, { force = false } = {}) => {
+  const { count } = await prisma.submission.updateMany({
+    where: {
+      id: submissionId,
+      status: 'PENDING',
+      ...(force ? {} : claimableBy(moderatorId))
+    },
+    data: {
+      claimedBy: moderatorId,
+      claimedAt: new Date(),
+      claimExpiresAt: claimExpiry()
+    }
+  });
+
+  return count > 0;
+};
+
+// Claim the oldest unclaimed pending submission matching `where`, taking
+// submissions routed to the moderator before the rest. Another moderator may
+// claim the same submission in between, so a lost race moves on to the next
+// one. Resolves to the claimed submission's id, or null.
+const claimNext = async (moderatorId, where = {}) => {
+  const nextUnclaimed = async () => {
+    for (const scope of [{ assignedTo: moderatorId }, {}]) {
+      const next = await prisma.submission.findFirst({
+        where: { AND: [where, scope, { status: 'PENDING' }, unclaimed()] },
+        orderBy: { createdAt: 'asc' },
+        select: { id: true }
+      });
+
+      if (next) {
+        return next;
+      }
+    }
+
+    return null;
+  };
+
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const next = await nextUnclaimed();
+
+    if (!next) {
+      return null;
+    }
+
+    const { count } = await prisma.submission.updateMany({
+      where: { id: next.id, status: 'PENDING', ...unclaimed() },
+      data: {
+        claimedBy: moderatorId,
+        claimedAt: new Date(),
+        claimExpiresAt: claimExpiry()
+      }
+    });
+
+    if (count > 0) {
+      return next.id;
+    }
+  }
+
+  return null;
+};
+
+// Extend the moderator's claim. A lapsed claim is renewed as long as nobody
+// else has claimed the submission since. Resolves to the new expiry, or null
+// when the claim is lost.
+const renewClaim = async (submissionId, moderatorId) => {
+  const expiresAt = claimExpiry();
+  const { count } = await prisma.submission.updateMany({
+    where: { id: submissionId, status: 'PENDING', claimedBy: moderatorId },
+    data: { claimExpiresAt: expiresAt }
+  });
+
+  return count > 0 ? expiresAt : null;
+};
+
+const releaseClaim = async (submissionId, moderatorId) => {
+  const { count } = await prisma.submission.updateMany({
+    where: { id: submissionId, claimedBy: moderatorId },
+    data: RELEASED
+  });
+
+  return count > 0;
+};
+
+module.exports = {
+  CLAIM_TTL,
+  RELEASED,
+  claimableBy,
+  isClaimActive,
+  withClaim,
+  claimSubmission,
+  claimNext,
+  renewClaim,
+  releaseClaim
+};
@@ -0,0 +1,169 @@
+const { PrismaClient } = require('@prisma/client');
+const { readSetting, writeSetting } = require('./settings');
+const { RELEASED } = require('./claims');
+const { attachTags } = require('./tags');
+
+const prisma = new PrismaClient();
+
+// Requests nobody confirms within this time expire
+const COSIGN_TTL = (parseInt(process.env.COSIGN_TTL_HOURS) || 24) * 60 * 60 * 1000;
+
+const BONUS_THRESHOLD_KEY = 'cosign.bonusThreshold';
+const BALANCE_THRESHOLD_KEY = 'cosign.balanceThreshold';
+
+const DEFAULT_BONUS_THRESHOLD = parseFloat(process.env.COSIGN_BONUS_THRESHOLD) || 250;
+const DEFAULT_BALANCE_THRESHOLD = parseFloat(process.env.COSIGN_BALANCE_THRESHOLD) || 1000;
+
+// Review and appeal bonuses and balance credits above these amounts need a
+// co-sign
+const getCosignThresholds = async () => {
+  const [bonus, balance] = await Promise.all([
+    readSetting(BONUS_THRESHOLD_KEY),
+    readSetting(BALANCE_THRESHOLD_KEY)
+  ]);
+
+  return {
+    bonus: bonus !== null ? parseFloat(bonus) : DEFAULT_BONUS_THRESHOLD,
+    balance: balance !== null ? parseFloat(balance) : DEFAULT_BALANCE_THRESHOLD
+  };
+};
+
+const setCosignThresholds = ({ bonus, balance }) => Promise.all([
+  bonus !== undefined ? writeSetting(BONUS_THRESHOLD_KEY, String(bonus)) : null,
+  balance !== undefined ? writeSetting(BALANCE_THRESHOLD_KEY, String(balance)) : null
+]);
+
+const needsCosign = async (type, amount) => {
+  const thresholds = await getCosignThresholds();
+  return amount > (type === 'BALANCE_CREDIT' ? thresholds.balance : thresholds.bonus);
+};
+
+// Requests still waiting for a co-sign
+const awaitingCosign = () => ({
+  status: 'PENDING',
+  expiresAt: { gt: new Date() }
+});
+
+// Create a request, optionally within a transaction given as `client`
+const requestCosign = (data, client = prisma) => client.cosignRequest.create({
+  data: {
+    ...data,
+    expiresAt: new Date(Date.now() + COSIGN_TTL)
+  }
+});
+
+// Mark requests past their expiry as expired. Resolves to their number.
+const expireCosigns = async () => {
+  const { count } = await prisma.cosignRequest.updateMany({
+    where: { status: 'PENDING', expiresAt: { lte: new Date() } },
+    data: { status: 'EXPIRED' }
+  });
+
+  return count;
+};
+
+const cosignConflict = message => Object.assign(new Error(message), { status: 409 });
+
+// Confirm a request loaded with its reviewMacro and carry it out: credit the
+// amount and, for a review or appeal bonus, approve the submission on behalf
+// of the moderator who reviewed it or decided the appeal. Resolves to the
+// payout; rejects with a 409 error when the request or its submission has
+// moved on meanwhile.
+const confirmCosign = (request, deciderId) => prisma.$transaction(async (tx) => {
+  const { count } = await tx.cosignRequest.updateMany({
+    where: { id: request.id, ...awaitingCosign() },
+    data: { status: 'CONFIRMED', decidedBy: deciderId, decidedAt: new Date() }
+  });
+
+  if (count === 0) {
+    throw cosignConflict('Co-sign request expired or was already decided');
+  }
+
+  if (request.type === 'REVIEW_BONUS') {
+    const approved = await tx.submission.updateMany({
+      where: { id: request.submissionId, status: 'PENDING' },
+      data: {
+        status: 'APPROVED',
+        rejectReason: null,
+        reviewedBy: request.requestedBy,
+        reviewedAt: new Date(),
+        reviewMacroId: request.reviewMacroId,
+        ...RELEASED
+      }
+    });
+
+    if (approved.count === 0) {
+      throw cosignConflict('Submission is no longer pending');
+    }
+
+    if (request.reviewMacro && request.reviewMacro.tags.length > 0) {
+      await attachTags(tx, request.submissionId, request.reviewMacro.tags, request.requestedBy);
+    }
+  }
+
+  if (request.type === 'APPEAL_BONUS') {
+    const granted = await tx.submission.updateMany({
+      where: { id: request.submissionId, appealStatus: 'PENDING', status: 'REJECTED' },
+      data: {
+        status: 'APPROVED',
+        rejectReason: null,
+        appealStatus: 'GRANTED',
+        appealDecidedBy: request.requestedBy,
+        appealDecidedAt: new Date(),
+        appealResponse: request.appealResponse
+      }
+    });
+
+    if (granted.count === 0) {
+      throw cosignConflict('Appeal is no longer pending');
+    }
+  }
+
+  await tx.user.update({
+    where: { id: request.userId },
+    data: { balance: { increment: request.amount } }
+  });
+
+  const payout = await tx.payout.create({
+    data: {
+      userId: request.userId,
+      amount: request.amount,
+      reason: request.reason,
+      adminId: request.requestedBy,
+      submissionId: request.submissionId,
+      status: 'COMPLETED',
+      completedAt: new Date()
+    }
+  });
+
+  await tx.cosignRequest.update({
+    where: { id: request.id },
+    data: { payoutId: payout.id }
+  });
+
+  return payout;
+});
+
+// Reject a pending request. Nothing is paid and a held approval is dropped,
+// leaving the submission or its appeal pending. Resolves to true when the request was
+// still pending.
+const rejectCosign = async (requestId, deciderId) => {
+  const { count } = await prisma.cosignRequest.updateMany({
+    where: { id: requestId, ...awaitingCosign() },
+    data: { status: 'REJECTED', decidedBy: deciderId, decidedAt: new Date() }
+  });
+
+  return count > 0;
+};
+
+module.exports = {
+  COSIGN_TTL,
+  getCosignThresholds,
+  setCosignThresholds,
+  needsCosign,
+  awaitingCosign,
+  requestCosign,
+  expireCosigns,
+  confirmCosign,
+  rejectCosign
+};
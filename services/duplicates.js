@@ -0,0 +1,209 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const sharp = require('sharp');
+const { PrismaClient } = require('@prisma/client');
+const { runFfmpeg } = require('./media');
+
+const prisma = new PrismaClient();
+
+const SIMILARITY_THRESHOLD = parseFloat(process.env.DUPLICATE_SIMILARITY_THRESHOLD) || 0.9;
+const SCAN_LIMIT = parseInt(process.env.DUPLICATE_SCAN_LIMIT) || 5000;
+const VIDEO_SAMPLE_FRAMES = 8;
+
+// dHash works on a 9x8 grayscale image: one bit per horizontal gradient
+const HASH_WIDTH = 9;
+const HASH_HEIGHT = 8;
+const HASH_BITS = 64;
+
+const sha256File = (filePath) => new Promise((resolve, reject) => {
+  const hash = crypto.createHash('sha256');
+  fs.createReadStream(filePath)
+    .on('error', reject)
+    .on('data', (chunk) => hash.update(chunk))
+    .on('end', () => resolve(hash.digest('hex')));
+});
+
+// Turn a 9x8 grayscale pixel buffer into a 64-bit hex difference hash
+const differenceHash = (pixels) => {
+  let hash = 0n;
+  for (let y = 0; y < HASH_HEIGHT; y++) {
+    for (let x = 0; x < HASH_WIDTH - 1; x++) {
+      const left = pixels[y * HASH_WIDTH + x];
+      const right = pixels[y * HASH_WIDTH + x + 1];
+      hash = (hash << 1n) | (left > right ? 1n : 0n);
+    }
+  }
+  return hash.toString(16).padStart(16, '0');
+};
+
+const hashImage = async (filePath) => {
+  const pixels = await sharp(filePath)
+    .rotate()
+    .grayscale()
+    .resize(HASH_WIDTH, HASH_HEIGHT, { fit: 'fill' })
+    .raw()
+    .toBuffer();
+
+  return [differenceHash(pixels)];
+};
+
+// Hash keyframes spread evenly over the clip
+const hashVideo = async (filePath, duration) => {
+  const interval = duration ? (duration / VIDEO_SAMPLE_FRAMES).toFixed(3) : 0;
+  const filters = [
+    `select='isnan(prev_selected_t)+gte(t-prev_selected_t,${interval})'`,
+    `scale=${HASH_WIDTH}:${HASH_HEIGHT}:flags=area`,
+    'format=gray'
+  ];
+
+  const { stdout } = await runFfmpeg([
+    '-skip_frame', 'nokey',
+    '-i', filePath,
+    '-vf', filters.join(','),
+    '-fps_mode', 'vfr',
+    '-frames:v', String(VIDEO_SAMPLE_FRAMES),
+    '-f', 'rawvideo',
+    'pipe:1'
+  ]);
+
+  const frameSize = HASH_WIDTH * HASH_HEIGHT;
+  const hashes = [];
+  for (let offset = 0; offset + frameSize <= stdout.length; offset += frameSize) {
+    hashes.push(differenceHash(stdout.subarray(offset, offset + frameSize)));
+  }
+
+  return [...new Set(hashes)];
+};
+
+// Compute the exact and perceptual hashes stored on every asset
+const computeHashes = async (filePath, fileType, duration) => {
+  const sha256 = await sha256File(filePath);
+
+  let perceptualHashes = [];
+  try {
+    perceptualHashes = fileType === 'IMAGE'
+      ? await hashImage(filePath)
+      : await hashVideo(filePath, duration);
+  } catch (error) {
+    console.error('Perceptual hash error:', error.message);
+  }
+
+  return { sha256, perceptualHashes };
+};
+
+const hammingDistance = (a, b) => {
+  let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+  let count = 0;
+  while (diff) {
+    count += Number(diff & 1n);
+    diff >>= 1n;
+  }
+  return count;
+};
+
+// Average, over the smaller hash set, of the best match in the other set.
+// For a single image this is simply its closest frame.
+const similarity = (hashesA, hashesB) => {
+  if (!hashesA.length || !hashesB.length) {
+    return 0;
+  }
+
+  const [smaller, larger] = hashesA.length <= hashesB.length ? [hashesA, hashesB] : [hashesB, hashesA];
+  const total = smaller.reduce((sum, hash) => {
+    const best = Math.min(...larger.map(other => hammingDistance(hash, other)));
+    return sum + (1 - best / HASH_BITS);
+  }, 0);
+
+  return total / smaller.length;
+};
+
+// Keep the best score seen for each matching submission
+const recordMatch = (matches, submissionId, match) => {
+  const current = matches.get(submissionId);
+  if (!current || match.similarity > current.similarity) {
+    matches.set(submissionId, match);
+  }
+};
+
+// Find exact and near-duplicate submissions of any user. Every asset of the
+// submission is compared with the assets of other submissions; a submission
+// matches with the score of its closest asset.
+const findPossibleDuplicates = async (submission, { limit = 10 } = {}) => {
+  const matches = new Map();
+  const assets = submission.assets || [];
+
+  const checksums = [...new Set(assets.map(asset => asset.sha256).filter(Boolean))];
+  if (checksums.length > 0) {
+    const exact = await prisma.submissionAsset.findMany({
+      where: { sha256: { in: checksums }, submissionId: { not: submission.id } },
+      select: { submissionId: true }
+    });
+    exact.forEach(({ submissionId }) => matches.set(submissionId, { similarity: 1, exact: true }));
+  }
+
+  const hashed = assets.filter(asset => asset.perceptualHashes && asset.perceptualHashes.length > 0);
+  if (hashed.length > 0) {
+    const candidates = await prisma.submissionAsset.findMany({
+      where: {
+        submissionId: { not: submission.id },
+        perceptualHashes: { isEmpty: false }
+      },
+      orderBy: { createdAt: 'desc' },
+      take: SCAN_LIMIT,
+      select: { submissionId: true, perceptualHashes: true }
+    });
+
+    candidates.forEach((candidate) => {
+      if (matches.get(candidate.submissionId)?.exact) return;
+
+      const score = Math.max(...hashed.map(asset => similarity(asset.perceptualHashes, candidate.perceptualHashes)));
+      if (score >= SIMILARITY_THRESHOLD) {
+        recordMatch(matches, candidate.submissionId, { similarity: score, exact: false });
+      }
+    });
+  }
+
+  const topIds = [...matches.entries()]
+    .sort((a, b) => b[1].similarity - a[1].similarity)
+    .slice(0, limit)
+    .map(([id]) => id);
+
+  if (topIds.length === 0) {
+    return [];
+  }
+
+  const submissions = await prisma.submission.findMany({
+    where: { id: { in: topIds } },
+    select: {
+      id: true,
+      fileUrl: true,
+      fileType: true,
+      thumbnailUrl: true,
+      gameId: true,
+      category: true,
+      status: true,
+      createdAt: true,
+      user: {
+        select: { id: true, nickname: true }
+      }
+    }
+  });
+
+  return submissions
+    .map((item) => {
+      const match = matches.get(item.id);
+      return {
+        ...item,
+        similarity: Math.round(match.similarity * 1000) / 1000,
+        exact: match.exact,
+        sameUser: item.user.id === submission.userId
+      };
+    })
+    .sort((a, b) => b.similarity - a.similarity);
+};
+
+module.exports = {
+  computeHashes,
+  similarity,
+  findPossibleDuplicates
+};
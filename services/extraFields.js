@@ -0,0 +1,143 @@
+const { PrismaClient, Prisma } = require('@prisma/client');
+const Joi = require('joi');
+
+const prisma = new PrismaClient();
+
+// Types a category can declare its extra fields with
+const FIELD_TYPES = ['integer', 'number', 'string', 'boolean', 'enum'];
+
+// camelCase keys, e.g. "kills" or "squadSize"
+const FIELD_KEY_PATTERN = /^[a-z][a-zA-Z0-9]*$/;
+
+// Joi schema of one declared field. Empty form inputs leave a field unset.
+const fieldValueSchema = (field) => {
+  let schema;
+
+  switch (field.type) {
+    case 'integer':
+      schema = Joi.number().integer();
+      break;
+    case 'number':
+      schema = Joi.number();
+      break;
+    case 'boolean':
+      schema = Joi.boolean();
+      break;
+    case 'enum':
+      schema = Joi.string().valid(...field.options);
+      break;
+    default:
+      schema = Joi.string().trim().max(200);
+  }
+
+  if (field.type !== 'boolean' && field.type !== 'enum') {
+    if (field.min !== undefined && field.min !== null) schema = schema.min(field.min);
+    if (field.max !== undefined && field.max !== null) schema = schema.max(field.max);
+  }
+
+  schema = schema.empty(['', null]).label(field.key);
+  return field.required ? schema.required() : schema.optional();
+};
+
+// Validate extra field values against the fields a category declares and
+// convert them to their declared types. Values of fields the category does
+// not declare are dropped, so a submission moved to another category keeps
+// only what still applies. Returns { error } or { value }.
+const validateExtraFields = (category, values) => {
+  const fields = Array.isArray(category.fieldSchema) ? category.fieldSchema : [];
+  const schema = Joi.object(Object.fromEntries(fields.map(field => [field.key, fieldValueSchema(field)])));
+
+  const { error, value } = schema.validate(values || {}, { stripUnknown: true });
+  if (error) {
+    return { error: error.details[0].message };
+  }
+
+  return { value };
+};
+
+// Columns of the submission fields the admin list filters on
+const FILTER_COLUMNS = {
+  status: 'status',
+  category: 'category',
+  userId: 'user_id',
+  appealStatus: 'appeal_status',
+  assignedTo: 'assigned_to',
+  width: 'width',
+  height: 'height',
+  duration: 'duration',
+  frameRate: 'frame_rate',
+  codec: 'codec',
+  fileType: 'file_type',
+  createdAt: 'created_at'
+};
+
+// SQL condition equivalent to a submission `where` of the admin list: values
+// or null on the columns above, { gte, lte } ranges, a game slug and tag
+// filters. Anything else throws rather than being silently ignored.
+const filterSql = (where) => {
+  const conditions = Object.entries(where).flatMap(([field, value]) => {
+    if (field === 'AND') {
+      return value.map(filterSql);
+    }
+
+    if (field === 'game') {
+      return [Prisma.sql`s."game_id" IN (SELECT "id" FROM "games" WHERE "slug" = ${value.slug})`];
+    }
+
+    if (field === 'tags') {
+      return [Prisma.sql`EXISTS (
+        SELECT 1 FROM "submission_tags" st JOIN "tags" t ON t."id" = st."tag_id"
+        WHERE st."submission_id" = s."id" AND t."name" = ${value.some.tag.name}
+      )`];
+    }
+
+    if (!FILTER_COLUMNS[field]) {
+      throw new Error(`Unsupported submission filter: ${field}`);
+    }
+
+    const column = Prisma.raw(`s."${FILTER_COLUMNS[field]}"`);
+
+    if (value === null) {
+      return [Prisma.sql`${column} IS NULL`];
+    }
+
+    if (typeof value !== 'object') {
+      // Compared as text so enum columns need no cast of their own
+      return [Prisma.sql`${column}::text = ${String(value)}`];
+    }
+
+    return [
+      ...(value.gte !== undefined ? [Prisma.sql`${column} >= ${value.gte}`] : []),
+      ...(value.lte !== undefined ? [Prisma.sql`${column} <= ${value.lte}`] : [])
+    ];
+  });
+
+  return conditions.length > 0 ? Prisma.join(conditions, ' AND ') : Prisma.sql`TRUE`;
+};
+
+// One page of submission ids matching `where`, ordered by an extra field.
+// Values are stored as typed JSON, so jsonb ordering compares numbers
+// numerically; submissions without the field come last.
+const submissionIdsByExtraField = async (where, { key, order, skip, take }) => {
+  const condition = filterSql(where);
+  const direction = Prisma.raw(order === 'asc' ? 'ASC' : 'DESC');
+
+  const [rows, [{ total }]] = await Promise.all([
+    prisma.$queryRaw`
+      SELECT s."id" FROM "submissions" s
+      WHERE ${condition}
+      ORDER BY s."extra_fields" -> ${key} ${direction} NULLS LAST, s."created_at" DESC
+      LIMIT ${take} OFFSET ${skip}
+    `,
+    prisma.$queryRaw`SELECT COUNT(*)::int AS "total" FROM "submissions" s WHERE ${condition}`
+  ]);
+
+  return { ids: rows.map(row => row.id), total };
+};
+
+module.exports = {
+  FIELD_TYPES,
+  FIELD_KEY_PATTERN,
+  validateExtraFields,
+  submissionIdsByExtraField
+};
@@ -0,0 +1,135 @@
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const { probeMedia } = require('./media');
+
+// Types we accept, keyed by what the file signature says
+const ALLOWED_TYPES = {
+  jpeg: { mime: 'image/jpeg', ext: 'jpg', fileType: 'IMAGE' },
+  png: { mime: 'image/png', ext: 'png', fileType: 'IMAGE' },
+  gif: { mime: 'image/gif', ext: 'gif', fileType: 'IMAGE' },
+  webp: { mime: 'image/webp', ext: 'webp', fileType: 'IMAGE' },
+  mp4: { mime: 'video/mp4', ext: 'mp4', fileType: 'VIDEO', containers: ['mp4'] },
+  mov: { mime: 'video/quicktime', ext: 'mov', fileType: 'VIDEO', containers: ['mov'] },
+  avi: { mime: 'video/x-msvideo', ext: 'avi', fileType: 'VIDEO', containers: ['avi'] },
+  wmv: { mime: 'video/x-ms-wmv', ext: 'wmv', fileType: 'VIDEO', containers: ['asf'] },
+  webm: { mime: 'video/webm', ext: 'webm', fileType: 'VIDEO', containers: ['webm', 'matroska'] }
+};
+
+const CONTENT_TYPES = Object.fromEntries(
+  Object.values(ALLOWED_TYPES).map(type => [`.${type.ext}`, type.mime])
+);
+
+// MIME type of a stored file, judged by the extension we gave it
+const contentTypeFor = (fileName) => CONTENT_TYPES[path.extname(fileName).toLowerCase()] || 'application/octet-stream';
+
+const ALLOWED_VIDEO_CODECS = [
+  'h264', 'hevc', 'vp8', 'vp9', 'av1', 'mpeg4', 'msmpeg4v2', 'msmpeg4v3',
+  'wmv1', 'wmv2', 'wmv3', 'vc1', 'mjpeg', 'prores'
+];
+
+// ISO base media brands that are images rather than video
+const IMAGE_BRANDS = ['heic', 'heix', 'mif1', 'msf1', 'avif'];
+
+const ASF_HEADER = Buffer.from([0x30, 0x26, 0xb2, 0x75, 0x8e, 0x66, 0xcf, 0x11]);
+
+const readHeader = async (filePath, length = 64) => {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(length);
+    const { bytesRead } = await handle.read(buffer, 0, length, 0);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+};
+
+// Identify a file by its leading bytes. Returns a key of ALLOWED_TYPES or null.
+const detectSignature = (header) => {
+  const ascii = (start, end) => header.toString('latin1', start, end);
+
+  if (header[0] === 0xff && header[1] === 0xd8 && header[2] === 0xff) {
+    return 'jpeg';
+  }
+
+  if (header.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) {
+    return 'png';
+  }
+
+  if (ascii(0, 6) === 'GIF87a' || ascii(0, 6) === 'GIF89a') {
+    return 'gif';
+  }
+
+  if (ascii(0, 4) === 'RIFF') {
+    if (ascii(8, 12) === 'WEBP') return 'webp';
+    if (ascii(8, 12) === 'AVI ') return 'avi';
+    return null;
+  }
+
+  if (ascii(4, 8) === 'ftyp') {
+    const brand = ascii(8, 12).trim();
+    if (IMAGE_BRANDS.includes(brand)) return null;
+    return brand === 'qt' ? 'mov' : 'mp4';
+  }
+
+  if (header.subarray(0, 8).equals(ASF_HEADER)) {
+    return 'wmv';
+  }
+
+  if (header[0] === 0x1a && header[1] === 0x45 && header[2] === 0xdf && header[3] === 0xa3) {
+    return header.includes('webm') ? 'webm' : null;
+  }
+
+  return null;
+};
+
+// Verify an uploaded file by its content. Resolves to { error } when the file
+// is rejected, otherwise to { type, probe } where type is an ALLOWED_TYPES
+// entry and probe holds ffmpeg's view of a video (null for images).
+const verifyUpload = async (filePath, declaredMime) => {
+  const signature = detectSignature(await readHeader(filePath));
+
+  if (!signature) {
+    return { error: 'Unsupported file format. Only images and videos are allowed.' };
+  }
+
+  const type = ALLOWED_TYPES[signature];
+
+  // The browser's idea of the type must at least agree on image vs video
+  const declaredFamily = (declaredMime || '').split('/')[0];
+  if (['image', 'video'].includes(declaredFamily) && declaredFamily.toUpperCase() !== type.fileType) {
+    return { error: 'File content does not match its declared type' };
+  }
+
+  if (type.fileType === 'IMAGE') {
+    try {
+      const metadata = await sharp(filePath).metadata();
+      if (metadata.format !== signature) {
+        return { error: 'File content does not match its declared type' };
+      }
+    } catch (error) {
+      return { error: 'Image file is corrupted or unreadable' };
+    }
+
+    return { type, probe: null };
+  }
+
+  const probe = await probeMedia(filePath);
+
+  if (!probe || !probe.containers.some(container => type.containers.includes(container))) {
+    return { error: 'Video container is corrupted or does not match its format' };
+  }
+
+  if (!probe.video || !ALLOWED_VIDEO_CODECS.includes(probe.video.codec)) {
+    return { error: 'Video codec is not supported' };
+  }
+
+  return { type, probe };
+};
+
+module.exports = {
+  ALLOWED_TYPES,
+  contentTypeFor,
+  detectSignature,
+  verifyUpload
+};
@@ -0,0 +1,44 @@
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+// Game of submissions from clients that do not choose one
+const DEFAULT_GAME = process.env.DEFAULT_GAME || 'fortnite';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const gameOrder = [{ sortOrder: 'asc' }, { name: 'asc' }];
+
+const listGames = ({ includeInactive = false } = {}) => prisma.game.findMany({
+  where: includeInactive ? {} : { isActive: true },
+  orderBy: gameOrder
+});
+
+// Returns an error message when the user has used up the game's own daily
+// submission limit. Games without one only have the global rate limit;
+// resubmissions and staff are not limited.
+const checkDailyLimit = async (user, game) => {
+  if (!game.maxSubmissionsPerDay || user.role === 'ADMIN' || user.role === 'MODERATOR') {
+    return null;
+  }
+
+  const submitted = await prisma.submission.count({
+    where: {
+      userId: user.id,
+      gameId: game.id,
+      previousSubmissionId: null,
+      createdAt: { gte: new Date(Date.now() - DAY) }
+    }
+  });
+
+  return submitted >= game.maxSubmissionsPerDay
+    ? `Daily submission limit for ${game.name} exceeded. Try again tomorrow.`
+    : null;
+};
+
+module.exports = {
+  DEFAULT_GAME,
+  gameOrder,
+  listGames,
+  checkDailyLimit
+};
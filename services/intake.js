@@ -0,0 +1,380 @@
+const fs = require('fs');
+const path = require('path');
+const { PrismaClient, Prisma } = require('@prisma/client');
+const { v4: uuidv4 } = require('uuid');
+const { generatePreviews, sanitizeImage } = require('./media');
+const { enqueueVideo } = require('./processing');
+const { verifyUpload } = require('./fileType');
+const { computeHashes } = require('./duplicates');
+const { mediaProperties, checkMediaRules } = require('./mediaQuality');
+const { orderedAssets, mirroredData, checkAssetLimits } = require('./assets');
+const { EDITABLE, revisionChanges } = require('./revisions');
+const { resubmissionLinks } = require('./resubmissions');
+const { checkFileType } = require('./categories');
+const { checkDailyLimit } = require('./games');
+const { tagLinks } = require('./tags');
+const { validateExtraFields } = require('./extraFields');
+const { routeSubmission } = require('./routing');
+const { storage, keyFromUrl, urlForKey } = require('./storage');
+
+const prisma = new PrismaClient();
+
+// Remove files from storage, logging failures
+const removeStoredFiles = (keys) => {
+  keys
+    .filter(Boolean)
+    .forEach((key) => {
+      storage.delete(key).catch((deleteError) => {
+        console.error('File cleanup error:', deleteError);
+      });
+    });
+};
+
+// Remove a received file that never made it into storage
+const discardUpload = (filePath) => {
+  fs.unlink(filePath, (unlinkError) => {
+    if (unlinkError && unlinkError.code !== 'ENOENT') {
+      console.error('File cleanup error:', unlinkError);
+    }
+  });
+};
+
+// Prepare one fully received file for storage: verify its content and that
+// the category accepts its type, name it after its detected type, strip
+// image metadata, check it against the category's media rules, hash it,
+// generate previews and hand everything to storage. `file` is
+// { path, originalName, mimeType, size } with path pointing into
+// INCOMING_DIR, and `category` is the catalog entry. Keys put into storage
+// are appended to storedKeys. Resolves to { error } when the file is
+// rejected, otherwise { asset } with the SubmissionAsset columns.
+const prepareAsset = async (file, category, storedKeys) => {
+  let localPath = file.path;
+  let previews = {};
+
+  try {
+    // Verify the file by its content rather than the client MIME type
+    const verification = await verifyUpload(file.path, file.mimeType);
+    if (verification.error) {
+      discardUpload(file.path);
+      return { error: verification.error };
+    }
+
+    const typeError = checkFileType(category, verification.type.fileType);
+    if (typeError) {
+      discardUpload(file.path);
+      return { error: typeError };
+    }
+
+    // Name the file after the extension of its detected type
+    const storedName = `${uuidv4()}.${verification.type.ext}`;
+    const storedPath = path.join(path.dirname(file.path), storedName);
+    await fs.promises.rename(file.path, storedPath);
+    localPath = storedPath;
+
+    const fileType = verification.type.fileType;
+    let fileSize = file.size;
+    let mediaMetadata = null;
+
+    // Images are re-encoded before they reach storage so EXIF data such as
+    // GPS coordinates and device serials is never stored or served
+    if (fileType === 'IMAGE') {
+      try {
+        const sanitized = await sanitizeImage(storedPath);
+        fileSize = sanitized.size;
+        mediaMetadata = sanitized.metadata;
+      } catch (sanitizeError) {
+        console.error('Image sanitizing error:', sanitizeError);
+        discardUpload(storedPath);
+        return { error: 'Image file is corrupted or unreadable' };
+      }
+    }
+
+    // Enforce the category's resolution, duration and frame rate limits
+    const properties = mediaProperties(fileType, {
+      probe: verification.probe,
+      imageMetadata: mediaMetadata
+    });
+    const ruleError = checkMediaRules(category, fileType, properties);
+    if (ruleError) {
+      discardUpload(storedPath);
+      return { error: ruleError };
+    }
+
+    // Hash the content so reviewers can spot resubmitted screenshots and clips
+    const hashes = await computeHashes(
+      storedPath,
+      fileType,
+      verification.probe ? verification.probe.duration : null
+    );
+
+    // Generate previews so lists don't have to load the original file
+    try {
+      previews = await generatePreviews(storedPath, fileType);
+    } catch (previewError) {
+      console.error('Preview generation error:', previewError);
+    }
+
+    for (const fileName of [storedName, previews.thumbnail, previews.poster].filter(Boolean)) {
+      await storage.putFile(fileName, path.join(path.dirname(storedPath), fileName));
+      storedKeys.push(fileName);
+    }
+
+    return {
+      asset: {
+        fileUrl: urlForKey(storedName),
+        fileName: file.originalName,
+        fileType,
+        fileSize,
+        thumbnailUrl: previews.thumbnail ? urlForKey(previews.thumbnail) : null,
+        posterUrl: previews.poster ? urlForKey(previews.poster) : null,
+        processingStatus: fileType === 'VIDEO' ? 'PROCESSING' : 'READY',
+        sha256: hashes.sha256,
+        perceptualHashes: hashes.perceptualHashes,
+        // Prisma needs an explicit DbNull to store NULL in a Json column
+        mediaMetadata: mediaMetadata || Prisma.DbNull,
+        ...properties
+      }
+    };
+
+  } catch (error) {
+    // Clean up the local file and its previews before passing the error on
+    discardUpload(localPath);
+    [previews.thumbnail, previews.poster]
+      .filter(Boolean)
+      .forEach(fileName => discardUpload(path.join(path.dirname(localPath), fileName)));
+    throw error;
+  }
+};
+
+// Prepare files for one submission in the order given. Rejecting any file
+// rejects them all. `category` includes its game, whose limits apply.
+// Resolves to { error }, or to { assets, storedKeys } where storedKeys must
+// be removed if the assets are not saved after all.
+const prepareAssets = async (files, category) => {
+  const limitError = checkAssetLimits(files, category.game);
+  if (limitError) {
+    files.forEach(file => discardUpload(file.path));
+    return { error: limitError };
+  }
+
+  const storedKeys = [];
+  const assets = [];
+
+  try {
+    for (const file of files) {
+      const result = await prepareAsset(file, category, storedKeys);
+
+      if (result.error) {
+        files.slice(assets.length + 1).forEach(rest => discardUpload(rest.path));
+        removeStoredFiles(storedKeys);
+        return { error: files.length > 1 ? `${file.originalName}: ${result.error}` : result.error };
+      }
+
+      assets.push({ ...result.asset, position: assets.length });
+    }
+  } catch (error) {
+    // Files not processed yet are still in INCOMING_DIR
+    files.slice(assets.length + 1).forEach(rest => discardUpload(rest.path));
+    removeStoredFiles(storedKeys);
+    throw error;
+  }
+
+  return { assets, storedKeys };
+};
+
+// Videos get a web-safe rendition in the background; the original is kept
+const enqueueVideos = (assets) => {
+  assets
+    .filter(asset => asset.fileType === 'VIDEO')
+    .forEach(asset => enqueueVideo(asset.id));
+};
+
+// Turn fully received files into one submission whose assets keep the order
+// of `files`; the first file becomes the primary asset. With resubmissionOf
+// the submission is linked to that rejected submission; other submissions
+// count against the game's daily limit. `category` is the catalog entry with
+// its game, `tags` a list of normalized tag names and `extraFields` values of
+// the category's extra fields. Video assets are queued for processing and
+// the submission is routed to a moderator. Resolves to { error, status } when
+// the submission is refused, otherwise { submission }.
+const createSubmissionFromUploads = async (user, files, { category, description, tags, extraFields, resubmissionOf }) => {
+  const fields = validateExtraFields(category, extraFields);
+  if (fields.error) {
+    files.forEach(file => discardUpload(file.path));
+    return { error: fields.error };
+  }
+
+  if (!resubmissionOf) {
+    const limitError = await checkDailyLimit(user, category.game);
+    if (limitError) {
+      files.forEach(file => discardUpload(file.path));
+      return { error: limitError, status: 429 };
+    }
+  }
+
+  const prepared = await prepareAssets(files, category);
+  if (prepared.error) {
+    return prepared;
+  }
+
+  const { assets, storedKeys } = prepared;
+
+  try {
+    const submission = await prisma.submission.create({
+      data: {
+        userId: user.id,
+        ...mirroredData(assets[0]),
+        gameId: category.gameId,
+        category: category.slug,
+        description: description || null,
+        extraFields: fields.value,
+        ...(resubmissionOf ? resubmissionLinks(resubmissionOf) : {}),
+        assets: { create: assets },
+        tags: { create: tagLinks(tags || [], user.id) }
+      },
+      include: { assets: orderedAssets }
+    });
+
+    enqueueVideos(submission.assets);
+    await routeSubmission(submission);
+
+    // Update user's last submission time
+    await prisma.user.update({
+      where: { id: user.id },
+      data: { lastSubmission: new Date() }
+    });
+
+    console.log(`📤 New submission from ${user.nickname}: ${submission.id} (${category.game.slug}/${category.slug}, ${assets.length} file(s))${
+      resubmissionOf ? `, resubmitting ${resubmissionOf.id}` : ''
+    }`);
+
+    return { submission };
+
+  } catch (error) {
+    removeStoredFiles(storedKeys);
+
+    // Another request resubmitted the same rejected submission first
+    if (error.code === 'P2002' && resubmissionOf) {
+      return { error: 'Submission has already been resubmitted' };
+    }
+
+    throw error;
+  }
+};
+
+// Apply an owner's edit to a pending submission and record it as a revision.
+// `changes.category` is the catalog entry, with its game, the submission ends
+// up in and `changes.description` the new description, if any;
+// `changes.extraFields`, when given, replaces the extra field values, which
+// are otherwise kept and re-checked against the category. `files`, when
+// given, replace all assets. Kept assets are re-checked against a new
+// category's rules. Resolves to { error, status } when the edit is rejected,
+// otherwise { submission }.
+const editSubmission = async (user, submission, changes, files) => {
+  const { category } = changes;
+  let prepared = null;
+
+  const fields = validateExtraFields(category, changes.extraFields || submission.extraFields);
+  if (fields.error) {
+    if (files) files.forEach(file => discardUpload(file.path));
+    return { error: fields.error, status: 400 };
+  }
+
+  if (files) {
+    prepared = await prepareAssets(files, category);
+    if (prepared.error) {
+      return { error: prepared.error, status: 400 };
+    }
+  } else if (category.slug !== submission.category || category.gameId !== submission.gameId) {
+    for (const asset of submission.assets) {
+      const ruleError = checkFileType(category, asset.fileType) ||
+        checkMediaRules(category, asset.fileType, asset);
+      if (ruleError) {
+        return {
+          error: submission.assets.length > 1 ? `${asset.fileName}: ${ruleError}` : ruleError,
+          status: 400
+        };
+      }
+    }
+  }
+
+  const diff = revisionChanges(submission, {
+    gameId: category.gameId,
+    category: category.slug,
+    description: changes.description === undefined ? submission.description : (changes.description || null),
+    extraFields: fields.value,
+    assets: prepared ? prepared.assets : null
+  });
+
+  if (Object.keys(diff).length === 0) {
+    if (prepared) removeStoredFiles(prepared.storedKeys);
+    return { error: 'Nothing to update', status: 400 };
+  }
+
+  const data = {};
+  if (diff.game) data.gameId = diff.game.to;
+  if (diff.category) data.category = diff.category.to;
+  if (diff.description) data.description = diff.description.to;
+  if (diff.extraFields) data.extraFields = diff.extraFields.to;
+
+  let updated;
+  try {
+    updated = await prisma.$transaction(async (tx) => {
+      // Re-check inside the transaction so a review that starts meanwhile wins
+      const { count } = await tx.submission.updateMany({
+        where: { id: submission.id, ...EDITABLE },
+        data: prepared ? { ...data, ...mirroredData(prepared.assets[0]) } : data
+      });
+
+      if (count === 0) {
+        return null;
+      }
+
+      if (prepared) {
+        await tx.submissionAsset.deleteMany({ where: { submissionId: submission.id } });
+        await tx.submissionAsset.createMany({
+          data: prepared.assets.map(asset => ({ ...asset, submissionId: submission.id }))
+        });
+      }
+
+      const revisions = await tx.submissionRevision.count({ where: { submissionId: submission.id } });
+      await tx.submissionRevision.create({
+        data: { submissionId: submission.id, number: revisions + 1, changes: diff }
+      });
+
+      return tx.submission.findUnique({
+        where: { id: submission.id },
+        include: { assets: orderedAssets }
+      });
+    });
+  } catch (error) {
+    if (prepared) removeStoredFiles(prepared.storedKeys);
+    throw error;
+  }
+
+  if (!updated) {
+    if (prepared) removeStoredFiles(prepared.storedKeys);
+    return { error: 'Submission can no longer be edited', status: 409 };
+  }
+
+  if (prepared) {
+    removeStoredFiles(
+      submission.assets
+        .flatMap(asset => [asset.fileUrl, asset.thumbnailUrl, asset.posterUrl, asset.playbackUrl])
+        .filter(Boolean)
+        .map(keyFromUrl)
+    );
+    enqueueVideos(updated.assets);
+  }
+
+  console.log(`✏️ Submission edited by ${user.nickname}: ${submission.id} (${Object.keys(diff).join(', ')})`);
+
+  return { submission: updated };
+};
+
+module.exports = {
+  removeStoredFiles,
+  discardUpload,
+  createSubmissionFromUploads,
+  editSubmission
+};
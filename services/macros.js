@@ -0,0 +1,30 @@
+const { categoryName } = require('./categories');
+
+// Placeholders a macro's reason may contain, and what they stand for
+const MACRO_PLACEHOLDERS = {
+  category: ({ category }) => categoryName(category),
+  game: ({ game }) => game.name,
+  nickname: ({ user }) => user.nickname
+};
+
+// Fill in a macro's reason for a submission loaded with its user, game and
+// categoryRef. Unknown placeholders are left as typed.
+const renderMacroReason = (template, submission) => {
+  if (!template) {
+    return null;
+  }
+
+  const context = {
+    category: submission.categoryRef,
+    game: submission.game,
+    user: submission.user
+  };
+
+  return template.replace(/\{(\w+)\}/g, (placeholder, key) =>
+    MACRO_PLACEHOLDERS[key] ? String(MACRO_PLACEHOLDERS[key](context)) : placeholder);
+};
+
+module.exports = {
+  MACRO_PLACEHOLDERS,
+  renderMacroReason
+};
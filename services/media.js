@@ -0,0 +1,259 @@
+const { spawn } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const exifReader = require('exif-reader');
+const ffmpegPath = require('ffmpeg-static');
+
+const THUMBNAIL_SIZE = parseInt(process.env.THUMBNAIL_SIZE) || 320;
+const POSTER_WIDTH = parseInt(process.env.POSTER_WIDTH) || 1280;
+const TRANSCODE_MAX_HEIGHT = parseInt(process.env.TRANSCODE_MAX_HEIGHT) || 720;
+const TRANSCODE_VIDEO_BITRATE = process.env.TRANSCODE_VIDEO_BITRATE || '2500k';
+const TRANSCODE_AUDIO_BITRATE = process.env.TRANSCODE_AUDIO_BITRATE || '128k';
+
+// Run ffmpeg with the given arguments and collect its output
+const runFfmpeg = (args) => new Promise((resolve, reject) => {
+  const proc = spawn(ffmpegPath, ['-hide_banner', '-loglevel', 'error', ...args]);
+  const stdout = [];
+  let stderr = '';
+
+  proc.stdout.on('data', (chunk) => stdout.push(chunk));
+  proc.stderr.on('data', (chunk) => {
+    stderr += chunk;
+  });
+
+  proc.on('error', reject);
+  proc.on('close', (code) => {
+    if (code !== 0) {
+      return reject(new Error(`ffmpeg exited with code ${code}: ${stderr.trim().slice(-500)}`));
+    }
+    resolve({ stdout: Buffer.concat(stdout), stderr });
+  });
+});
+
+// Parse the stream summary ffmpeg prints for its input file
+const parseProbeOutput = (output) => {
+  const input = output.match(/Input #0, (.+?), from /);
+  if (!input) {
+    return null;
+  }
+
+  const probe = {
+    containers: input[1].split(','),
+    duration: null,
+    video: null,
+    audio: null
+  };
+
+  const duration = output.match(/Duration: (\d+):(\d+):(\d+(?:\.\d+)?)/);
+  if (duration) {
+    probe.duration = parseInt(duration[1]) * 3600 + parseInt(duration[2]) * 60 + parseFloat(duration[3]);
+  }
+
+  const videoLine = output.split('\n').find(line => /Stream #0:\d+.*: Video: /.test(line));
+  if (videoLine) {
+    const codec = videoLine.match(/Video: (\w+)/);
+    const size = videoLine.match(/, (\d{2,5})x(\d{2,5})/);
+    const fps = videoLine.match(/([\d.]+) fps/) || videoLine.match(/([\d.]+) tbr/);
+
+    probe.video = {
+      codec: codec[1],
+      width: size ? parseInt(size[1]) : null,
+      height: size ? parseInt(size[2]) : null,
+      frameRate: fps ? parseFloat(fps[1]) : null
+    };
+
+    // Phones record portrait video as rotated landscape frames
+    const rotation = output.match(/rotation of (-?[\d.]+) degrees/);
+    if (rotation && Math.abs(Math.round(parseFloat(rotation[1]))) % 180 === 90) {
+      [probe.video.width, probe.video.height] = [probe.video.height, probe.video.width];
+    }
+  }
+
+  const audioLine = output.split('\n').find(line => /Stream #0:\d+.*: Audio: /.test(line));
+  if (audioLine) {
+    probe.audio = { codec: audioLine.match(/Audio: (\w+)/)[1] };
+  }
+
+  return probe;
+};
+
+// Probe container, duration and codecs of a media file. Resolves to null
+// when ffmpeg cannot read the file at all.
+const probeMedia = (filePath) => new Promise((resolve, reject) => {
+  // Without an output ffmpeg only prints the input summary and exits
+  const proc = spawn(ffmpegPath, ['-hide_banner', '-i', filePath]);
+  let stderr = '';
+
+  proc.stderr.on('data', (chunk) => {
+    stderr += chunk;
+  });
+
+  proc.on('error', reject);
+  proc.on('close', () => resolve(parseProbeOutput(stderr)));
+});
+
+// Grab a single frame from a video as a PNG buffer
+const extractVideoFrame = async (filePath) => {
+  // Skip the first second to avoid black intro frames, fall back to the
+  // very first frame for clips shorter than that
+  for (const offset of ['1', '0']) {
+    const { stdout } = await runFfmpeg([
+      '-ss', offset,
+      '-i', filePath,
+      '-frames:v', '1',
+      '-f', 'image2pipe',
+      '-vcodec', 'png',
+      'pipe:1'
+    ]);
+
+    if (stdout.length > 0) {
+      return stdout;
+    }
+  }
+
+  throw new Error('Could not extract a frame from video');
+};
+
+// Generate a WebP thumbnail for every upload and a poster frame for videos.
+// Files are written next to the original and their names are returned.
+const generatePreviews = async (filePath, fileType) => {
+  const dir = path.dirname(filePath);
+  const baseName = path.basename(filePath, path.extname(filePath));
+  const previews = { thumbnail: null, poster: null };
+
+  let source = filePath;
+
+  if (fileType === 'VIDEO') {
+    source = await extractVideoFrame(filePath);
+    previews.poster = `${baseName}.poster.webp`;
+
+    await sharp(source)
+      .resize({ width: POSTER_WIDTH, withoutEnlargement: true })
+      .webp({ quality: 80 })
+      .toFile(path.join(dir, previews.poster));
+  }
+
+  previews.thumbnail = `${baseName}.thumb.webp`;
+
+  await sharp(source)
+    .rotate()
+    .resize({
+      width: THUMBNAIL_SIZE,
+      height: THUMBNAIL_SIZE,
+      fit: 'inside',
+      withoutEnlargement: true
+    })
+    .webp({ quality: 75 })
+    .toFile(path.join(dir, previews.thumbnail));
+
+  return previews;
+};
+
+// Encoder settings for re-encoded images, keyed by sharp format
+const IMAGE_ENCODERS = {
+  jpeg: { quality: 92, mozjpeg: true },
+  png: { compressionLevel: 9 },
+  webp: { quality: 90 },
+  gif: {}
+};
+
+const readExif = (buffer) => {
+  if (!buffer) return null;
+  try {
+    return exifReader(buffer);
+  } catch (error) {
+    return null;
+  }
+};
+
+// EXIF strings are whatever the uploader put there: keep plain text only,
+// without control characters or markup, and at most 100 characters
+const exifText = (value) => (typeof value === 'string'
+  ? value.replace(/[\x00-\x1f\x7f<>]/g, '').trim().slice(0, 100) || null
+  : null);
+
+// Re-encode an image in place without any of its metadata (EXIF, GPS, XMP,
+// ICC), applying the EXIF orientation first. Resolves to the file size and
+// the few details worth keeping for moderators.
+const sanitizeImage = async (filePath) => {
+  const metadata = await sharp(filePath).metadata();
+  const animated = (metadata.pages || 1) > 1;
+  const exif = readExif(metadata.exif);
+
+  const image = sharp(filePath, { animated });
+
+  // Animated images carry no orientation, and sharp can't rotate them
+  if (!animated) {
+    image.rotate();
+  }
+
+  const tempPath = `${filePath}.clean`;
+  try {
+    const info = await image
+      .toFormat(metadata.format, IMAGE_ENCODERS[metadata.format])
+      .toFile(tempPath);
+    await fs.promises.rename(tempPath, filePath);
+
+    const tags = (exif && exif.Image) || {};
+    const capturedAt = (exif && exif.Photo && exif.Photo.DateTimeOriginal) || tags.DateTime;
+
+    return {
+      size: info.size,
+      metadata: {
+        width: info.width,
+        height: animated ? metadata.pageHeight : info.height,
+        format: metadata.format,
+        animated,
+        orientation: metadata.orientation || null,
+        capturedAt: capturedAt instanceof Date && !isNaN(capturedAt) ? capturedAt.toISOString() : null,
+        cameraMake: exifText(tags.Make),
+        cameraModel: exifText(tags.Model),
+        software: exifText(tags.Software)
+      }
+    };
+  } catch (error) {
+    fs.unlink(tempPath, () => {});
+    throw error;
+  }
+};
+
+// Transcode a video into a browser-friendly H.264/AAC MP4. The shorter side
+// is capped at TRANSCODE_MAX_HEIGHT so portrait clips keep their quality too.
+const transcodeVideo = async (sourcePath, outputPath) => {
+  const maxSide = TRANSCODE_MAX_HEIGHT;
+  const bitrate = parseInt(TRANSCODE_VIDEO_BITRATE);
+  const bufferSize = `${bitrate * 2}${TRANSCODE_VIDEO_BITRATE.replace(/^[0-9]+/, '')}`;
+
+  await runFfmpeg([
+    '-y',
+    '-i', sourcePath,
+    '-map', '0:v:0',
+    '-map', '0:a:0?',
+    '-vf', [
+      `scale='if(gt(iw,ih),-2,min(iw,${maxSide}))':'if(gt(iw,ih),min(ih,${maxSide}),-2)'`,
+      'scale=trunc(iw/2)*2:trunc(ih/2)*2',
+      'format=yuv420p'
+    ].join(','),
+    '-c:v', 'libx264',
+    '-preset', 'veryfast',
+    '-profile:v', 'high',
+    '-crf', '23',
+    '-maxrate', TRANSCODE_VIDEO_BITRATE,
+    '-bufsize', bufferSize,
+    '-c:a', 'aac',
+    '-b:a', TRANSCODE_AUDIO_BITRATE,
+    '-ac', '2',
+    '-movflags', '+faststart',
+    outputPath
+  ]);
+};
+
+module.exports = {
+  runFfmpeg,
+  probeMedia,
+  extractVideoFrame,
+  generatePreviews,
+  sanitizeImage,
+  transcodeVideo
+};
@@ -0,0 +1,77 @@
+const { rulesFor } = require('../config/mediaRules');
+
+// NTSC rates such as 23.976 (24000/1001) or 59.94 fps count as the nominal
+// 24 or 60 fps of a rule
+const FRAME_RATE_TOLERANCE = 0.05;
+
+// The probed properties stored on a submission. `probe` comes from
+// verifyUpload() for videos, `imageMetadata` from sanitizeImage() for images.
+const mediaProperties = (fileType, { probe, imageMetadata }) => {
+  if (fileType === 'IMAGE') {
+    return {
+      width: imageMetadata ? imageMetadata.width : null,
+      height: imageMetadata ? imageMetadata.height : null,
+      duration: null,
+      frameRate: null,
+      codec: imageMetadata ? imageMetadata.format : null
+    };
+  }
+
+  const video = (probe && probe.video) || {};
+  return {
+    width: video.width || null,
+    height: video.height || null,
+    duration: probe && probe.duration ? Math.round(probe.duration * 100) / 100 : null,
+    frameRate: video.frameRate || null,
+    codec: video.codec || null
+  };
+};
+
+// Check a file's properties against the rules of its catalog category.
+// Returns an error message, or null when the file is acceptable. Unknown
+// properties never fail a rule.
+const checkMediaRules = (category, fileType, properties) => {
+  const rules = rulesFor(category, fileType);
+  const { width, height, duration, frameRate, codec } = properties;
+
+  if (width && height) {
+    const shortSide = Math.min(width, height);
+    const longSide = Math.max(width, height);
+
+    if (rules.minShortSide && shortSide < rules.minShortSide) {
+      return `Resolution ${width}x${height} is too low: at least ${rules.minShortSide}px on the shorter side is required`;
+    }
+    if (rules.maxLongSide && longSide > rules.maxLongSide) {
+      return `Resolution ${width}x${height} is too high: at most ${rules.maxLongSide}px on the longer side is allowed`;
+    }
+  }
+
+  if (duration) {
+    if (rules.minDuration && duration < rules.minDuration) {
+      return `Video is too short: at least ${rules.minDuration} seconds are required`;
+    }
+    if (rules.maxDuration && duration > rules.maxDuration) {
+      return `Video is too long: at most ${rules.maxDuration} seconds are allowed`;
+    }
+  }
+
+  if (frameRate) {
+    if (rules.minFrameRate && frameRate + FRAME_RATE_TOLERANCE < rules.minFrameRate) {
+      return `Frame rate ${frameRate} fps is too low: at least ${rules.minFrameRate} fps is required`;
+    }
+    if (rules.maxFrameRate && frameRate - FRAME_RATE_TOLERANCE > rules.maxFrameRate) {
+      return `Frame rate ${frameRate} fps is too high: at most ${rules.maxFrameRate} fps is allowed`;
+    }
+  }
+
+  if (codec && rules.codecs && !rules.codecs.includes(codec)) {
+    return `Codec ${codec} is not accepted in this category`;
+  }
+
+  return null;
+};
+
+module.exports = {
+  mediaProperties,
+  checkMediaRules
+};
@@ -0,0 +1,74 @@
+const crypto = require('crypto');
+const { keyFromUrl } = require('./storage');
+
+const SECRET = process.env.MEDIA_URL_SECRET || process.env.SESSION_SECRET || 'fallback-secret-key';
+const URL_TTL = (parseInt(process.env.MEDIA_URL_TTL_MINUTES) || 15) * 60; // seconds
+
+// Submission and asset fields that reference stored files
+const MEDIA_FIELDS = ['fileUrl', 'thumbnailUrl', 'posterUrl', 'playbackUrl'];
+
+const sign = (key, expires) => crypto
+  .createHmac('sha256', SECRET)
+  .update(`${key}:${expires}`)
+  .digest('base64url');
+
+const mediaPath = (key) => `/media/${key.split('/').map(encodeURIComponent).join('/')}`;
+
+// Signed URL for a storage key. The expiry is aligned to TTL windows so a
+// file keeps the same URL, and stays in the browser cache, within a window.
+const signMediaKey = (key) => {
+  const now = Math.floor(Date.now() / 1000);
+  const expires = (Math.floor(now / URL_TTL) + 2) * URL_TTL;
+  return `${mediaPath(key)}?expires=${expires}&signature=${sign(key, expires)}`;
+};
+
+const verifyMediaSignature = (key, expires, signature) => {
+  const expiresAt = parseInt(expires);
+  if (!expiresAt || !signature || expiresAt < Date.now() / 1000) {
+    return false;
+  }
+
+  const expected = Buffer.from(sign(key, expiresAt));
+  const given = Buffer.from(String(signature));
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+};
+
+const signFields = (record) => {
+  const result = { ...record };
+  MEDIA_FIELDS.forEach((field) => {
+    if (record[field]) {
+      result[field] = signMediaKey(keyFromUrl(record[field]));
+    }
+  });
+  return result;
+};
+
+// Replace stored `/uploads/<key>` references with URLs the browser can load.
+// Published approved submissions also get a permanent unsigned publicUrl.
+const withMediaUrls = (submission) => {
+  if (!submission) {
+    return submission;
+  }
+
+  const result = signFields(submission);
+  if (Array.isArray(submission.assets)) {
+    result.assets = submission.assets.map(signFields);
+  }
+
+  // Retention may have moved the original out of storage
+  const publicSource = submission.playbackUrl ||
+    (!submission.mediaState || submission.mediaState === 'ACTIVE' ? submission.fileUrl : null);
+
+  if (submission.isPublic && submission.status === 'APPROVED' && publicSource) {
+    result.publicUrl = mediaPath(keyFromUrl(publicSource));
+  }
+
+  return result;
+};
+
+module.exports = {
+  MEDIA_FIELDS,
+  signMediaKey,
+  verifyMediaSignature,
+  withMediaUrls
+};
@@ -0,0 +1,92 @@
+const fs = require('fs');
+const path = require('path');
+const { PrismaClient } = require('@prisma/client');
+const { transcodeVideo } = require('./media');
+const { INCOMING_DIR, storage, keyFromUrl, urlForKey } = require('./storage');
+const { updateAsset } = require('./assets');
+
+const prisma = new PrismaClient();
+
+const CONCURRENCY = parseInt(process.env.TRANSCODE_CONCURRENCY) || 1;
+
+// In-process job queue of asset ids; assets left in PROCESSING after a
+// restart are picked up again by resumeProcessing()
+const queue = [];
+let activeJobs = 0;
+
+const transcodeAsset = async (assetId) => {
+  const asset = await prisma.submissionAsset.findUnique({
+    where: { id: assetId }
+  });
+
+  if (!asset || asset.fileType !== 'VIDEO') {
+    return;
+  }
+
+  const sourceKey = keyFromUrl(asset.fileUrl);
+  const outputName = `${path.basename(sourceKey, path.extname(sourceKey))}.web.mp4`;
+  const outputPath = path.join(INCOMING_DIR, outputName);
+
+  try {
+    await fs.promises.mkdir(INCOMING_DIR, { recursive: true });
+    await storage.withLocalFile(sourceKey, sourcePath => transcodeVideo(sourcePath, outputPath));
+    await storage.putFile(outputName, outputPath);
+
+    await updateAsset(asset, {
+      processingStatus: 'READY',
+      playbackUrl: urlForKey(outputName),
+      processingError: null
+    });
+
+    console.log(`🎬 Video transcoded: ${asset.submissionId} #${asset.position}`);
+  } catch (error) {
+    console.error(`Transcode error for asset ${assetId}:`, error.message);
+
+    fs.unlink(outputPath, () => {});
+
+    // The submission may have been deleted while it was being processed
+    await updateAsset(asset, {
+      processingStatus: 'FAILED',
+      processingError: error.message.slice(0, 500)
+    }).catch(() => {});
+  }
+};
+
+const runNext = () => {
+  while (activeJobs < CONCURRENCY && queue.length > 0) {
+    const assetId = queue.shift();
+    activeJobs++;
+
+    transcodeAsset(assetId)
+      .catch((error) => console.error('Processing queue error:', error))
+      .finally(() => {
+        activeJobs--;
+        runNext();
+      });
+  }
+};
+
+const enqueueVideo = (assetId) => {
+  if (!queue.includes(assetId)) {
+    queue.push(assetId);
+  }
+  runNext();
+};
+
+// Re-queue videos that were still processing when the server stopped
+const resumeProcessing = async () => {
+  const pending = await prisma.submissionAsset.findMany({
+    where: { fileType: 'VIDEO', processingStatus: 'PROCESSING' },
+    orderBy: { createdAt: 'asc' },
+    select: { id: true }
+  });
+
+  pending.forEach(({ id }) => enqueueVideo(id));
+
+  return pending.length;
+};
+
+module.exports = {
+  enqueueVideo,
+  resumeProcessing
+};
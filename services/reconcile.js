@@ -0,0 +1,192 @@
+const fs = require('fs');
+const path = require('path');
+const { PrismaClient } = require('@prisma/client');
+const { v4: uuidv4 } = require('uuid');
+const { INCOMING_DIR, storage, archivePrefixInStorage, keyFromUrl } = require('./storage');
+const { MEDIA_FIELDS } = require('./mediaUrls');
+
+const prisma = new PrismaClient();
+
+// Files younger than this may belong to an upload or transcode that is still
+// in progress, so they are never treated as orphans
+const GRACE_PERIOD = (parseInt(process.env.ORPHAN_GRACE_HOURS) || 24) * 60 * 60 * 1000;
+const QUARANTINE_PREFIX = 'quarantine/';
+
+const ORPHAN_ACTIONS = ['none', 'quarantine', 'delete'];
+
+// Map of every storage key referenced by a submission asset
+const loadReferences = async () => {
+  const assets = await prisma.submissionAsset.findMany({
+    select: {
+      submissionId: true,
+      position: true,
+      fileSize: true,
+      ...Object.fromEntries(MEDIA_FIELDS.map(field => [field, true])),
+      submission: {
+        select: { userId: true, status: true, mediaState: true }
+      }
+    }
+  });
+
+  const references = new Map();
+  assets.forEach((asset) => {
+    MEDIA_FIELDS.forEach((field) => {
+      // Originals moved out by the retention policy are expected to be missing
+      if (field === 'fileUrl' && asset.submission.mediaState !== 'ACTIVE') return;
+
+      if (asset[field]) {
+        references.set(keyFromUrl(asset[field]), { asset, field });
+      }
+    });
+  });
+
+  return references;
+};
+
+// Files left in INCOMING_DIR by crashed uploads, excluding partial uploads
+// of sessions that still exist
+const listIncomingLeftovers = async () => {
+  let entries;
+  try {
+    entries = await fs.promises.readdir(INCOMING_DIR, { withFileTypes: true });
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const sessions = await prisma.uploadSession.findMany({ select: { id: true } });
+  const sessionFiles = new Set(sessions.map(session => `${session.id}.part`));
+
+  const leftovers = [];
+  for (const entry of entries) {
+    if (!entry.isFile() || sessionFiles.has(entry.name)) continue;
+
+    const stats = await fs.promises.stat(path.join(INCOMING_DIR, entry.name));
+    leftovers.push({ key: entry.name, size: stats.size, lastModified: stats.mtime });
+  }
+
+  return leftovers;
+};
+
+const quarantineKey = (orphan) => {
+  const date = new Date().toISOString().slice(0, 10);
+  return `${QUARANTINE_PREFIX}${date}/${orphan.location === 'incoming' ? 'incoming/' : ''}${orphan.key}`;
+};
+
+// Move an orphan into the quarantine area of storage, which is never served
+const quarantineOrphan = async (orphan) => {
+  const target = quarantineKey(orphan);
+
+  if (orphan.location === 'incoming') {
+    await storage.putFile(target, path.join(INCOMING_DIR, orphan.key));
+    return target;
+  }
+
+  const tempPath = path.join(INCOMING_DIR, `${uuidv4()}${path.extname(orphan.key)}`);
+  try {
+    await storage.withLocalFile(orphan.key, sourcePath => fs.promises.copyFile(sourcePath, tempPath));
+    await storage.putFile(target, tempPath);
+  } finally {
+    fs.unlink(tempPath, () => {});
+  }
+  await storage.delete(orphan.key);
+
+  return target;
+};
+
+const deleteOrphan = async (orphan) => {
+  if (orphan.location === 'incoming') {
+    await fs.promises.unlink(path.join(INCOMING_DIR, orphan.key));
+  } else {
+    await storage.delete(orphan.key);
+  }
+};
+
+// Compare stored files with submission asset rows. Reports files no submission
+// references (orphans) and references whose file is missing (dangling).
+// Quarantined files and archived originals sharing the storage are skipped.
+// With dryRun the planned orphanAction is reported but not carried out.
+const reconcileStorage = async ({ dryRun = true, orphanAction = 'none' } = {}) => {
+  if (!ORPHAN_ACTIONS.includes(orphanAction)) {
+    throw new Error(`Unknown orphan action: ${orphanAction}`);
+  }
+
+  // Without a prefix of their own, archived originals look like orphans
+  const archivePrefix = archivePrefixInStorage();
+  if (archivePrefix === '') {
+    throw new Error('Archive storage must not be the main storage itself; set ARCHIVE_S3_PREFIX or ARCHIVE_DIR apart');
+  }
+
+  const references = await loadReferences();
+  const cutoff = Date.now() - GRACE_PERIOD;
+  const seen = new Set();
+  const orphans = [];
+  let scannedFiles = 0;
+
+  for await (const file of storage.list()) {
+    if (file.key.startsWith(QUARANTINE_PREFIX)) continue;
+    if (archivePrefix && file.key.startsWith(archivePrefix)) continue;
+
+    scannedFiles++;
+    if (references.has(file.key)) {
+      seen.add(file.key);
+    } else if (new Date(file.lastModified).getTime() < cutoff) {
+      orphans.push({ ...file, location: 'storage' });
+    }
+  }
+
+  (await listIncomingLeftovers())
+    .filter(file => file.lastModified.getTime() < cutoff)
+    .forEach(file => orphans.push({ ...file, location: 'incoming' }));
+
+  const dangling = [...references.entries()]
+    .filter(([key]) => !seen.has(key))
+    .map(([key, { asset, field }]) => ({
+      submissionId: asset.submissionId,
+      position: asset.position,
+      userId: asset.submission.userId,
+      status: asset.submission.status,
+      field,
+      key,
+      size: field === 'fileUrl' ? asset.fileSize : null
+    }));
+
+  for (const orphan of orphans) {
+    orphan.action = null;
+    if (orphanAction === 'none') continue;
+
+    if (dryRun) {
+      orphan.action = orphanAction === 'quarantine' ? 'would quarantine' : 'would delete';
+      continue;
+    }
+
+    try {
+      if (orphanAction === 'quarantine') {
+        orphan.quarantinedAs = await quarantineOrphan(orphan);
+        orphan.action = 'quarantined';
+      } else {
+        await deleteOrphan(orphan);
+        orphan.action = 'deleted';
+      }
+    } catch (error) {
+      orphan.action = 'failed';
+      orphan.error = error.message;
+    }
+  }
+
+  return {
+    dryRun,
+    orphanAction,
+    scannedFiles,
+    referencedFiles: references.size,
+    orphans,
+    orphanBytes: orphans.reduce((sum, orphan) => sum + orphan.size, 0),
+    dangling,
+    danglingBytes: dangling.reduce((sum, row) => sum + (row.size || 0), 0)
+  };
+};
+
+module.exports = {
+  ORPHAN_ACTIONS,
+  reconcileStorage
+};
@@ -0,0 +1,43 @@
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+// How often one original submission may be resubmitted after rejections
+const MAX_RESUBMISSIONS = parseInt(process.env.MAX_RESUBMISSIONS) || 3;
+
+// Link columns for a resubmission of `previous`
+const resubmissionLinks = (previous) => ({
+  previousSubmissionId: previous.id,
+  originalSubmissionId: previous.originalSubmissionId || previous.id
+});
+
+// Why `submission` cannot be resubmitted, or null when it can. Expects the
+// submission to include `resubmission`.
+const resubmissionError = async (submission) => {
+  if (submission.status !== 'REJECTED') {
+    return 'Only rejected submissions can be resubmitted';
+  }
+
+  if (submission.resubmission) {
+    return 'Submission has already been resubmitted';
+  }
+
+  if (submission.appealStatus === 'PENDING') {
+    return 'Submission has a pending appeal';
+  }
+
+  const { originalSubmissionId } = resubmissionLinks(submission);
+  const resubmissions = await prisma.submission.count({ where: { originalSubmissionId } });
+
+  if (resubmissions >= MAX_RESUBMISSIONS) {
+    return `A submission can be resubmitted at most ${MAX_RESUBMISSIONS} times`;
+  }
+
+  return null;
+};
+
+module.exports = {
+  MAX_RESUBMISSIONS,
+  resubmissionLinks,
+  resubmissionError
+};
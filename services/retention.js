@@ -0,0 +1,161 @@
+const fs = require('fs');
+const path = require('path');
+const { PrismaClient } = require('@prisma/client');
+const { v4: uuidv4 } = require('uuid');
+const { rules } = require('../config/retention');
+const { INCOMING_DIR, storage, getArchiveStorage, keyFromUrl } = require('./storage');
+const { awaitingCosign } = require('./cosign');
+
+const prisma = new PrismaClient();
+
+const BATCH_SIZE = parseInt(process.env.RETENTION_BATCH_SIZE) || 200;
+const DAY = 24 * 60 * 60 * 1000;
+
+// A submission whose archive or purge failed is retried after this long, so
+// it does not hold up the rest of the batch meanwhile
+const RETRY_DELAY = (parseInt(process.env.RETENTION_RETRY_DAYS) || 7) * DAY;
+
+const describeRule = (rule) => `${rule.action} ${rule.status} after ${rule.afterDays}d`;
+
+// Submissions a rule applies to. Archiving only touches files still in hot
+// storage; purging also clears out archived originals. Submissions with an
+// appeal or a co-sign still open are left alone, as are recent failures.
+const findCandidates = (rule) => prisma.submission.findMany({
+  where: {
+    status: rule.status,
+    mediaState: rule.action === 'archive' ? 'ACTIVE' : { in: ['ACTIVE', 'ARCHIVED'] },
+    AND: [
+      {
+        OR: [
+          { reviewedAt: { lt: new Date(Date.now() - rule.afterDays * DAY) } },
+          { reviewedAt: null, createdAt: { lt: new Date(Date.now() - rule.afterDays * DAY) } }
+        ]
+      },
+      {
+        OR: [{ appealStatus: null }, { appealStatus: { not: 'PENDING' } }]
+      }
+    ],
+    cosignRequests: { none: awaitingCosign() },
+    retentionLogs: {
+      none: {
+        error: { not: null },
+        createdAt: { gt: new Date(Date.now() - RETRY_DELAY) }
+      }
+    }
+  },
+  include: { assets: true },
+  orderBy: { createdAt: 'asc' },
+  take: BATCH_SIZE
+});
+
+const fileSize = async (driver, key) => {
+  const stat = await driver.stat(key);
+  return stat ? stat.size : 0;
+};
+
+// Move the originals to cold storage; previews and playback renditions stay
+const archiveSubmission = async (submission) => {
+  const archive = getArchiveStorage();
+  let bytes = 0;
+
+  for (const asset of submission.assets) {
+    const key = keyFromUrl(asset.fileUrl);
+    const size = await fileSize(storage, key);
+    if (size === 0) continue;
+
+    await fs.promises.mkdir(INCOMING_DIR, { recursive: true });
+    const tempPath = path.join(INCOMING_DIR, `${uuidv4()}${path.extname(key)}`);
+    try {
+      await storage.withLocalFile(key, sourcePath => fs.promises.copyFile(sourcePath, tempPath));
+      await archive.putFile(key, tempPath);
+    } finally {
+      fs.unlink(tempPath, () => {});
+    }
+    await storage.delete(key);
+    bytes += size;
+  }
+
+  await prisma.submission.update({
+    where: { id: submission.id },
+    data: { mediaState: 'ARCHIVED', mediaStateAt: new Date() }
+  });
+
+  return bytes;
+};
+
+// Delete everything but the thumbnails, wherever the originals live
+const purgeSubmission = async (submission) => {
+  const originalStore = submission.mediaState === 'ARCHIVED' ? getArchiveStorage() : storage;
+  let bytes = 0;
+
+  for (const asset of submission.assets) {
+    const originalKey = keyFromUrl(asset.fileUrl);
+    bytes += await fileSize(originalStore, originalKey);
+    await originalStore.delete(originalKey);
+
+    for (const url of [asset.posterUrl, asset.playbackUrl].filter(Boolean)) {
+      const key = keyFromUrl(url);
+      bytes += await fileSize(storage, key);
+      await storage.delete(key);
+    }
+  }
+
+  const cleared = { posterUrl: null, playbackUrl: null };
+  await prisma.$transaction([
+    prisma.submissionAsset.updateMany({ where: { submissionId: submission.id }, data: cleared }),
+    prisma.submission.update({
+      where: { id: submission.id },
+      data: { mediaState: 'PURGED', mediaStateAt: new Date(), ...cleared }
+    })
+  ]);
+
+  return bytes;
+};
+
+// Apply every retention rule once. Each archived or purged submission is
+// recorded in RetentionLog; with dryRun nothing is changed and the
+// submissions that would be affected are returned instead.
+const applyRetention = async ({ dryRun = false } = {}) => {
+  const results = [];
+
+  for (const rule of rules) {
+    if (!['archive', 'purge'].includes(rule.action) || !(rule.afterDays > 0)) {
+      console.error(`Skipping invalid retention rule: ${JSON.stringify(rule)}`);
+      continue;
+    }
+
+    const candidates = await findCandidates(rule);
+
+    for (const submission of candidates) {
+      const entry = {
+        submissionId: submission.id,
+        rule: describeRule(rule),
+        action: rule.action === 'archive' ? 'ARCHIVE' : 'PURGE',
+        bytes: 0,
+        error: null
+      };
+
+      if (!dryRun) {
+        try {
+          entry.bytes = rule.action === 'archive'
+            ? await archiveSubmission(submission)
+            : await purgeSubmission(submission);
+        } catch (error) {
+          entry.error = error.message.slice(0, 500);
+        }
+
+        await prisma.retentionLog.create({ data: entry });
+
+        console.log(`🗄️ Retention ${entry.action.toLowerCase()} ${submission.id} (${entry.rule})${entry.error ? ` failed: ${entry.error}` : `, ${entry.bytes} bytes`}`);
+      }
+
+      results.push(entry);
+    }
+  }
+
+  return results;
+};
+
+module.exports = {
+  applyRetention
+};
@@ -0,0 +1,65 @@
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+// Submissions their owner may still edit: pending and not yet opened by a
+// moderator
+const EDITABLE = { status: 'PENDING', reviewStartedAt: null };
+
+const isEditable = (submission) => submission.status === 'PENDING' && !submission.reviewStartedAt;
+
+// What a revision keeps of a submission's files; replaced files are deleted
+// from storage, so only their description remains
+const describeFiles = (assets) => assets.map(asset => ({
+  fileName: asset.fileName,
+  fileType: asset.fileType,
+  fileSize: asset.fileSize,
+  sha256: asset.sha256
+}));
+
+// Whether two sets of extra field values differ, ignoring key order
+const sameExtraFields = (a, b) => {
+  const keys = Object.keys(a);
+  return keys.length === Object.keys(b).length && keys.every(key => a[key] === b[key]);
+};
+
+// Changed fields of an edit as { field: { from, to } }; the game is recorded
+// by id. `assets` is null when the files are kept.
+const revisionChanges = (submission, { gameId, category, description, extraFields, assets }) => {
+  const changes = {};
+
+  if (gameId !== submission.gameId) {
+    changes.game = { from: submission.gameId, to: gameId };
+  }
+
+  if (category !== submission.category) {
+    changes.category = { from: submission.category, to: category };
+  }
+
+  if (description !== submission.description) {
+    changes.description = { from: submission.description, to: description };
+  }
+
+  if (!sameExtraFields(submission.extraFields || {}, extraFields)) {
+    changes.extraFields = { from: submission.extraFields || {}, to: extraFields };
+  }
+
+  if (assets) {
+    changes.files = { from: describeFiles(submission.assets), to: describeFiles(assets) };
+  }
+
+  return changes;
+};
+
+// Lock a pending submission against further edits once a moderator opens it
+const markReviewStarted = (submissionId) => prisma.submission.updateMany({
+  where: { id: submissionId, ...EDITABLE },
+  data: { reviewStartedAt: new Date() }
+});
+
+module.exports = {
+  EDITABLE,
+  isEditable,
+  revisionChanges,
+  markReviewStarted
+};
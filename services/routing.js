@@ -0,0 +1,158 @@
+const { PrismaClient } = require('@prisma/client');
+const { readSetting, writeSetting } = require('./settings');
+
+const prisma = new PrismaClient();
+
+// How new submissions are assigned to moderators: not at all, in turn, to
+// whoever has the fewest pending assignments, or to the least loaded of the
+// moderators specializing in the submission's game or category
+const ROUTING_STRATEGIES = ['none', 'round-robin', 'least-loaded', 'specialization'];
+
+const STRATEGY_KEY = 'routing.strategy';
+// Moderator the last round-robin assignment went to
+const CURSOR_KEY = 'routing.lastModeratorId';
+
+const DEFAULT_STRATEGY = ROUTING_STRATEGIES.includes(process.env.ROUTING_STRATEGY)
+  ? process.env.ROUTING_STRATEGY
+  : 'none';
+
+const getRoutingStrategy = async () => {
+  const strategy = await readSetting(STRATEGY_KEY);
+  return ROUTING_STRATEGIES.includes(strategy) ? strategy : DEFAULT_STRATEGY;
+};
+
+const setRoutingStrategy = (strategy) => writeSetting(STRATEGY_KEY, strategy);
+
+// Staff new submissions may be routed to, in a stable order
+const listRoutableModerators = () => prisma.user.findMany({
+  where: {
+    role: { in: ['MODERATOR', 'ADMIN'] },
+    isBanned: false,
+    autoAssign: true
+  },
+  orderBy: { createdAt: 'asc' }
+});
+
+// Pending submissions assigned to each of the given moderators, as a Map
+const pendingLoad = async (moderatorIds) => {
+  const counts = await prisma.submission.groupBy({
+    by: ['assignedTo'],
+    where: { status: 'PENDING', assignedTo: { in: moderatorIds } },
+    _count: { assignedTo: true }
+  });
+
+  const load = new Map(moderatorIds.map(id => [id, 0]));
+  counts.forEach(row => load.set(row.assignedTo, row._count.assignedTo));
+  return load;
+};
+
+const leastLoaded = async (moderators) => {
+  const load = await pendingLoad(moderators.map(moderator => moderator.id));
+  return moderators.reduce((best, moderator) =>
+    load.get(moderator.id) < load.get(best.id) ? moderator : best);
+};
+
+const nextInTurn = async (moderators) => {
+  const lastId = await readSetting(CURSOR_KEY);
+  const lastIndex = moderators.findIndex(moderator => moderator.id === lastId);
+  const next = moderators[(lastIndex + 1) % moderators.length];
+
+  await writeSetting(CURSOR_KEY, next.id);
+  return next;
+};
+
+// Moderators specializing in the submission's category, or else in its game.
+// Without specialists the submission goes to the least loaded moderator.
+const specialists = (moderators, submission, categoryId) => {
+  const byCategory = moderators.filter(moderator => moderator.reviewCategoryIds.includes(categoryId));
+  if (byCategory.length > 0) {
+    return byCategory;
+  }
+
+  const byGame = moderators.filter(moderator => moderator.reviewGameIds.includes(submission.gameId));
+  return byGame.length > 0 ? byGame : moderators;
+};
+
+// Pick the moderator a pending submission should go to under `strategy`, or
+// null. Owners never review their own submissions.
+const pickModerator = async (submission, strategy) => {
+  if (strategy === 'none') {
+    return null;
+  }
+
+  const moderators = (await listRoutableModerators())
+    .filter(moderator => moderator.id !== submission.userId);
+
+  if (moderators.length === 0) {
+    return null;
+  }
+
+  if (strategy === 'round-robin') {
+    return nextInTurn(moderators);
+  }
+
+  if (strategy === 'specialization') {
+    const category = await prisma.category.findUnique({
+      where: { gameId_slug: { gameId: submission.gameId, slug: submission.category } },
+      select: { id: true }
+    });
+    return leastLoaded(specialists(moderators, submission, category ? category.id : null));
+  }
+
+  return leastLoaded(moderators);
+};
+
+// Assign a pending submission to a moderator under the configured strategy.
+// Routing failures never fail the submission itself. Resolves to the
+// moderator, or null when the submission stays unassigned.
+const routeSubmission = async (submission, strategy) => {
+  try {
+    const moderator = await pickModerator(submission, strategy || await getRoutingStrategy());
+    if (!moderator) {
+      return null;
+    }
+
+    await prisma.submission.update({
+      where: { id: submission.id },
+      data: { assignedTo: moderator.id, assignedAt: new Date() }
+    });
+
+    return moderator;
+  } catch (error) {
+    console.error('Submission routing error:', error);
+    return null;
+  }
+};
+
+// Route pending submissions nobody is assigned to, oldest first. Resolves to
+// the number of submissions assigned.
+const routeUnassigned = async () => {
+  const strategy = await getRoutingStrategy();
+  if (strategy === 'none') {
+    return 0;
+  }
+
+  const pending = await prisma.submission.findMany({
+    where: { status: 'PENDING', assignedTo: null },
+    orderBy: { createdAt: 'asc' },
+    select: { id: true, userId: true, gameId: true, category: true }
+  });
+
+  let assigned = 0;
+  for (const submission of pending) {
+    if (await routeSubmission(submission, strategy)) {
+      assigned++;
+    }
+  }
+
+  return assigned;
+};
+
+module.exports = {
+  ROUTING_STRATEGIES,
+  getRoutingStrategy,
+  setRoutingStrategy,
+  pendingLoad,
+  routeSubmission,
+  routeUnassigned
+};
@@ -0,0 +1,20 @@
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+// Value of a runtime setting, or null when it was never set
+const readSetting = async (key) => {
+  const setting = await prisma.settings.findUnique({ where: { key } });
+  return setting ? setting.value : null;
+};
+
+const writeSetting = (key, value) => prisma.settings.upsert({
+  where: { key },
+  update: { value },
+  create: { key, value }
+});
+
+module.exports = {
+  readSetting,
+  writeSetting
+};
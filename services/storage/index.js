@@ -0,0 +1,126 @@
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const { v4: uuidv4 } = require('uuid');
+const createLocalDriver = require('./local');
+const createS3Driver = require('./s3');
+
+// Where received files wait for verification and processing before they are
+// handed to the storage backend. Never served to clients.
+const INCOMING_DIR = process.env.UPLOAD_INCOMING_DIR || './uploads-incoming';
+
+// Every driver implements:
+//   putFile(key, sourcePath)      move a local file into storage
+//   getStream(key, { start, end }) readable stream, optionally a byte range
+//   stat(key)                      { size, lastModified } or null
+//   delete(key)
+//   list()                         async iterator of { key, size, lastModified }
+// Remote drivers also implement:
+//   getUrl(key, { expiresIn })     short-lived URL a browser can fetch the file from
+//   origin                         origin those URLs point at
+const s3Connection = () => ({
+  endpoint: process.env.S3_ENDPOINT,
+  region: process.env.S3_REGION || 'us-east-1',
+  accessKeyId: process.env.S3_ACCESS_KEY_ID,
+  secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+  // MinIO and most self-hosted services need path-style bucket URLs
+  forcePathStyle: process.env.S3_FORCE_PATH_STYLE
+    ? process.env.S3_FORCE_PATH_STYLE === 'true'
+    : Boolean(process.env.S3_ENDPOINT)
+});
+
+const drivers = {
+  local: () => createLocalDriver({
+    root: process.env.UPLOAD_DIR || './uploads'
+  }),
+  s3: () => createS3Driver({
+    ...s3Connection(),
+    bucket: process.env.S3_BUCKET,
+    prefix: process.env.S3_PREFIX || ''
+  })
+};
+
+// Cold storage for originals moved out by the retention policy
+const archiveDrivers = {
+  local: () => createLocalDriver({
+    root: process.env.ARCHIVE_DIR || './uploads-archive'
+  }),
+  s3: () => createS3Driver({
+    ...s3Connection(),
+    bucket: process.env.ARCHIVE_S3_BUCKET || process.env.S3_BUCKET,
+    prefix: process.env.ARCHIVE_S3_PREFIX || 'archive/',
+    storageClass: process.env.ARCHIVE_S3_STORAGE_CLASS || 'GLACIER_IR'
+  })
+};
+
+const createStorage = (name, factories = drivers) => {
+  const factory = factories[name];
+  if (!factory) {
+    throw new Error(`Unknown storage driver: ${name}`);
+  }
+
+  const driver = factory();
+
+  // Run fn with a local path to the stored file, downloading it first when
+  // the backend is remote
+  driver.withLocalFile = async (key, fn) => {
+    if (driver.localPath) {
+      return fn(driver.localPath(key));
+    }
+
+    await fs.promises.mkdir(INCOMING_DIR, { recursive: true });
+    const tempPath = path.join(INCOMING_DIR, `${uuidv4()}${path.extname(key)}`);
+
+    try {
+      await pipeline(await driver.getStream(key), fs.createWriteStream(tempPath));
+      return await fn(tempPath);
+    } finally {
+      fs.unlink(tempPath, () => {});
+    }
+  };
+
+  return driver;
+};
+
+const storage = createStorage(process.env.STORAGE_DRIVER || 'local');
+
+// Created on first use so an unconfigured archive never blocks startup
+let archiveStorage = null;
+const getArchiveStorage = () => {
+  if (!archiveStorage) {
+    archiveStorage = createStorage(process.env.ARCHIVE_STORAGE_DRIVER || 'local', archiveDrivers);
+  }
+  return archiveStorage;
+};
+
+// Key prefix under which archived files show up in the main storage's listing
+// when both share a bucket or directory, or null when they are kept apart.
+// An empty string means the archive is the main storage itself.
+const archivePrefixInStorage = () => {
+  const archive = getArchiveStorage();
+  if (archive.name !== storage.name) return null;
+
+  if (storage.name === 's3') {
+    if (archive.bucket !== storage.bucket || !archive.prefix.startsWith(storage.prefix)) return null;
+    return archive.prefix.slice(storage.prefix.length);
+  }
+
+  const relative = path.relative(storage.root, archive.root);
+  if (relative.startsWith('..') || path.isAbsolute(relative)) return null;
+  return relative ? `${relative.split(path.sep).join('/')}/` : '';
+};
+
+// Submissions reference files as `/uploads/<key>` whatever the backend is,
+// so switching drivers never requires rewriting database rows
+const keyFromUrl = (url) => url.replace(/^\/uploads\//, '');
+const urlForKey = (key) => `/uploads/${key}`;
+
+module.exports = {
+  INCOMING_DIR,
+  storage,
+  createStorage,
+  getArchiveStorage,
+  archivePrefixInStorage,
+  keyFromUrl,
+  urlForKey
+};
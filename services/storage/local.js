@@ -0,0 +1,82 @@
+const fs = require('fs');
+const path = require('path');
+
+// Files on this server's disk under `root`
+const createLocalDriver = ({ root }) => {
+  const resolvedRoot = path.resolve(root);
+
+  const localPath = (key) => {
+    const filePath = path.resolve(resolvedRoot, key);
+    if (!filePath.startsWith(resolvedRoot + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  const walk = async function* (dir) {
+    const entries = await fs.promises.readdir(dir, { withFileTypes: true });
+    for (const entry of entries) {
+      const entryPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        yield* walk(entryPath);
+      } else if (entry.isFile()) {
+        yield entryPath;
+      }
+    }
+  };
+
+  return {
+    name: 'local',
+    root: resolvedRoot,
+    localPath,
+
+    // Moves sourcePath into storage; the source file is consumed
+    async putFile(key, sourcePath) {
+      const destination = localPath(key);
+      await fs.promises.mkdir(path.dirname(destination), { recursive: true });
+
+      try {
+        await fs.promises.rename(sourcePath, destination);
+      } catch (error) {
+        if (error.code !== 'EXDEV') throw error;
+        await fs.promises.copyFile(sourcePath, destination);
+        await fs.promises.unlink(sourcePath);
+      }
+    },
+
+    async getStream(key, { start, end } = {}) {
+      return fs.createReadStream(localPath(key), { start, end });
+    },
+
+    async stat(key) {
+      try {
+        const stats = await fs.promises.stat(localPath(key));
+        return { size: stats.size, lastModified: stats.mtime };
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+
+    async delete(key) {
+      try {
+        await fs.promises.unlink(localPath(key));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    },
+
+    async *list() {
+      for await (const filePath of walk(resolvedRoot)) {
+        const stats = await fs.promises.stat(filePath);
+        yield {
+          key: path.relative(resolvedRoot, filePath).split(path.sep).join('/'),
+          size: stats.size,
+          lastModified: stats.mtime
+        };
+      }
+    }
+  };
+};
+
+module.exports = createLocalDriver;
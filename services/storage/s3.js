@@ -0,0 +1,110 @@
+const fs = require('fs');
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  DeleteObjectCommand,
+  ListObjectsV2Command
+} = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+const { contentTypeFor } = require('../fileType');
+
+// Objects in an S3-compatible bucket (AWS, MinIO, ...)
+const createS3Driver = ({ bucket, endpoint, region, accessKeyId, secretAccessKey, forcePathStyle, prefix = '', storageClass }) => {
+  if (!bucket) {
+    throw new Error('S3_BUCKET is required for the s3 storage driver');
+  }
+
+  const client = new S3Client({
+    region,
+    endpoint,
+    forcePathStyle,
+    credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined
+  });
+
+  const objectKey = (key) => `${prefix}${key}`;
+
+  // Origin of the URLs getUrl hands out, for the Content-Security-Policy
+  const endpointUrl = new URL(endpoint || `https://s3.${region}.amazonaws.com`);
+  const origin = forcePathStyle
+    ? endpointUrl.origin
+    : `${endpointUrl.protocol}//${bucket}.${endpointUrl.host}`;
+
+  return {
+    name: 's3',
+    bucket,
+    prefix,
+    origin,
+
+    // Uploads sourcePath to the bucket; the source file is consumed
+    async putFile(key, sourcePath) {
+      const { size } = await fs.promises.stat(sourcePath);
+
+      await client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: objectKey(key),
+        Body: fs.createReadStream(sourcePath),
+        ContentLength: size,
+        ContentType: contentTypeFor(key),
+        StorageClass: storageClass
+      }));
+
+      await fs.promises.unlink(sourcePath);
+    },
+
+    async getStream(key, { start, end } = {}) {
+      const range = start !== undefined ? `bytes=${start}-${end !== undefined ? end : ''}` : undefined;
+      const { Body } = await client.send(new GetObjectCommand({
+        Bucket: bucket,
+        Key: objectKey(key),
+        Range: range
+      }));
+      return Body;
+    },
+
+    async stat(key) {
+      try {
+        const head = await client.send(new HeadObjectCommand({ Bucket: bucket, Key: objectKey(key) }));
+        return { size: head.ContentLength, lastModified: head.LastModified };
+      } catch (error) {
+        if (error.name === 'NotFound' || error.$metadata?.httpStatusCode === 404) return null;
+        throw error;
+      }
+    },
+
+    async delete(key) {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: objectKey(key) }));
+    },
+
+    async getUrl(key, { expiresIn = 300 } = {}) {
+      return getSignedUrl(client, new GetObjectCommand({
+        Bucket: bucket,
+        Key: objectKey(key)
+      }), { expiresIn });
+    },
+
+    async *list() {
+      let continuationToken;
+      do {
+        const page = await client.send(new ListObjectsV2Command({
+          Bucket: bucket,
+          Prefix: prefix || undefined,
+          ContinuationToken: continuationToken
+        }));
+
+        for (const object of page.Contents || []) {
+          yield {
+            key: object.Key.slice(prefix.length),
+            size: object.Size,
+            lastModified: object.LastModified
+          };
+        }
+
+        continuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+      } while (continuationToken);
+    }
+  };
+};
+
+module.exports = createS3Driver;
@@ -0,0 +1,97 @@
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+const MAX_TAGS = parseInt(process.env.MAX_TAGS_PER_SUBMISSION) || 10;
+
+// Words of letters and digits separated by single spaces or dashes, e.g.
+// "tilted towers" or "solo-squad"
+const TAG_PATTERN = /^[\p{L}\p{N}]+(?:[ -][\p{L}\p{N}]+)*$/u;
+
+// Tags are stored lowercase with single spaces; a leading # is dropped
+const normalizeTag = (name) => String(name).trim().replace(/^#/, '').toLowerCase().replace(/\s+/g, ' ');
+
+// Include clause that loads tag names in the order they were added
+const includeTags = {
+  include: { tag: { select: { name: true } } },
+  orderBy: { createdAt: 'asc' }
+};
+
+// Nested create of SubmissionTag rows; tags that do not exist yet are created
+const tagLinks = (names, addedBy) => names.map(name => ({
+  addedByUser: { connect: { id: addedBy } },
+  tag: {
+    connectOrCreate: {
+      where: { name },
+      create: { name }
+    }
+  }
+}));
+
+// Link existing or new tags to a submission inside a transaction; links the
+// submission already has are skipped
+const attachTags = async (tx, submissionId, names, addedBy) => {
+  const tags = await Promise.all(names.map(name => tx.tag.upsert({
+    where: { name },
+    update: {},
+    create: { name }
+  })));
+
+  await tx.submissionTag.createMany({
+    data: tags.map(tag => ({ submissionId, tagId: tag.id, addedBy })),
+    skipDuplicates: true
+  });
+};
+
+// Replace loaded SubmissionTag rows with plain tag names
+const withTagNames = (submission) => {
+  if (!submission || !Array.isArray(submission.tags)) {
+    return submission;
+  }
+
+  return { ...submission, tags: submission.tags.map(link => link.tag.name) };
+};
+
+// Where clause for submissions carrying every tag of a `tags` query
+// parameter, given comma-separated (?tags=a,b) or repeated (?tags=a&tags=b)
+const tagFilter = (query) => {
+  const names = [].concat(query || [])
+    .flatMap(value => String(value).split(','))
+    .map(normalizeTag)
+    .filter(Boolean);
+
+  if (names.length === 0) {
+    return {};
+  }
+
+  return { AND: names.map(name => ({ tags: { some: { tag: { name } } } })) };
+};
+
+// Most used tags, optionally starting with `prefix`, for autocomplete
+const popularTags = async ({ prefix = '', limit = 10 } = {}) => {
+  const tags = await prisma.tag.findMany({
+    where: prefix ? { name: { startsWith: normalizeTag(prefix) } } : {},
+    orderBy: { submissions: { _count: 'desc' } },
+    take: limit,
+    select: {
+      name: true,
+      _count: {
+        select: { submissions: true }
+      }
+    }
+  });
+
+  return tags.map(tag => ({ name: tag.name, count: tag._count.submissions }));
+};
+
+module.exports = {
+  MAX_TAGS,
+  TAG_PATTERN,
+  normalizeTag,
+  includeTags,
+  tagLinks,
+  attachTags,
+  withTagNames,
+  tagFilter,
+  popularTags
+};
@@ -0,0 +1,94 @@
+const fs = require('fs');
+const path = require('path');
+const { PrismaClient } = require('@prisma/client');
+const { INCOMING_DIR } = require('./storage');
+const { MAX_ASSETS } = require('./assets');
+
+const prisma = new PrismaClient();
+
+const CHUNK_SIZE = parseInt(process.env.UPLOAD_CHUNK_SIZE) || 5 * 1024 * 1024; // 5MB default
+const SESSION_TTL = (parseInt(process.env.UPLOAD_SESSION_TTL_HOURS) || 24) * 60 * 60 * 1000;
+// Enough for every file of one multi-file submission to upload at once
+const MAX_ACTIVE_SESSIONS = parseInt(process.env.MAX_ACTIVE_UPLOADS_PER_USER) || MAX_ASSETS;
+
+// Sessions with a chunk currently being written, to reject concurrent writes
+const busySessions = new Set();
+
+const partialPath = (sessionId) => path.join(INCOMING_DIR, `${sessionId}.part`);
+
+const sessionExpiry = () => new Date(Date.now() + SESSION_TTL);
+
+// Append a chunk at `offset`, which must equal the bytes received so far.
+// Resolves to the updated session, or { conflict } when the offset is stale.
+const appendChunk = async (session, offset, chunk) => {
+  if (busySessions.has(session.id)) {
+    return { conflict: 'Another chunk is being written for this upload' };
+  }
+
+  if (offset !== session.receivedBytes) {
+    return { conflict: 'Chunk offset does not match received bytes' };
+  }
+
+  if (offset + chunk.length > session.totalSize) {
+    return { conflict: 'Chunk exceeds declared file size' };
+  }
+
+  busySessions.add(session.id);
+
+  try {
+    await fs.promises.mkdir(INCOMING_DIR, { recursive: true });
+
+    const filePath = partialPath(session.id);
+
+    // Drop bytes from a write whose database update never happened
+    if (offset > 0) {
+      await fs.promises.truncate(filePath, offset);
+    }
+
+    await fs.promises.writeFile(filePath, chunk, { flag: offset === 0 ? 'w' : 'a' });
+
+    const updated = await prisma.uploadSession.update({
+      where: { id: session.id },
+      data: {
+        receivedBytes: offset + chunk.length,
+        expiresAt: sessionExpiry()
+      }
+    });
+
+    return { session: updated };
+  } finally {
+    busySessions.delete(session.id);
+  }
+};
+
+const removeSession = async (session) => {
+  await prisma.uploadSession.delete({ where: { id: session.id } }).catch(() => {});
+
+  fs.unlink(partialPath(session.id), (error) => {
+    if (error && error.code !== 'ENOENT') {
+      console.error('Partial upload cleanup error:', error);
+    }
+  });
+};
+
+// Remove sessions that have not received data within their TTL
+const cleanupExpiredUploads = async () => {
+  const expired = await prisma.uploadSession.findMany({
+    where: { expiresAt: { lt: new Date() } }
+  });
+
+  await Promise.all(expired.map(removeSession));
+
+  return expired.length;
+};
+
+module.exports = {
+  CHUNK_SIZE,
+  MAX_ACTIVE_SESSIONS,
+  busySessions,
+  partialPath,
+  sessionExpiry,
+  appendChunk,
+  removeSession,
+  cleanupExpiredUploads
+};